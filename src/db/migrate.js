@@ -19,13 +19,16 @@ function up() {
   );
 
   -- Host payout requests for bookings
+  -- booking_id is empty for withdrawals against the host's overall ledger balance;
+  -- batch_id groups requests made together for many bookings
   CREATE TABLE IF NOT EXISTS payout_requests (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    booking_id INTEGER NOT NULL,
+    booking_id INTEGER,
     host_id INTEGER NOT NULL,
     amount INTEGER NOT NULL,
     status TEXT CHECK(status IN ('pending','approved','rejected')) DEFAULT 'pending',
     note TEXT,
+    batch_id TEXT,
     created_at TEXT DEFAULT (datetime('now')),
     updated_at TEXT DEFAULT (datetime('now')),
     approved_at TEXT,
@@ -96,6 +99,330 @@ function up() {
     FOREIGN KEY(booking_id) REFERENCES bookings(id)
   );
   
+  -- Host blackout ranges on a car (maintenance, personal use); end_date is exclusive like bookings
+  CREATE TABLE IF NOT EXISTS car_blackouts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    car_id INTEGER NOT NULL,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    kind TEXT CHECK(kind IN ('maintenance','personal','other')) DEFAULT 'other',
+    reason TEXT,
+    created_by INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(car_id) REFERENCES cars(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_car_blackouts_car_dates ON car_blackouts(car_id, start_date, end_date);
+
+  -- Photo gallery of a car; the cover photo is also the car's image
+  CREATE TABLE IF NOT EXISTS car_images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    car_id INTEGER NOT NULL,
+    path TEXT NOT NULL,
+    variants_json TEXT,
+    kind TEXT CHECK(kind IN ('exterior','interior','dashboard','other')) DEFAULT 'other',
+    caption TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_cover INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(car_id) REFERENCES cars(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_car_images_car ON car_images(car_id, position);
+
+  -- Two-way reviews after a trip: the renter rates the car and its host, the host rates the renter
+  CREATE TABLE IF NOT EXISTS reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    car_id INTEGER NOT NULL,
+    author_id INTEGER NOT NULL,
+    subject_id INTEGER,
+    direction TEXT NOT NULL CHECK(direction IN ('renter_to_host','host_to_renter')),
+    car_rating INTEGER CHECK(car_rating BETWEEN 1 AND 5),
+    rating INTEGER CHECK(rating BETWEEN 1 AND 5),
+    comment TEXT,
+    reply TEXT,
+    replied_at TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(booking_id, direction),
+    FOREIGN KEY(booking_id) REFERENCES bookings(id),
+    FOREIGN KEY(car_id) REFERENCES cars(id),
+    FOREIGN KEY(author_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_reviews_car ON reviews(car_id, direction);
+  CREATE INDEX IF NOT EXISTS idx_reviews_subject ON reviews(subject_id, direction);
+
+  -- Conversation between a booking's renter and the car's host; admins may read and write too.
+  -- sender_id is an admins row when sender_role is 'admin', a users row otherwise.
+  CREATE TABLE IF NOT EXISTS booking_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    sender_id INTEGER NOT NULL,
+    sender_role TEXT NOT NULL CHECK(sender_role IN ('renter','host','admin')),
+    body TEXT,
+    attachments_json TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(booking_id) REFERENCES bookings(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_booking_messages_booking ON booking_messages(booking_id, id);
+
+  -- How far each reader ('user' or 'admin') has read a booking's conversation
+  CREATE TABLE IF NOT EXISTS booking_message_reads (
+    booking_id INTEGER NOT NULL,
+    reader_type TEXT NOT NULL CHECK(reader_type IN ('user','admin')),
+    reader_id INTEGER NOT NULL,
+    last_read_id INTEGER NOT NULL DEFAULT 0,
+    read_at TEXT,
+    PRIMARY KEY(booking_id, reader_type, reader_id),
+    FOREIGN KEY(booking_id) REFERENCES bookings(id)
+  );
+
+  -- Thread of a support ticket (a contact form message): the customer's messages and follow-ups and
+  -- every admin reply. author_id is a users row for customers (null when not signed in), an admins row
+  -- for admins.
+  CREATE TABLE IF NOT EXISTS ticket_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    author_type TEXT NOT NULL CHECK(author_type IN ('customer','admin')),
+    author_id INTEGER,
+    body TEXT NOT NULL,
+    via TEXT NOT NULL DEFAULT 'web' CHECK(via IN ('web','email')),
+    email_status TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(ticket_id) REFERENCES messages(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket ON ticket_messages(ticket_id, id);
+
+  -- Real-time events passed between backend instances by the sqlite event bus (src/pubsub)
+  CREATE TABLE IF NOT EXISTS event_bus (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    origin TEXT NOT NULL,
+    message TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+
+  -- Provider payment intents for bookings; a booking is confirmed once one of them is paid
+  CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    provider TEXT NOT NULL,
+    intent_id TEXT NOT NULL,
+    provider_payment_id TEXT,
+    method TEXT,
+    amount INTEGER NOT NULL,
+    currency TEXT DEFAULT 'INR',
+    status TEXT CHECK(status IN ('created','paid','failed')) DEFAULT 'created',
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(booking_id) REFERENCES bookings(id)
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_intent ON payments(provider, intent_id);
+
+  -- Money going back to renters, usually from a cancellation under the car's policy
+  CREATE TABLE IF NOT EXISTS refunds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    payment_id INTEGER,
+    amount INTEGER NOT NULL,
+    reason TEXT,
+    policy TEXT,
+    status TEXT CHECK(status IN ('requested','processing','processed','rejected','failed')) DEFAULT 'requested',
+    requested_by_role TEXT,
+    requested_by INTEGER,
+    processed_by INTEGER,
+    provider_refund_id TEXT,
+    note TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    processed_at TEXT,
+    FOREIGN KEY(booking_id) REFERENCES bookings(id),
+    FOREIGN KEY(payment_id) REFERENCES payments(id)
+  );
+
+  -- Host earnings ledger: signed amounts, credits positive. Revenue/commission are posted once per
+  -- booking, refund and payout entries once per refund / payout request.
+  CREATE TABLE IF NOT EXISTS host_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    host_id INTEGER NOT NULL,
+    entry_type TEXT CHECK(entry_type IN ('booking_revenue','commission','refund','adjustment','payout')) NOT NULL,
+    amount INTEGER NOT NULL,
+    booking_id INTEGER,
+    refund_id INTEGER,
+    payout_request_id INTEGER,
+    description TEXT,
+    created_by INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(host_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_host_ledger_host ON host_ledger(host_id, created_at);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_host_ledger_booking_entry ON host_ledger(booking_id, entry_type)
+    WHERE entry_type IN ('booking_revenue','commission');
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_host_ledger_refund ON host_ledger(refund_id) WHERE refund_id IS NOT NULL;
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_host_ledger_payout ON host_ledger(payout_request_id) WHERE payout_request_id IS NOT NULL;
+
+  -- Admin-managed platform commission, renter fees and tax lines (see src/utils/fees.js).
+  -- scope_value is '' for global, the lower-cased city or the host's user id.
+  CREATE TABLE IF NOT EXISTS fee_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT CHECK(scope IN ('global','city','host')) NOT NULL DEFAULT 'global',
+    scope_value TEXT NOT NULL DEFAULT '',
+    code TEXT NOT NULL,
+    kind TEXT CHECK(kind IN ('commission','fee','tax')) NOT NULL,
+    calc TEXT CHECK(calc IN ('percent','flat')) NOT NULL DEFAULT 'percent',
+    rate REAL NOT NULL DEFAULT 0,
+    label TEXT,
+    active INTEGER DEFAULT 1,
+    created_by INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_rules_scope_code ON fee_rules(scope, scope_value, code);
+
+  -- Invoices and credit notes (kind) per booking; credit notes point at the invoice they credit.
+  -- Amounts are positive on both; lines/details are JSON snapshots taken at issue time.
+  CREATE TABLE IF NOT EXISTS invoices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    number TEXT NOT NULL UNIQUE,
+    kind TEXT CHECK(kind IN ('invoice','credit_note')) NOT NULL,
+    status TEXT CHECK(status IN ('issued','credited')) DEFAULT 'issued',
+    booking_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    host_id INTEGER,
+    original_invoice_id INTEGER,
+    refund_id INTEGER,
+    currency TEXT DEFAULT 'INR',
+    lines_json TEXT NOT NULL,
+    details_json TEXT,
+    subtotal INTEGER NOT NULL DEFAULT 0,
+    taxes INTEGER NOT NULL DEFAULT 0,
+    deposit INTEGER NOT NULL DEFAULT 0,
+    total INTEGER NOT NULL,
+    reason TEXT,
+    issued_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(booking_id) REFERENCES bookings(id),
+    FOREIGN KEY(original_invoice_id) REFERENCES invoices(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_invoices_booking ON invoices(booking_id);
+  CREATE INDEX IF NOT EXISTS idx_invoices_user ON invoices(user_id);
+
+  -- Last number used per invoice series, e.g. INV-2026
+  CREATE TABLE IF NOT EXISTS invoice_sequences (
+    series TEXT PRIMARY KEY,
+    last_value INTEGER NOT NULL DEFAULT 0
+  );
+
+  -- Security deposit per booking (see src/utils/deposits.js) and its hold/capture/release log
+  CREATE TABLE IF NOT EXISTS booking_deposits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL UNIQUE,
+    amount INTEGER NOT NULL,
+    currency TEXT DEFAULT 'INR',
+    status TEXT CHECK(status IN ('pending','held','partially_captured','captured','released')) DEFAULT 'pending',
+    captured_amount INTEGER NOT NULL DEFAULT 0,
+    released_amount INTEGER NOT NULL DEFAULT 0,
+    held_at TEXT,
+    settled_at TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(booking_id) REFERENCES bookings(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS deposit_movements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    deposit_id INTEGER NOT NULL,
+    booking_id INTEGER NOT NULL,
+    type TEXT CHECK(type IN ('hold','capture','release')) NOT NULL,
+    amount INTEGER NOT NULL,
+    reason TEXT,
+    claim_id INTEGER,
+    refund_id INTEGER,
+    actor_role TEXT,
+    actor_id INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(deposit_id) REFERENCES booking_deposits(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_deposit_movements_deposit ON deposit_movements(deposit_id);
+
+  -- Damage claims against a deposit; evidence_json lists uploaded files or links
+  CREATE TABLE IF NOT EXISTS damage_claims (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    deposit_id INTEGER NOT NULL,
+    amount INTEGER NOT NULL,
+    captured_amount INTEGER,
+    reason TEXT NOT NULL,
+    evidence_json TEXT,
+    status TEXT CHECK(status IN ('open','approved','rejected')) DEFAULT 'open',
+    created_by_role TEXT,
+    created_by INTEGER,
+    resolved_by INTEGER,
+    resolution_note TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    resolved_at TEXT,
+    FOREIGN KEY(booking_id) REFERENCES bookings(id),
+    FOREIGN KEY(deposit_id) REFERENCES booking_deposits(id)
+  );
+
+  -- Requested changes to a booking (dates, car) and their outcome; doubles as the change history.
+  -- from_*/to_* and the quotes are snapshots taken when the change was requested.
+  CREATE TABLE IF NOT EXISTS booking_modifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    kind TEXT CHECK(kind IN ('change','extend')) NOT NULL DEFAULT 'change',
+    status TEXT CHECK(status IN ('pending','approved','declined','withdrawn')) DEFAULT 'pending',
+    from_car_id INTEGER NOT NULL,
+    to_car_id INTEGER NOT NULL,
+    from_pickup_date TEXT NOT NULL,
+    from_return_date TEXT NOT NULL,
+    to_pickup_date TEXT NOT NULL,
+    to_return_date TEXT NOT NULL,
+    previous_quote_json TEXT,
+    new_quote_json TEXT NOT NULL,
+    price_difference INTEGER NOT NULL DEFAULT 0,
+    reason TEXT,
+    requested_by_role TEXT,
+    requested_by INTEGER,
+    resolved_by_role TEXT,
+    resolved_by INTEGER,
+    resolution_note TEXT,
+    refund_id INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    resolved_at TEXT,
+    FOREIGN KEY(booking_id) REFERENCES bookings(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_booking_modifications_booking ON booking_modifications(booking_id);
+
+  -- Verified-renter profile: the renter's last fully admin-approved documents and their details,
+  -- reused for later bookings while the licence is valid
+  CREATE TABLE IF NOT EXISTS renter_profiles (
+    user_id INTEGER PRIMARY KEY,
+    id_type TEXT,
+    id_number TEXT,
+    license_number TEXT,
+    license_expiry TEXT,
+    id_front_attachment_id INTEGER,
+    id_back_attachment_id INTEGER,
+    license_attachment_id INTEGER,
+    source_booking_id INTEGER,
+    verified_at TEXT,
+    updated_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  -- Every download (or refused download) of a private file
+  CREATE TABLE IF NOT EXISTS file_access_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    path TEXT NOT NULL,
+    booking_id INTEGER,
+    user_id INTEGER,
+    role TEXT,
+    via TEXT NOT NULL CHECK (via IN ('token','signed_url')),
+    outcome TEXT NOT NULL CHECK (outcome IN ('granted','denied')),
+    ip TEXT,
+    user_agent TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE INDEX IF NOT EXISTS idx_file_access_log_booking ON file_access_log(booking_id);
+
   -- Ensure only one account per mobile number (when provided)
   CREATE UNIQUE INDEX IF NOT EXISTS idx_users_mobile_unique ON users(mobile) WHERE mobile IS NOT NULL;
   
@@ -217,3 +544,205 @@ try {
 } catch (e) {
   console.warn('Could not add deleted column on cars:', e?.message || e);
 }
+
+// Add any missing columns to an existing table (ALTER TABLE is not idempotent in SQLite)
+function ensureColumns(table, columns) {
+  let existing;
+  try {
+    existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((c) => String(c.name).toLowerCase()));
+  } catch (e) {
+    console.warn(`Could not inspect ${table} table:`, e?.message || e);
+    return;
+  }
+  for (const [name, ddl] of Object.entries(columns)) {
+    if (existing.has(name)) continue;
+    try {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${ddl}`);
+      console.log(`Added '${name}' column to ${table} table`);
+    } catch (e) {
+      console.warn(`Could not add ${name} column on ${table}:`, e?.message || e);
+    }
+  }
+}
+
+// Booking lifecycle timestamps
+ensureColumns('bookings', {
+  status_updated_at: 'TEXT',
+  confirmed_at: 'TEXT',
+  checked_in_at: 'TEXT',
+  checked_out_at: 'TEXT',
+  completed_at: 'TEXT',
+  cancelled_at: 'TEXT',
+  cancelled_by: 'TEXT',
+  cancel_reason: 'TEXT',
+  no_show_at: 'TEXT',
+  status_note: 'TEXT',
+});
+
+// Server-side price quote snapshot taken at booking time
+ensureColumns('bookings', {
+  price_breakdown_json: 'TEXT',
+});
+
+// Speeds up the overlap check run on every booking insert
+try {
+  db.exec('CREATE INDEX IF NOT EXISTS idx_bookings_car_dates ON bookings(car_id, pickup_date, return_date)');
+} catch (e) {
+  console.warn('Could not create bookings date index:', e?.message || e);
+}
+
+// Host-selected cancellation policy per car (flexible | moderate | strict); updated_at is written by PUT /api/cars/:id
+ensureColumns('cars', {
+  cancellation_policy: "TEXT DEFAULT 'moderate'",
+  updated_at: 'TEXT',
+});
+
+// Older databases have payout_requests.booking_id NOT NULL; SQLite cannot relax that in place,
+// so copy the table over (create, copy, drop, rename) once
+try {
+  const cols = db.prepare('PRAGMA table_info(payout_requests)').all();
+  const bookingCol = cols.find((c) => c.name === 'booking_id');
+  if (bookingCol?.notnull) {
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE payout_requests_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          booking_id INTEGER,
+          host_id INTEGER NOT NULL,
+          amount INTEGER NOT NULL,
+          status TEXT CHECK(status IN ('pending','approved','rejected')) DEFAULT 'pending',
+          note TEXT,
+          batch_id TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now')),
+          approved_at TEXT,
+          FOREIGN KEY(booking_id) REFERENCES bookings(id),
+          FOREIGN KEY(host_id) REFERENCES users(id)
+        );
+        INSERT INTO payout_requests_new (id, booking_id, host_id, amount, status, note, created_at, updated_at, approved_at)
+          SELECT id, booking_id, host_id, amount, status, note, created_at, updated_at, approved_at FROM payout_requests;
+        DROP TABLE payout_requests;
+        ALTER TABLE payout_requests_new RENAME TO payout_requests;
+      `);
+    })();
+    console.log('Made payout_requests.booking_id optional');
+  }
+} catch (e) {
+  console.warn('Could not rebuild payout_requests table:', e?.message || e);
+}
+ensureColumns('payout_requests', {
+  batch_id: 'TEXT',
+});
+
+// Refunds being sent to the provider are 'processing' (see processRefund); older databases only allow
+// the other statuses, so copy the table over with the wider CHECK once
+try {
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'refunds'").get();
+  if (!sql.includes("'processing'")) {
+    db.transaction(() => {
+      db.exec(`
+        ${sql.replace(/CREATE TABLE\s+refunds/i, 'CREATE TABLE refunds_new').replace("'requested','processed'", "'requested','processing','processed'")};
+        INSERT INTO refunds_new SELECT * FROM refunds;
+        DROP TABLE refunds;
+        ALTER TABLE refunds_new RENAME TO refunds;
+      `);
+    })();
+    console.log('Allowed the processing refund status');
+  }
+} catch (e) {
+  console.warn('Could not rebuild refunds table:', e?.message || e);
+}
+
+// Per-car security deposit (NULL = platform default PRICING_DEPOSIT)
+ensureColumns('cars', {
+  deposit_amount: 'INTEGER',
+});
+
+// Damage claims captured from a deposit are credited to the host's ledger once per capture
+ensureColumns('host_ledger', {
+  deposit_movement_id: 'INTEGER',
+});
+try {
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_host_ledger_deposit_movement ON host_ledger(deposit_movement_id) WHERE deposit_movement_id IS NOT NULL');
+} catch (e) {
+  console.warn('Could not create host ledger deposit index:', e?.message || e);
+}
+
+// Per-car booking mode (instant | request) and the request-to-book timeline on bookings
+ensureColumns('cars', {
+  booking_mode: "TEXT DEFAULT 'instant'",
+});
+ensureColumns('bookings', {
+  request_expires_at: 'TEXT',
+  accepted_at: 'TEXT',
+  declined_at: 'TEXT',
+});
+
+// Review state of uploaded renter documents, and the resulting verification of each booking
+ensureColumns('attachments', {
+  status: "TEXT DEFAULT 'pending'",
+  rejection_reason: 'TEXT',
+  reviewed_by_role: 'TEXT',
+  reviewed_by: 'INTEGER',
+  reviewed_at: 'TEXT',
+});
+ensureColumns('bookings', {
+  verification_status: 'TEXT',
+  verification_source: 'TEXT',
+});
+
+// Resized copies of a car's photo (see src/utils/images.js)
+ensureColumns('cars', {
+  image_variants_json: 'TEXT',
+});
+
+// Review aggregates (see src/utils/reviews.js)
+ensureColumns('cars', {
+  rating_count: 'INTEGER DEFAULT 0',
+});
+ensureColumns('users', {
+  host_rating: 'REAL',
+  host_rating_count: 'INTEGER DEFAULT 0',
+  renter_rating: 'REAL',
+  renter_rating_count: 'INTEGER DEFAULT 0',
+});
+
+// Contact form messages are support tickets (see src/utils/tickets.js)
+ensureColumns('messages', {
+  subject: 'TEXT',
+  category: "TEXT DEFAULT 'general'",
+  priority: "TEXT DEFAULT 'normal'",
+  assigned_to: 'INTEGER',
+  user_id: 'INTEGER',
+  booking_id: 'INTEGER',
+  car_id: 'INTEGER',
+  updated_at: 'TEXT',
+  resolved_at: 'TEXT',
+  closed_at: 'TEXT',
+});
+
+// Messages from before tickets: `new` ones are open, `replied` ones wait on the customer, and the
+// original message starts each thread (earlier replies were never stored)
+try {
+  db.exec(`
+    UPDATE messages SET status = 'open' WHERE status IS NULL OR status = 'new';
+    UPDATE messages SET status = 'pending' WHERE status = 'replied';
+    INSERT INTO ticket_messages (ticket_id, author_type, body, via, created_at)
+    SELECT m.id, 'customer', m.message, 'web', m.created_at FROM messages m
+    WHERE m.message IS NOT NULL AND NOT EXISTS (SELECT 1 FROM ticket_messages t WHERE t.ticket_id = m.id);
+  `);
+} catch (e) {
+  console.warn('Could not backfill support tickets:', e?.message || e);
+}
+
+// Cars from before galleries: their single photo becomes the gallery cover
+try {
+  db.exec(`
+    INSERT INTO car_images (car_id, path, variants_json, kind, position, is_cover)
+    SELECT c.id, c.image, c.image_variants_json, 'exterior', 0, 1 FROM cars c
+    WHERE c.image IS NOT NULL AND c.image != ''
+      AND NOT EXISTS (SELECT 1 FROM car_images ci WHERE ci.car_id = c.id)
+  `);
+} catch (e) {
+  console.warn('Could not backfill car galleries:', e?.message || e);
+}
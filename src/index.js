@@ -3,8 +3,6 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import './db/migrate.js';
 
 import authRoutes from './routes/auth.js';
@@ -14,21 +12,57 @@ import bookingsRoutes from './routes/bookings.js';
 import messagesRoutes from './routes/messages.js';
 import usersRoutes from './routes/users.js';
 import payoutsRoutes from './routes/payouts.js';
-import { sseHandler } from './utils/events.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import paymentsRoutes from './routes/payments.js';
+import refundsRoutes from './routes/refunds.js';
+import invoicesRoutes from './routes/invoices.js';
+import depositsRoutes from './routes/deposits.js';
+import verificationRoutes from './routes/verification.js';
+import filesRoutes from './routes/files.js';
+import reviewsRoutes from './routes/reviews.js';
+import conversationsRoutes from './routes/conversations.js';
+import { sseHandler, wsUpgradeHandler } from './utils/events.js';
+import { contentTypeFor, readObject } from './storage/index.js';
+import { imageMaxBytes } from './utils/images.js';
+import { expireUnpaidBookings } from './payments/index.js';
+import { expireBookingRequests } from './utils/bookingLifecycle.js';
 
 const app = express();
 
 app.use(helmet());
-app.use(cors({ origin: '*', credentials: false }));
-app.use(express.json({ limit: '10mb' }));
+app.use(cors({ origin: '*', credentials: false, exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Per-Page', 'X-Total-Pages'] }));
+// JSON bodies are small. Renter documents and damage evidence may still arrive as base64 data URLs, and
+// car routes still accept one base64 `imageData` photo; multipart and raw uploads are parsed by the
+// routes themselves (src/utils/uploads.js).
+app.use(['/api/bookings', '/api/verification', '/api/deposits'], express.json({ limit: '10mb' }));
+app.use('/api/cars', express.json({ limit: Math.ceil(imageMaxBytes() * 4 / 3) + 64 * 1024 }));
+// Keep the raw bytes for payment webhooks, whose signatures cover the exact body
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
+// Request log without the tokens and secrets some URLs carry (signed file links, the event stream,
+// the inbound email webhook)
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:token|secret)=)[^&]*/gi, '$1[redacted]'));
 app.use(morgan('dev'));
 
-// Static uploads
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Public uploads: only car images, read from the configured storage driver. Renter documents and
+// damage evidence are served by /api/files after an access check.
+app.get(['/uploads/cars/:name', '/uploads/cars/:carId(\\d+)/:name'], async (req, res) => {
+  if (!/^[\w.-]+$/.test(req.params.name) || req.params.name.startsWith('.')) return res.status(404).end();
+  const key = req.params.carId ? `cars/${req.params.carId}/${req.params.name}` : `cars/${req.params.name}`;
+  try {
+    const content = await readObject(key);
+    if (!content) return res.status(404).end();
+    res.set('Cache-Control', 'public, max-age=3600');
+    return res.type(contentTypeFor(key)).send(content);
+  } catch (e) {
+    console.error('[storage] car image failed:', e?.message || e);
+    return res.status(502).end();
+  }
+});
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -38,6 +72,14 @@ app.use('/api/bookings', bookingsRoutes);
 app.use('/api/messages', messagesRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/payouts', payoutsRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/refunds', refundsRoutes);
+app.use('/api/invoices', invoicesRoutes);
+app.use('/api/deposits', depositsRoutes);
+app.use('/api/verification', verificationRoutes);
+app.use('/api/files', filesRoutes);
+app.use('/api/reviews', reviewsRoutes);
+app.use('/api/conversations', conversationsRoutes);
 
 // Real-time events (SSE)
 app.get('/api/events', sseHandler);
@@ -52,7 +94,22 @@ app.use('/api/*', (req, res, next) => {
   res.status(404).json({ error: 'Route not found', path: req.originalUrl });
 });
 
+// Oversized or malformed request bodies
+app.use((err, req, res, next) => {
+  if (err?.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large', limit: err.limit });
+  if (err?.type === 'entity.parse.failed') return res.status(400).json({ error: 'Malformed request body' });
+  return next(err);
+});
+
+// Release cars held by bookings whose payment never arrived, or whose host never answered the request
+setInterval(() => {
+  expireUnpaidBookings().catch((e) => console.warn('[payments] expiry sweep failed:', e?.message || e));
+  expireBookingRequests().catch((e) => console.warn('[bookings] request expiry sweep failed:', e?.message || e));
+}, 60 * 1000).unref();
+
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Gomel Cars backend running on http://localhost:${PORT}`);
 });
+// Real-time events over WebSocket at /api/ws (same events as /api/events)
+server.on('upgrade', wsUpgradeHandler);
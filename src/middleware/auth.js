@@ -1,18 +1,30 @@
 import jwt from 'jsonwebtoken';
 
-export function requireAuth(req, res, next) {
+export function bearerToken(req) {
   const header = req.headers.authorization || '';
-  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
-  if (!token) return res.status(401).json({ error: 'Unauthorized' });
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Token payload ({ id, role, ... }) or null when the token is invalid or expired. Sign-in tokens have
+// no audience; tokens minted for one purpose (signed file URLs) do and are not sign-ins.
+export function verifyToken(token) {
   try {
     const payload = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
-    req.user = payload;
-    next();
+    return payload.aud ? null : payload;
   } catch (e) {
-    return res.status(401).json({ error: 'Invalid token' });
+    return null;
   }
 }
 
+export function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: 'Unauthorized' });
+  const payload = verifyToken(token);
+  if (!payload) return res.status(401).json({ error: 'Invalid token' });
+  req.user = payload;
+  next();
+}
+
 export function requireAdmin(req, res, next) {
   requireAuth(req, res, () => {
     if (req.user?.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
@@ -0,0 +1,264 @@
+// Payments: provider registry and the booking-side bookkeeping around it.
+//
+// A provider implements:
+//   name
+//   createIntent({ amount, currency, reference, notes }) -> Promise<{ intentId, amount, currency, checkout }>
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(body) -> { intentId, providerPaymentId, method, amount, status: 'paid'|'failed'|'ignored' }
+//   verifyCheckout({ intentId, paymentId, signature }) -> { intentId, providerPaymentId } | null
+//   refund({ providerPaymentId, amount, notes }) -> Promise<{ refundId, amount }>
+//
+// Bookings start pending and are only confirmed here, once the provider has verified the payment.
+
+import db from '../db/index.js';
+import { bookingChannels, broadcast } from '../utils/events.js';
+import { mirrorBookingToMongo } from '../utils/mongo.js';
+import { applyBookingAction, getBookingWithHost, SYSTEM_ACTOR } from '../utils/bookingLifecycle.js';
+import { toRefund, bookingPaidAmount, bookingRefundedAmount, createRefund, MODIFICATION_REFUND_REASON } from '../utils/refunds.js';
+import { findBlackoutConflict, findBookingConflict } from '../utils/availability.js';
+import { issueRefundCreditNote } from '../utils/invoices.js';
+import { holdBookingDeposit, releaseDepositForRefund } from '../utils/deposits.js';
+import fakeProvider from './providers/fake.js';
+import razorpayProvider from './providers/razorpay.js';
+
+const providers = new Map([[razorpayProvider.name, razorpayProvider]]);
+
+// The fake provider confirms bookings on a shared secret alone, so it only exists when chosen as
+// PAYMENT_PROVIDER outside production, and never with a default secret
+if (configuredProviderName() === fakeProvider.name) {
+  if (process.env.NODE_ENV === 'production') throw new Error('PAYMENT_PROVIDER=fake is not allowed in production');
+  if (!process.env.FAKE_PAYMENT_SECRET) throw new Error('PAYMENT_PROVIDER=fake needs FAKE_PAYMENT_SECRET');
+  providers.set(fakeProvider.name, fakeProvider);
+}
+
+export { SYSTEM_ACTOR };
+
+// cancel_reason of bookings expireUnpaidBookings() gave up on
+const PAYMENT_TIMEOUT_REASON = 'payment_timeout';
+const LATE_PAYMENT_REFUND_REASON = 'payment_after_expiry';
+
+export function configuredProviderName() {
+  return process.env.PAYMENT_PROVIDER || 'razorpay';
+}
+
+export function registerPaymentProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+// A registered provider by name (for payments already made through it), by default the configured one
+export function getPaymentProvider(name = configuredProviderName()) {
+  return providers.get(name) || null;
+}
+
+export function toPayment(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    provider: row.provider,
+    intentId: row.intent_id,
+    providerPaymentId: row.provider_payment_id || null,
+    method: row.method || null,
+    amount: row.amount,
+    currency: row.currency,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Amount the renter pays up front: the quoted total plus any deposit
+export function bookingAmountDue(booking) {
+  if (booking?.price_breakdown_json) {
+    try {
+      const q = JSON.parse(booking.price_breakdown_json);
+      if (Number.isFinite(Number(q?.amountDue))) return Number(q.amountDue);
+    } catch (_) {
+      // fall back to total_cost
+    }
+  }
+  return Number(booking?.total_cost) || 0;
+}
+
+// What the renter still owes: the amount due less payments not refunded since. Only more than zero
+// before the first payment, or after a modification made a paid booking dearer.
+export function bookingBalanceDue(booking) {
+  const net = bookingPaidAmount(booking.id) - bookingRefundedAmount(booking.id, { includeRequested: false });
+  return Math.max(0, bookingAmountDue(booking) - net);
+}
+
+// Intents always go to the configured provider; clients do not get to pick one
+export async function createIntentForBooking(booking) {
+  const provider = getPaymentProvider();
+  if (!provider) return { status: 503, error: 'Payment provider not configured' };
+  const amount = bookingBalanceDue(booking);
+  if (amount < 1) return { status: 400, error: 'Nothing to pay for this booking' };
+  const currency = (() => {
+    try { return JSON.parse(booking.price_breakdown_json || '{}').currency || 'INR'; } catch (_) { return 'INR'; }
+  })();
+
+  const intent = await provider.createIntent({
+    amount,
+    currency,
+    reference: `booking_${booking.id}`,
+    notes: { bookingId: String(booking.id) },
+  });
+  const info = db
+    .prepare('INSERT INTO payments (booking_id, provider, intent_id, amount, currency, status) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(booking.id, provider.name, intent.intentId, amount, intent.currency || currency, 'created');
+  const row = db.prepare('SELECT * FROM payments WHERE id = ?').get(info.lastInsertRowid);
+  return { payment: row, checkout: intent.checkout };
+}
+
+// A payment that arrives after expireUnpaidBookings() cancelled its booking: put the booking back to
+// pending (so it is confirmed like any paid one) when its dates are still free, the car is still
+// bookable and pickup is ahead. Returns whether it was reinstated.
+function reinstateExpiredBooking(booking) {
+  const tx = db.transaction(() => {
+    const car = db.prepare('SELECT available FROM cars WHERE id = ?').get(booking.car_id);
+    if (!car || !car.available) return false;
+    if (booking.pickup_date && new Date(booking.pickup_date) <= new Date()) return false;
+    if (findBookingConflict(booking.car_id, booking.pickup_date, booking.return_date, { excludeBookingId: booking.id })) return false;
+    if (findBlackoutConflict(booking.car_id, booking.pickup_date, booking.return_date)) return false;
+    const info = db.prepare(`
+      UPDATE bookings SET status = 'pending', status_updated_at = ?, cancelled_at = NULL, cancelled_by = NULL, cancel_reason = NULL
+      WHERE id = ? AND status = 'cancelled' AND cancel_reason = ?
+    `).run(new Date().toISOString(), booking.id, PAYMENT_TIMEOUT_REASON);
+    return info.changes > 0;
+  });
+  return tx.immediate();
+}
+
+// Record a verified provider result and confirm the booking when it is paid.
+// Idempotent: replays of the same webhook leave the payment untouched.
+export async function applyPaymentResult(providerName, { intentId, providerPaymentId, method, amount, status }) {
+  if (status === 'ignored') return { ignored: true };
+  const payment = db.prepare('SELECT * FROM payments WHERE provider = ? AND intent_id = ?').get(providerName, intentId);
+  if (!payment) return { status: 404, error: 'Unknown payment intent' };
+  if (payment.status === 'paid') return { payment, duplicate: true };
+
+  let next = status;
+  if (status === 'paid' && amount != null && Number(amount) !== Number(payment.amount)) {
+    console.warn(`[payments] amount mismatch on ${intentId}: expected ${payment.amount}, got ${amount}`);
+    next = 'failed';
+  }
+
+  db.prepare(`
+    UPDATE payments SET status = ?, provider_payment_id = COALESCE(?, provider_payment_id), method = COALESCE(?, method), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(next, providerPaymentId || null, method || null, payment.id);
+  // Once anything is paid the booking is 'paid' or, when a payment fell short of a changed price, 'balance_due'
+  const paidAny = bookingPaidAmount(payment.booking_id) > 0;
+  const paymentStatus = paidAny
+    ? (bookingBalanceDue(db.prepare('SELECT * FROM bookings WHERE id = ?').get(payment.booking_id)) > 0 ? 'balance_due' : 'paid')
+    : next;
+  db.prepare('UPDATE bookings SET payment_id = COALESCE(?, payment_id), payment_method = COALESCE(?, payment_method), payment_status = ? WHERE id = ?')
+    .run(providerPaymentId || null, method || null, paymentStatus, payment.booking_id);
+
+  // Paid after the hold ran out: reinstate the booking if nothing took its place, else pay it back
+  let booking = getBookingWithHost(payment.booking_id);
+  let lateRefund = null;
+  if (next === 'paid' && booking?.status === 'cancelled' && booking.cancel_reason === PAYMENT_TIMEOUT_REASON) {
+    if (reinstateExpiredBooking(booking)) {
+      booking = getBookingWithHost(payment.booking_id);
+    } else {
+      lateRefund = createRefund({ booking, amount: payment.amount, reason: LATE_PAYMENT_REFUND_REASON, role: 'system', userId: null });
+    }
+  }
+
+  if (paymentStatus === 'paid' && !lateRefund) holdBookingDeposit(payment.booking_id);
+
+  if (paymentStatus === 'paid' && booking?.status === 'pending') {
+    const result = applyBookingAction(booking, 'confirm', SYSTEM_ACTOR, { note: `Payment ${providerPaymentId || intentId} verified` });
+    if (result.row) {
+      booking = result.row;
+      broadcast('booking_status_changed', { id: booking.id, userId: booking.user_id, carId: booking.car_id, status: booking.status, action: 'confirm', previousStatus: result.previousStatus }, bookingChannels(booking.id));
+    }
+  }
+  try { await mirrorBookingToMongo(db.prepare('SELECT * FROM bookings WHERE id = ?').get(payment.booking_id)); } catch {}
+
+  const updated = db.prepare('SELECT * FROM payments WHERE id = ?').get(payment.id);
+  broadcast('payment_updated', toPayment(updated), bookingChannels(updated.booking_id));
+  if (lateRefund) {
+    broadcast('refund_requested', toRefund(lateRefund), bookingChannels(lateRefund.booking_id));
+    await processRefund(lateRefund, { note: 'Paid after the booking expired unpaid' });
+  }
+  return { payment: updated };
+}
+
+// Cancel pending bookings whose payment never arrived so they stop holding the car.
+// Bookings with part of a changed price paid are left for the renter to settle.
+export async function expireUnpaidBookings(holdMinutes = Number(process.env.PAYMENT_HOLD_MINUTES) || 30) {
+  const cutoff = new Date(Date.now() - holdMinutes * 60 * 1000).toISOString();
+  const rows = db.prepare(`
+    SELECT b.*, c.host_id AS host_id
+    FROM bookings b
+    LEFT JOIN cars c ON c.id = b.car_id
+    WHERE b.status = 'pending'
+      AND COALESCE(b.payment_status, 'unpaid') NOT IN ('paid', 'balance_due')
+      AND datetime(COALESCE(b.status_updated_at, b.created_at)) < datetime(?)
+  `).all(cutoff);
+  for (const booking of rows) {
+    const result = applyBookingAction(booking, 'cancel', SYSTEM_ACTOR, { reason: PAYMENT_TIMEOUT_REASON });
+    if (!result.row) continue;
+    try { await mirrorBookingToMongo(result.row); } catch {}
+    broadcast('booking_status_changed', { id: booking.id, userId: booking.user_id, carId: booking.car_id, status: result.row.status, action: 'cancel', previousStatus: result.previousStatus }, bookingChannels(booking.id));
+  }
+  return rows.length;
+}
+
+// Send an approved refund to the provider that took the payment and record the outcome. Returns the
+// refund row, or null when the request was no longer 'requested' (another approval got there first).
+export async function processRefund(refund, { amount = refund.amount, note = null, adminId = null } = {}) {
+  // Claim the request first so overlapping approvals cannot both reach the provider
+  const claimed = db.prepare(`
+    UPDATE refunds SET status = 'processing', updated_at = datetime('now') WHERE id = ? AND status = 'requested'
+  `).run(refund.id);
+  if (claimed.changes !== 1) return null;
+
+  const payment = refund.payment_id ? db.prepare('SELECT * FROM payments WHERE id = ?').get(refund.payment_id) : null;
+  const provider = payment ? getPaymentProvider(payment.provider) : null;
+  const finish = (status, providerRefundId = null) => {
+    db.prepare(`
+      UPDATE refunds SET status = ?, amount = ?, provider_refund_id = ?, note = COALESCE(?, note), processed_by = ?,
+        processed_at = CASE WHEN ? = 'processed' THEN datetime('now') ELSE processed_at END, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(status, amount, providerRefundId, note, adminId, status, refund.id);
+    return db.prepare('SELECT * FROM refunds WHERE id = ?').get(refund.id);
+  };
+
+  let row;
+  if (!payment || !provider?.refund) {
+    row = finish('failed');
+  } else {
+    try {
+      const result = await provider.refund({
+        providerPaymentId: payment.provider_payment_id,
+        amount,
+        notes: { bookingId: String(refund.booking_id), refundId: String(refund.id) },
+      });
+      row = finish('processed', result.refundId);
+    } catch (e) {
+      console.warn('[payments] refund failed:', e?.message || e);
+      row = finish('failed');
+    }
+  }
+
+  if (row.status === 'processed') {
+    const remaining = bookingPaidAmount(row.booking_id) - bookingRefundedAmount(row.booking_id, { includeRequested: false });
+    db.prepare('UPDATE bookings SET payment_status = ? WHERE id = ?')
+      .run(remaining > 0 ? 'partially_refunded' : 'refunded', row.booking_id);
+    // A modification refund returns a price difference the reissued invoice already shows
+    if (row.reason !== MODIFICATION_REFUND_REASON) {
+      const depositAmount = releaseDepositForRefund(row);
+      try {
+        issueRefundCreditNote(row, { depositAmount });
+      } catch (e) {
+        console.warn('[invoices] could not issue credit note for refund', row.id, e?.message || e);
+      }
+    }
+    try { await mirrorBookingToMongo(db.prepare('SELECT * FROM bookings WHERE id = ?').get(row.booking_id)); } catch {}
+  }
+  broadcast('refund_updated', toRefund(row), bookingChannels(row.booking_id));
+  return row;
+}
@@ -0,0 +1,60 @@
+// Local fake payment provider for development and tests (PAYMENT_PROVIDER=fake, never in production).
+// Intents never leave the process; a "webhook" is any JSON body signed with
+// FAKE_PAYMENT_SECRET (hex HMAC-SHA256 of the raw body) in the x-fake-signature header:
+//   { "type": "payment.succeeded" | "payment.failed", "intentId", "paymentId", "amount", "method" }
+
+import crypto from 'crypto';
+
+// Only registered when FAKE_PAYMENT_SECRET is set (see src/payments/index.js)
+function secret() {
+  return process.env.FAKE_PAYMENT_SECRET;
+}
+
+export function signFakePayload(rawBody) {
+  return crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const ab = Buffer.from(String(a || ''), 'utf8');
+  const bb = Buffer.from(String(b || ''), 'utf8');
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+const fakeProvider = {
+  name: 'fake',
+
+  async createIntent({ amount, currency }) {
+    const intentId = `fake_intent_${crypto.randomUUID()}`;
+    return { intentId, amount, currency, checkout: { provider: 'fake', intentId, amount, currency } };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    if (!rawBody) return false;
+    return safeEqualHex(headers['x-fake-signature'], signFakePayload(rawBody));
+  },
+
+  parseWebhook(body) {
+    const statusMap = { 'payment.succeeded': 'paid', 'payment.failed': 'failed' };
+    return {
+      intentId: body?.intentId || null,
+      providerPaymentId: body?.paymentId || null,
+      method: body?.method || 'fake',
+      amount: body?.amount != null ? Number(body.amount) : null,
+      status: statusMap[body?.type] || 'ignored',
+    };
+  },
+
+  async refund({ providerPaymentId, amount }) {
+    if (!providerPaymentId) throw new Error('Payment has no provider id to refund');
+    return { refundId: `fake_refund_${crypto.randomUUID()}`, amount };
+  },
+
+  // Checkout callback: the fake provider signs "intentId|paymentId"
+  verifyCheckout({ intentId, paymentId, signature }) {
+    if (!intentId || !paymentId) return null;
+    if (!safeEqualHex(signature, signFakePayload(`${intentId}|${paymentId}`))) return null;
+    return { intentId, providerPaymentId: paymentId };
+  },
+};
+
+export default fakeProvider;
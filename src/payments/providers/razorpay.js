@@ -0,0 +1,92 @@
+// Razorpay provider: orders API for intents, HMAC-signed webhooks and checkout callbacks.
+// Needs RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET. Amounts are sent in paise.
+
+import crypto from 'crypto';
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const ab = Buffer.from(String(a || ''), 'utf8');
+  const bb = Buffer.from(String(b || ''), 'utf8');
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+const razorpayProvider = {
+  name: 'razorpay',
+
+  async createIntent({ amount, currency, reference, notes }) {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    if (!keyId || !keySecret) throw new Error('Razorpay not configured (set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET)');
+
+    const resp = await fetch('https://api.razorpay.com/v1/orders', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+      },
+      body: JSON.stringify({ amount: Math.round(amount * 100), currency, receipt: reference, notes: notes || {} }),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data?.error?.description || `Razorpay order failed (${resp.status})`);
+    return {
+      intentId: data.id,
+      amount,
+      currency: data.currency || currency,
+      checkout: { provider: 'razorpay', keyId, orderId: data.id, amount: data.amount, currency: data.currency || currency },
+    };
+  },
+
+  async refund({ providerPaymentId, amount, notes }) {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    if (!keyId || !keySecret) throw new Error('Razorpay not configured (set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET)');
+    if (!providerPaymentId) throw new Error('Payment has no provider id to refund');
+
+    const resp = await fetch(`https://api.razorpay.com/v1/payments/${encodeURIComponent(providerPaymentId)}/refund`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+      },
+      body: JSON.stringify({ amount: Math.round(amount * 100), notes: notes || {} }),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data?.error?.description || `Razorpay refund failed (${resp.status})`);
+    return { refundId: data.id, amount: Number(data.amount) / 100 };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !rawBody) return false;
+    return safeEqualHex(headers['x-razorpay-signature'], hmac(secret, rawBody));
+  },
+
+  parseWebhook(body) {
+    const payment = body?.payload?.payment?.entity || {};
+    const order = body?.payload?.order?.entity || {};
+    let status = 'ignored';
+    if (body?.event === 'payment.captured' || body?.event === 'order.paid') status = 'paid';
+    else if (body?.event === 'payment.failed') status = 'failed';
+    const paise = payment.amount ?? order.amount_paid ?? null;
+    return {
+      intentId: payment.order_id || order.id || null,
+      providerPaymentId: payment.id || null,
+      method: payment.method || null,
+      amount: paise != null ? Number(paise) / 100 : null,
+      status,
+    };
+  },
+
+  // Checkout handler callback: signature is HMAC(order_id|payment_id) with the key secret
+  verifyCheckout({ intentId, paymentId, signature }) {
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    if (!keySecret || !intentId || !paymentId) return null;
+    if (!safeEqualHex(signature, hmac(keySecret, `${intentId}|${paymentId}`))) return null;
+    return { intentId, providerPaymentId: paymentId };
+  },
+};
+
+export default razorpayProvider;
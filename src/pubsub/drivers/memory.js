@@ -0,0 +1,18 @@
+// In-process bus for a single backend instance
+
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+export default {
+  name: 'memory',
+
+  async publish(message) {
+    emitter.emit('message', message);
+  },
+
+  async subscribe(handler) {
+    emitter.on('message', handler);
+  },
+};
@@ -0,0 +1,60 @@
+// Messages are inserted into EVENT_BUS_COLLECTION (default event_bus) of the MONGODB_URI database and
+// read back by every instance through a change stream. Change streams need a replica set or sharded
+// cluster (Atlas is one); on a standalone server the stream fails and is retried. A TTL index removes
+// messages after an hour.
+
+import { getMongoDb } from '../../utils/mongo.js';
+
+const RETRY_MS = 5000;
+
+async function collection() {
+  const mongo = await getMongoDb();
+  if (!mongo) throw new Error('MongoDB is not connected');
+  return mongo.collection(process.env.EVENT_BUS_COLLECTION || 'event_bus');
+}
+
+export default {
+  name: 'mongo',
+
+  async publish(message) {
+    const col = await collection();
+    // Stored as JSON so payload keys never clash with Mongo's field rules
+    await col.insertOne({ origin: message.origin, message: JSON.stringify(message), createdAt: new Date() });
+  },
+
+  async subscribe(handler) {
+    let resumeAfter = null;
+    let indexed = false;
+    const retry = () => setTimeout(open, RETRY_MS).unref();
+    async function open() {
+      try {
+        const col = await collection();
+        if (!indexed) {
+          await col.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+          indexed = true;
+        }
+        const stream = col.watch([{ $match: { operationType: 'insert' } }], resumeAfter ? { resumeAfter } : {});
+        let failed = false;
+        stream.on('change', (change) => {
+          resumeAfter = change._id;
+          try {
+            handler(JSON.parse(change.fullDocument.message));
+          } catch (e) {
+            console.warn('[pubsub] mongo message skipped:', e?.message || e);
+          }
+        });
+        stream.on('error', (e) => {
+          if (failed) return;
+          failed = true;
+          console.warn('[pubsub] mongo change stream failed:', e?.message || e);
+          stream.close().catch(() => {});
+          retry();
+        });
+      } catch (e) {
+        console.warn('[pubsub] mongo change stream unavailable:', e?.message || e);
+        retry();
+      }
+    }
+    await open();
+  },
+};
@@ -0,0 +1,181 @@
+// Redis PUBLISH / SUBSCRIBE on EVENT_BUS_CHANNEL (default gomel:events) at REDIS_URL
+// (redis://[user:password@]host:6379, or rediss:// for TLS). Anything speaking the Redis protocol
+// works: Valkey, KeyDB, or the stand-in broker in src/scripts/event_broker.js. A small RESP client over
+// a socket is enough for this, so no Redis package is needed. Messages published while the connection
+// is down are not resent; the subscriber reconnects every few seconds.
+
+import net from 'net';
+import tls from 'tls';
+
+const RETRY_MS = 2000;
+
+function config() {
+  const url = new URL(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+  return {
+    host: url.hostname,
+    port: Number(url.port) || 6379,
+    tls: url.protocol === 'rediss:',
+    username: decodeURIComponent(url.username),
+    password: decodeURIComponent(url.password),
+    channel: process.env.EVENT_BUS_CHANNEL || 'gomel:events',
+  };
+}
+
+// A command as a RESP array of bulk strings
+export function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map((a) => `$${Buffer.byteLength(String(a))}\r\n${a}\r\n`).join('')}`;
+}
+
+// One RESP value from `buf` at `offset`: { value, offset } (just past it), or null while incomplete.
+// Error replies become Error values.
+export function parseReply(buf, offset = 0) {
+  const end = buf.indexOf('\r\n', offset);
+  if (end === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, end);
+  const next = end + 2;
+  if (type === '+') return { value: line, offset: next };
+  if (type === '-') return { value: new Error(line), offset: next };
+  if (type === ':') return { value: Number(line), offset: next };
+  if (type === '$') {
+    const length = Number(line);
+    if (length < 0) return { value: null, offset: next };
+    if (buf.length < next + length + 2) return null;
+    return { value: buf.toString('utf8', next, next + length), offset: next + length + 2 };
+  }
+  if (type === '*') {
+    const count = Number(line);
+    if (count < 0) return { value: null, offset: next };
+    const items = [];
+    let at = next;
+    for (let i = 0; i < count; i += 1) {
+      const item = parseReply(buf, at);
+      if (!item) return null;
+      items.push(item.value);
+      at = item.offset;
+    }
+    return { value: items, offset: at };
+  }
+  throw new Error(`Unexpected reply from Redis: ${JSON.stringify(type)}`);
+}
+
+// A connection whose command() promises resolve in reply order. Pushed pub/sub messages go to
+// onMessage, and onClose runs once the socket is gone.
+function connect(cfg, { onMessage = null, onClose = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = cfg.tls
+      ? tls.connect({ host: cfg.host, port: cfg.port, servername: cfg.host })
+      : net.connect({ host: cfg.host, port: cfg.port });
+    const pending = [];
+    let buffer = Buffer.alloc(0);
+    let closed = false;
+
+    const conn = {
+      command(...args) {
+        return new Promise((res, rej) => {
+          if (closed) return rej(new Error('Redis connection closed'));
+          pending.push({ res, rej });
+          socket.write(encodeCommand(args));
+        });
+      },
+      close() {
+        socket.end();
+      },
+    };
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        let reply;
+        let offset = 0;
+        while (offset < buffer.length && (reply = parseReply(buffer, offset))) {
+          offset = reply.offset;
+          const { value } = reply;
+          if (onMessage && Array.isArray(value) && value[0] === 'message') {
+            onMessage(value[2]);
+            continue;
+          }
+          const waiting = pending.shift();
+          if (waiting) (value instanceof Error ? waiting.rej(value) : waiting.res(value));
+        }
+        buffer = buffer.subarray(offset);
+      } catch (e) {
+        socket.destroy(e);
+      }
+    });
+    // Failures after connecting surface through 'close'
+    socket.on('error', reject);
+    socket.on('close', () => {
+      closed = true;
+      pending.splice(0).forEach((p) => p.rej(new Error('Redis connection closed')));
+      reject(new Error('Redis connection closed'));
+      onClose?.();
+    });
+    socket.once(cfg.tls ? 'secureConnect' : 'connect', async () => {
+      try {
+        if (cfg.password) await conn.command('AUTH', ...(cfg.username ? [cfg.username] : []), cfg.password);
+        resolve(conn);
+      } catch (e) {
+        socket.destroy();
+        reject(e);
+      }
+    });
+  });
+}
+
+let publisher = null;
+
+function publisherConnection(cfg) {
+  if (!publisher) {
+    publisher = connect(cfg, { onClose: () => { publisher = null; } });
+    publisher.catch(() => { publisher = null; });
+  }
+  return publisher;
+}
+
+export default {
+  name: 'redis',
+
+  async publish(message) {
+    const cfg = config();
+    const conn = await publisherConnection(cfg);
+    await conn.command('PUBLISH', cfg.channel, JSON.stringify(message));
+  },
+
+  async subscribe(handler) {
+    const cfg = config();
+    const retry = () => setTimeout(open, RETRY_MS).unref();
+    const onMessage = (payload) => {
+      try {
+        handler(JSON.parse(payload));
+      } catch (e) {
+        console.warn('[pubsub] redis message skipped:', e?.message || e);
+      }
+    };
+    // Warn once per outage, not on every retry
+    let warned = false;
+    async function open() {
+      let conn = null;
+      try {
+        conn = await connect(cfg, {
+          onMessage,
+          onClose: () => {
+            if (!conn) return;
+            console.warn('[pubsub] redis subscriber disconnected; reconnecting');
+            warned = true;
+            retry();
+          },
+        });
+        await conn.command('SUBSCRIBE', cfg.channel);
+        if (warned) console.log('[pubsub] redis subscriber reconnected');
+        warned = false;
+      } catch (e) {
+        if (!warned) console.warn(`[pubsub] redis subscribe to ${cfg.host}:${cfg.port} failed:`, e?.message || e);
+        warned = true;
+        if (conn) conn.close();
+        else retry();
+      }
+    }
+    await open();
+  },
+};
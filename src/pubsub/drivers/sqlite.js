@@ -0,0 +1,41 @@
+// Instances on one machine sharing data/gomel.db: messages are appended to the event_bus table, which
+// every instance polls every EVENT_BUS_POLL_MS (default 500). Rows older than an hour are pruned.
+
+import db from '../../db/index.js';
+
+const RETENTION = '-1 hours';
+
+function pollInterval() {
+  const ms = Number(process.env.EVENT_BUS_POLL_MS);
+  return Number.isInteger(ms) && ms > 0 ? ms : 500;
+}
+
+export default {
+  name: 'sqlite',
+
+  async publish(message) {
+    db.prepare('INSERT INTO event_bus (origin, message) VALUES (?, ?)').run(message.origin, JSON.stringify(message));
+  },
+
+  async subscribe(handler) {
+    // Only messages published after this instance started
+    let last = db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM event_bus').get().id;
+    let pruned = 0;
+    const next = db.prepare('SELECT * FROM event_bus WHERE id > ? ORDER BY id ASC LIMIT 500');
+    const timer = setInterval(() => {
+      try {
+        for (const row of next.all(last)) {
+          last = row.id;
+          handler(JSON.parse(row.message));
+        }
+        if (Date.now() - pruned > 60 * 1000) {
+          db.prepare("DELETE FROM event_bus WHERE created_at < datetime('now', ?)").run(RETENTION);
+          pruned = Date.now();
+        }
+      } catch (e) {
+        console.warn('[pubsub] sqlite poll failed:', e?.message || e);
+      }
+    }, pollInterval());
+    timer.unref();
+  },
+};
@@ -0,0 +1,82 @@
+// Event bus behind broadcast() (src/utils/events.js), so an event reaches SSE clients on every backend
+// instance, not only the one that handled the request. EVENT_BUS picks the driver:
+//   memory (default)  one process, nothing leaves it
+//   redis             PUBLISH / SUBSCRIBE at REDIS_URL
+//   sqlite            instances sharing data/gomel.db poll the event_bus table
+//   mongo             a change stream on a collection of the MONGODB_URI database (needs a replica set)
+//
+// A driver implements:
+//   name
+//   publish(message) -> Promise<void>
+//   subscribe(handler: (message) => void) -> Promise<void>   (called once; the driver keeps listening and
+//                                                           reconnects by itself)
+//
+// Messages reach this instance's subscribers straight away and are then handed to the driver tagged
+// with `origin`; copies that come back to the instance that sent them are dropped. When the bus is
+// unreachable, events still reach the clients of the instance they happened on.
+
+import crypto from 'crypto';
+import memoryDriver from './drivers/memory.js';
+import redisDriver from './drivers/redis.js';
+import sqliteDriver from './drivers/sqlite.js';
+import mongoDriver from './drivers/mongo.js';
+
+export const INSTANCE_ID = crypto.randomBytes(4).toString('hex');
+
+const drivers = new Map([
+  [memoryDriver.name, memoryDriver],
+  [redisDriver.name, redisDriver],
+  [sqliteDriver.name, sqliteDriver],
+  [mongoDriver.name, mongoDriver],
+]);
+
+const handlers = [];
+let active = null;
+
+export function registerPubSubDriver(driver) {
+  drivers.set(driver.name, driver);
+}
+
+export function getPubSub(name = process.env.EVENT_BUS || 'memory') {
+  const driver = drivers.get(name);
+  if (!driver) throw new Error(`Unknown event bus: ${name}`);
+  return driver;
+}
+
+// The configured driver, subscribed on first use. A misconfigured bus must not break the requests
+// that broadcast, so it falls back to memory.
+function bus() {
+  if (active) return active;
+  try {
+    active = getPubSub();
+  } catch (e) {
+    console.warn(`[pubsub] ${e.message}; using memory`);
+    active = memoryDriver;
+  }
+  active.subscribe((message) => {
+    if (message?.origin !== INSTANCE_ID) deliver(message);
+  }).catch((e) => console.warn(`[pubsub] ${active.name} subscribe failed:`, e?.message || e));
+  return active;
+}
+
+function deliver(message) {
+  for (const handler of handlers) {
+    try {
+      handler(message);
+    } catch (e) {
+      console.warn('[pubsub] handler failed:', e?.message || e);
+    }
+  }
+}
+
+export function subscribe(handler) {
+  handlers.push(handler);
+  bus();
+}
+
+export function publish(message) {
+  const tagged = { ...message, origin: INSTANCE_ID };
+  deliver(tagged);
+  const driver = bus();
+  driver.publish(tagged).catch((e) => console.warn(`[pubsub] ${driver.name} publish failed:`, e?.message || e));
+}
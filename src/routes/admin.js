@@ -2,8 +2,10 @@ import express from 'express';
 import db from '../db/index.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { requireAdmin } from '../middleware/auth.js';
+import { FEE_KINDS, FEE_SCOPES, FEE_CALCS, toFeeRule, normalizeScopeValue, resolveFeeRules } from '../utils/fees.js';
+import { computeQuote } from '../utils/pricing.js';
 
 const router = express.Router();
 
@@ -32,4 +34,111 @@ router.get('/me', requireAdmin, (req, res) => {
   return res.json({ admin });
 });
 
+// Fee configuration: commission, renter fees and tax lines. Changes apply to new bookings only;
+// existing bookings keep the rules snapshotted in their quote.
+router.get('/fees', requireAdmin, (req, res) => {
+  const rows = db.prepare('SELECT * FROM fee_rules ORDER BY scope, scope_value, kind, code').all();
+  return res.json(rows.map(toFeeRule));
+});
+
+// Which rules apply to a car, and the resulting quote for a sample range
+router.get(
+  '/fees/preview',
+  requireAdmin,
+  query('carId').isInt({ min: 1 }),
+  query('days').optional().isInt({ min: 1, max: 365 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const car = db.prepare('SELECT * FROM cars WHERE id = ?').get(req.query.carId);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+    const from = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const to = new Date(from.getTime() + (Number(req.query.days) || 1) * 24 * 60 * 60 * 1000);
+    const { quote } = computeQuote(car, { pickupDate: from.toISOString().slice(0, 10), returnDate: to.toISOString().slice(0, 10) });
+    return res.json({ rules: resolveFeeRules(car), quote });
+  }
+);
+
+function feeRuleChecks({ partial = false } = {}) {
+  const opt = (chain) => (partial ? chain.optional() : chain);
+  return [
+    opt(body('scope')).isIn(FEE_SCOPES),
+    body('scopeValue').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+    opt(body('code')).isString().trim().matches(/^[a-z0-9_]{1,40}$/),
+    opt(body('kind')).isIn(FEE_KINDS),
+    body('calc').optional().isIn(FEE_CALCS),
+    opt(body('rate')).isFloat({ min: 0 }),
+    body('label').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+    body('active').optional().isBoolean(),
+  ];
+}
+
+// Returns an error message for an invalid combination, or null
+function feeRuleProblem(rule) {
+  if (rule.scope !== 'global' && !rule.scope_value) return 'scopeValue is required for city and host rules';
+  if (rule.scope === 'host' && !db.prepare('SELECT id FROM users WHERE id = ?').get(rule.scope_value)) return 'Host not found';
+  if (rule.kind === 'tax' && rule.calc !== 'percent') return 'Tax rules must be a percentage';
+  if (rule.calc === 'percent' && Number(rule.rate) > 100) return 'Percentage rate cannot exceed 100';
+  return null;
+}
+
+router.post('/fees', requireAdmin, ...feeRuleChecks(), (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  const { scope, scopeValue, code, kind, calc = 'percent', rate, label = null, active = true } = req.body;
+  const rule = { scope, scope_value: normalizeScopeValue(scope, scopeValue), code, kind, calc, rate: Number(rate) };
+  const problem = feeRuleProblem(rule);
+  if (problem) return res.status(400).json({ error: problem });
+
+  const exists = db.prepare('SELECT id FROM fee_rules WHERE scope = ? AND scope_value = ? AND code = ?').get(rule.scope, rule.scope_value, code);
+  if (exists) return res.status(409).json({ error: 'A rule with this code already exists for this scope', id: exists.id });
+
+  const info = db.prepare(`
+    INSERT INTO fee_rules (scope, scope_value, code, kind, calc, rate, label, active, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(rule.scope, rule.scope_value, code, kind, calc, rule.rate, label, active ? 1 : 0, req.user.id);
+  const row = db.prepare('SELECT * FROM fee_rules WHERE id = ?').get(info.lastInsertRowid);
+  return res.status(201).json(toFeeRule(row));
+});
+
+router.put('/fees/:id', requireAdmin, ...feeRuleChecks({ partial: true }), (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  const existing = db.prepare('SELECT * FROM fee_rules WHERE id = ?').get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Not found' });
+
+  const b = req.body;
+  const scope = b.scope ?? existing.scope;
+  const rule = {
+    scope,
+    scope_value: b.scope !== undefined || b.scopeValue !== undefined
+      ? normalizeScopeValue(scope, b.scopeValue ?? existing.scope_value)
+      : existing.scope_value,
+    code: b.code ?? existing.code,
+    kind: b.kind ?? existing.kind,
+    calc: b.calc ?? existing.calc,
+    rate: b.rate !== undefined ? Number(b.rate) : existing.rate,
+    label: b.label !== undefined ? b.label : existing.label,
+    active: b.active !== undefined ? (b.active ? 1 : 0) : existing.active,
+  };
+  const problem = feeRuleProblem(rule);
+  if (problem) return res.status(400).json({ error: problem });
+  const clash = db.prepare('SELECT id FROM fee_rules WHERE scope = ? AND scope_value = ? AND code = ? AND id <> ?')
+    .get(rule.scope, rule.scope_value, rule.code, existing.id);
+  if (clash) return res.status(409).json({ error: 'A rule with this code already exists for this scope', id: clash.id });
+
+  db.prepare(`
+    UPDATE fee_rules SET scope = @scope, scope_value = @scope_value, code = @code, kind = @kind, calc = @calc, rate = @rate,
+      label = @label, active = @active, updated_at = datetime('now')
+    WHERE id = @id
+  `).run({ ...rule, id: existing.id });
+  return res.json(toFeeRule(db.prepare('SELECT * FROM fee_rules WHERE id = ?').get(existing.id)));
+});
+
+router.delete('/fees/:id', requireAdmin, (req, res) => {
+  const info = db.prepare('DELETE FROM fee_rules WHERE id = ?').run(req.params.id);
+  if (!info.changes) return res.status(404).json({ error: 'Not found' });
+  return res.json({ ok: true });
+});
+
 export default router;
@@ -2,18 +2,29 @@ import express from 'express';
 import db from '../db/index.js';
 import { body, validationResult } from 'express-validator';
 import { requireAdmin, requireAuth } from '../middleware/auth.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { ensureDir, saveDataUrl } from '../utils/files.js';
-import fs from 'fs';
-import { broadcast } from '../utils/events.js';
-import { mirrorBookingToMongo, deleteBookingFromMongo, getMongoDb } from '../utils/mongo.js';
+import { dataUrlExtension, saveDataUrl } from '../utils/files.js';
+import { removeObjects } from '../storage/index.js';
+import { bookingChannels, broadcast } from '../utils/events.js';
+import { applyBookingAction, bookingRolesFor, getBookingWithHost, RELEASED_STATUSES, requestExpiresAt } from '../utils/bookingLifecycle.js';
+import { findBookingConflict, findBlackoutConflict, toConflict } from '../utils/availability.js';
+import { computeQuote, quoteForCar } from '../utils/pricing.js';
+import { computeRefund, createRefund, getCarPolicy, toRefund } from '../utils/refunds.js';
+import { createBookingDeposit, bookingDepositDetail } from '../utils/deposits.js';
+import {
+  applyModification,
+  bookingModifications,
+  closeModification,
+  getModification,
+  pendingModificationsByBooking,
+  planModification,
+  requestModification,
+  toModification,
+} from '../utils/bookingModifications.js';
+import { licenseCoversTrip, publicVerification, startBookingVerification } from '../utils/verification.js';
+import { mirrorBookingToMongo, deleteBookingFromMongo, getMongoDb, findMongoBookingConflict } from '../utils/mongo.js';
 
 const router = express.Router();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 function toBooking(row) {
   if (!row) return null;
   return {
@@ -24,17 +35,64 @@ function toBooking(row) {
     returnDate: row.return_date,
     pickupLocation: row.pickup_location,
     returnLocation: row.return_location,
-    verification: row.verification_json ? JSON.parse(row.verification_json) : null,
+    verification: publicVerification(row.verification_json),
     totalCost: row.total_cost,
     days: row.days,
+    price: row.price_breakdown_json ? JSON.parse(row.price_breakdown_json) : null,
     status: row.status,
-    payment: row.payment_id
-      ? { id: row.payment_id, method: row.payment_method, status: row.payment_status }
+    payment: row.payment_id || row.payment_status
+      ? { id: row.payment_id || null, method: row.payment_method, status: row.payment_status }
+      : null,
+    timeline: toTimeline(row),
+    cancellation: row.cancelled_at || row.declined_at
+      ? { by: row.cancelled_by || null, reason: row.cancel_reason || null }
       : null,
+    requestExpiresAt: row.request_expires_at || null,
+    verificationStatus: row.verification_status || null,
+    statusNote: row.status_note || null,
     createdAt: row.created_at,
   };
 }
 
+function toTimeline(row) {
+  return {
+    acceptedAt: row.accepted_at || null,
+    declinedAt: row.declined_at || null,
+    confirmedAt: row.confirmed_at || null,
+    checkedInAt: row.checked_in_at || null,
+    checkedOutAt: row.checked_out_at || null,
+    completedAt: row.completed_at || null,
+    cancelledAt: row.cancelled_at || null,
+    noShowAt: row.no_show_at || null,
+    statusUpdatedAt: row.status_updated_at || null,
+  };
+}
+
+// Map a mirrored Mongo booking document to the same shape as toBooking
+function fromMongoBooking(b) {
+  return {
+    id: b.sqliteId,
+    userId: b.userId,
+    carId: b.carId,
+    pickupDate: b.pickupDate,
+    returnDate: b.returnDate,
+    pickupLocation: b.pickupLocation || null,
+    returnLocation: b.returnLocation || null,
+    verification: publicVerification(b.verification),
+    totalCost: b.totalCost || null,
+    days: b.days || null,
+    price: b.price || null,
+    status: b.status || 'confirmed',
+    payment: b.payment || null,
+    timeline: b.timeline || null,
+    cancellation: b.cancellation || null,
+    requestExpiresAt: b.requestExpiresAt || null,
+    verificationStatus: b.verificationStatus || null,
+    statusNote: b.statusNote || null,
+    createdAt: b.createdAt || null,
+  };
+}
+
 function toBookingFull(row) {
   if (!row) return null;
   const base = toBooking(row);
@@ -72,21 +130,7 @@ router.get('/me', requireAuth, async (req, res) => {
       .find({ userId: req.user.id })
       .sort({ sqliteId: -1 })
       .toArray();
-    const list = docs.map((b) => ({
-      id: b.sqliteId,
-      userId: b.userId,
-      carId: b.carId,
-      pickupDate: b.pickupDate,
-      returnDate: b.returnDate,
-      pickupLocation: b.pickupLocation || null,
-      returnLocation: b.returnLocation || null,
-      verification: b.verification || null,
-      totalCost: b.totalCost || null,
-      days: b.days || null,
-      status: b.status || 'confirmed',
-      payment: b.payment || null,
-      createdAt: b.createdAt || null,
-    }));
+    const list = docs.map(fromMongoBooking);
     return res.json(list);
   }
   const rows = db
@@ -103,6 +147,7 @@ router.get('/host', requireAuth, async (req, res) => {
     const carIds = new Set(cars.map(c => c.sqliteId));
     if (carIds.size === 0) return res.json([]);
     const bookings = await mdb.collection('bookings').find({ carId: { $in: Array.from(carIds) } }).sort({ sqliteId: -1 }).toArray();
+    const modifications = pendingModificationsByBooking(bookings.map(b => b.sqliteId));
     const usersMap = new Map();
     const userIds = Array.from(new Set(bookings.map(b => b.userId)));
     if (userIds.length) {
@@ -112,23 +157,12 @@ router.get('/host', requireAuth, async (req, res) => {
     const carsMap = new Map();
     cars.forEach(c => carsMap.set(c.sqliteId, c));
     const out = bookings.map(b => ({
-      id: b.sqliteId,
-      userId: b.userId,
-      carId: b.carId,
-      pickupDate: b.pickupDate,
-      returnDate: b.returnDate,
-      pickupLocation: b.pickupLocation || null,
-      returnLocation: b.returnLocation || null,
-      verification: b.verification || null,
-      totalCost: b.totalCost || null,
-      days: b.days || null,
-      status: b.status || 'confirmed',
-      payment: b.payment || null,
-      createdAt: b.createdAt || null,
+      ...fromMongoBooking(b),
       user: usersMap.get(b.userId) ? { id: usersMap.get(b.userId).sqliteId, email: usersMap.get(b.userId).email, fullName: usersMap.get(b.userId).fullName || null, mobile: usersMap.get(b.userId).mobile || null } : null,
       userEmail: usersMap.get(b.userId)?.email || null,
       userFullName: usersMap.get(b.userId)?.fullName || null,
       car: carsMap.get(b.carId) ? { id: b.carId, name: carsMap.get(b.carId).name, type: carsMap.get(b.carId).type, fuel: carsMap.get(b.carId).fuel, transmission: carsMap.get(b.carId).transmission, pricePerDay: carsMap.get(b.carId).pricePerDay } : null,
+      pendingModification: toModification(modifications.get(b.sqliteId)),
     }));
     return res.json(out);
   }
@@ -142,7 +176,9 @@ router.get('/host', requireAuth, async (req, res) => {
     WHERE c.host_id = ?
     ORDER BY b.id DESC
   `).all(req.user.id);
-  return res.json(rows.map(toBookingFull));
+  // Changes waiting for the host's approval are shown with their booking
+  const modifications = pendingModificationsByBooking(rows.map((r) => r.id));
+  return res.json(rows.map((r) => ({ ...toBookingFull(r), pendingModification: toModification(modifications.get(r.id)) })));
 });
 
 // Admin: list all
@@ -159,21 +195,7 @@ router.get('/', requireAdmin, async (req, res) => {
     const usersMap = new Map(users.map(u => [u.sqliteId, u]));
     const carsMap = new Map(cars.map(c => [c.sqliteId, c]));
     const out = bookings.map(b => ({
-      ...{
-        id: b.sqliteId,
-        userId: b.userId,
-        carId: b.carId,
-        pickupDate: b.pickupDate,
-        returnDate: b.returnDate,
-        pickupLocation: b.pickupLocation || null,
-        returnLocation: b.returnLocation || null,
-        verification: b.verification || null,
-        totalCost: b.totalCost || null,
-        days: b.days || null,
-        status: b.status || 'confirmed',
-        payment: b.payment || null,
-        createdAt: b.createdAt || null,
-      },
+      ...fromMongoBooking(b),
       user: usersMap.get(b.userId) ? { id: usersMap.get(b.userId).sqliteId, email: usersMap.get(b.userId).email, fullName: usersMap.get(b.userId).fullName || null, mobile: usersMap.get(b.userId).mobile || null } : null,
       userEmail: usersMap.get(b.userId)?.email || null,
       userFullName: usersMap.get(b.userId)?.fullName || null,
@@ -205,23 +227,12 @@ router.get('/:id', requireAdmin, async (req, res) => {
       mdb.collection('cars').findOne({ sqliteId: b.carId }, { projection: { sqliteId: 1, name: 1, type: 1, fuel: 1, transmission: 1, pricePerDay: 1 } }),
     ]);
     const out = {
-      id: b.sqliteId,
-      userId: b.userId,
-      carId: b.carId,
-      pickupDate: b.pickupDate,
-      returnDate: b.returnDate,
-      pickupLocation: b.pickupLocation || null,
-      returnLocation: b.returnLocation || null,
-      verification: b.verification || null,
-      totalCost: b.totalCost || null,
-      days: b.days || null,
-      status: b.status || 'confirmed',
-      payment: b.payment || null,
-      createdAt: b.createdAt || null,
+      ...fromMongoBooking(b),
       user: u ? { id: u.sqliteId, email: u.email, fullName: u.fullName || null, mobile: u.mobile || null } : null,
       userEmail: u?.email || null,
       userFullName: u?.fullName || null,
       car: c ? { id: c.sqliteId, name: c.name, type: c.type, fuel: c.fuel, transmission: c.transmission, pricePerDay: c.pricePerDay } : null,
+      deposit: bookingDepositDetail(id),
     };
     return res.json(out);
   }
@@ -235,18 +246,34 @@ router.get('/:id', requireAdmin, async (req, res) => {
     WHERE b.id = ?
   `).get(req.params.id);
   if (!row) return res.status(404).json({ error: 'Not found' });
-  return res.json(toBookingFull(row));
+  return res.json({ ...toBookingFull(row), deposit: bookingDepositDetail(row.id) });
 });
 
-// Create booking after payment success
+// Price quote for a car and date range (public)
+router.post(
+  '/quote',
+  body('carId').isInt({ min: 1 }),
+  body('pickupDate').isString(),
+  body('returnDate').isString(),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { carId, pickupDate, returnDate } = req.body;
+    const result = quoteForCar(carId, { pickupDate, returnDate });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    return res.json(result.quote);
+  }
+);
+
+// Create booking: pending until its payment is verified, or requested when the car's host vets renters first
 router.post(
   '/',
   requireAuth,
   body('carId').isInt({ min: 1 }),
   body('pickupDate').isString(),
   body('returnDate').isString(),
-  body('totalCost').isInt({ min: 0 }),
-  body('days').isInt({ min: 1 }),
+  body('totalCost').optional().isInt({ min: 0 }),
+  body('days').optional().isInt({ min: 1 }),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
@@ -264,83 +291,354 @@ router.post(
     } = req.body;
 
     // Ensure car exists and is available
-    const carRow = db.prepare('SELECT id, available FROM cars WHERE id = ?').get(carId);
+    const carRow = db.prepare('SELECT * FROM cars WHERE id = ? AND (deleted IS NULL OR deleted = 0)').get(carId);
     if (!carRow) return res.status(400).json({ error: 'Invalid car' });
     if (!carRow.available) return res.status(400).json({ error: 'Car is not available for booking' });
 
-    // Save booking
-    const info = db
-      .prepare(
-        `INSERT INTO bookings (user_id, car_id, pickup_date, return_date, pickup_location, return_location, verification_json, total_cost, days, status, payment_id, payment_method, payment_status)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-      )
-      .run(
-        req.user.id,
-        carId,
-        pickupDate,
-        returnDate,
-        pickupLocation || null,
-        returnLocation || null,
-        verification ? JSON.stringify(verification) : null,
-        totalCost,
-        days,
-        'confirmed',
-        payment?.id || null,
-        payment?.method || null,
-        payment?.status || null
-      );
-
-    const bookingId = info.lastInsertRowid;
+    // The server quote is authoritative; client totals are only checked against it
+    const priced = computeQuote(carRow, { pickupDate, returnDate });
+    if (priced.error) return res.status(priced.status).json({ error: priced.error });
+    const { quote } = priced;
+    if (
+      (totalCost !== undefined && Number(totalCost) !== quote.total) ||
+      (days !== undefined && Number(days) !== quote.days)
+    ) {
+      return res.status(409).json({ error: 'Price mismatch, please review the updated quote', quote });
+    }
+
+    // A licence that runs out during the trip is refused up front; documents are reviewed later
+    if (verification?.licenseExpiry && !licenseCoversTrip(verification.licenseExpiry, returnDate)) {
+      return res.status(400).json({ error: 'Driving licence expires before the return date' });
+    }
+
+    const now = new Date().toISOString();
+    const requested = carRow.booking_mode === 'request';
+
+    const mongoConflict = await findMongoBookingConflict(carId, pickupDate, returnDate, { releasedStatuses: RELEASED_STATUSES });
+    if (mongoConflict) {
+      return res.status(409).json({ error: 'Car is already booked for these dates', conflict: toConflict(mongoConflict) });
+    }
+
+    // Overlap/blackout checks and insert run in one IMMEDIATE transaction so two renters cannot both win the same dates
+    const insertBooking = db.transaction(() => {
+      const conflict = findBookingConflict(carId, pickupDate, returnDate);
+      if (conflict) return { conflict };
+      const blackout = findBlackoutConflict(carId, pickupDate, returnDate);
+      if (blackout) return { blackout };
+      const info = db
+        .prepare(
+          `INSERT INTO bookings (user_id, car_id, pickup_date, return_date, pickup_location, return_location, verification_json, total_cost, days, status, payment_id, payment_method, payment_status, status_updated_at, price_breakdown_json, request_expires_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          req.user.id,
+          carId,
+          pickupDate,
+          returnDate,
+          pickupLocation || null,
+          returnLocation || null,
+          verification ? JSON.stringify(publicVerification(verification)) : null,
+          quote.total,
+          quote.days,
+          // Bookings wait in pending until the payment provider confirms payment (see /api/payments);
+          // a client-reported payment status is never trusted. Request-to-book cars wait for the host first.
+          requested ? 'requested' : 'pending',
+          null,
+          payment?.method || null,
+          'unpaid',
+          now,
+          JSON.stringify(quote),
+          requested ? requestExpiresAt(pickupDate) : null
+        );
+      createBookingDeposit(info.lastInsertRowid, quote);
+      return { bookingId: info.lastInsertRowid };
+    });
+
+    const inserted = insertBooking.immediate();
+    if (inserted.conflict) {
+      return res.status(409).json({ error: 'Car is already booked for these dates', conflict: toConflict(inserted.conflict) });
+    }
+    if (inserted.blackout) {
+      return res.status(409).json({
+        error: 'Car is blocked by the host for these dates',
+        conflict: { pickupDate: inserted.blackout.start_date, returnDate: inserted.blackout.end_date },
+      });
+    }
+    const { bookingId } = inserted;
 
     // Persist attachments if provided as data URLs in verification.attachmentsData
     const attachmentsData = verification?.attachmentsData || {};
     const kinds = ['idFront', 'idBack', 'license'];
-    const baseDir = path.join(__dirname, '../../uploads/bookings', String(bookingId));
-    ensureDir(baseDir);
 
-    kinds.forEach((k) => {
+    // A document that cannot be stored is left out; the renter can upload it again (see /api/verification)
+    for (const k of kinds) {
       if (attachmentsData[k]) {
-        const targetPath = path.join(baseDir, `${k}.png`);
-        const saved = saveDataUrl(attachmentsData[k], targetPath);
-        if (saved) {
-          db.prepare('INSERT INTO attachments (booking_id, kind, path) VALUES (?, ?, ?)').run(
-            bookingId,
-            k,
-            path.relative(path.join(__dirname, '../../'), saved).replace(/\\/g, '/')
-          );
+        try {
+          const saved = await saveDataUrl(attachmentsData[k], `bookings/${bookingId}/${k}.${dataUrlExtension(attachmentsData[k])}`);
+          if (saved) {
+            db.prepare('INSERT INTO attachments (booking_id, kind, path) VALUES (?, ?, ?)').run(bookingId, k, saved);
+          }
+        } catch (e) {
+          console.warn('[storage] could not store', k, 'for booking', bookingId, e?.message || e);
         }
       }
-    });
+    }
+    startBookingVerification({ id: bookingId, user_id: req.user.id, return_date: returnDate });
 
     const row = db.prepare('SELECT * FROM bookings WHERE id = ?').get(bookingId);
     try { await mirrorBookingToMongo(row); } catch {}
     const out = toBooking(row);
     // Notify subscribers (admin/hosts) about new booking
-    broadcast('booking_created', out);
+    broadcast('booking_created', out, bookingChannels(bookingId));
+    if (requested) broadcast('booking_requested', { ...out, hostId: carRow.host_id ?? null, carName: carRow.name }, bookingChannels(bookingId));
     return res.status(201).json(out);
   }
 );
 
-// Admin: delete booking
-router.delete('/:id', requireAdmin, async (req, res) => {
-  const row = db.prepare('SELECT * FROM bookings WHERE id = ?').get(req.params.id);
-  if (!row) return res.status(404).json({ error: 'Not found' });
-  // Do DB deletion in a transaction
-  const tx = db.transaction((id) => {
-    db.prepare('DELETE FROM attachments WHERE booking_id = ?').run(id);
-    db.prepare('DELETE FROM bookings WHERE id = ?').run(id);
+function requestCancellationRefund(row, user) {
+  const policy = getCarPolicy(row.car_id);
+  const { refundable } = computeRefund(row, { policy, cancelledBy: row.cancelled_by || 'renter' });
+  if (refundable < 1) return null;
+  const refund = createRefund({
+    booking: row,
+    amount: refundable,
+    reason: row.cancel_reason || 'cancellation',
+    policy,
+    role: row.cancelled_by,
+    userId: user.id,
+  });
+  broadcast('refund_requested', toRefund(refund), bookingChannels(refund.booking_id));
+  return refund;
+}
+
+// Lifecycle transitions: renter, car host or admin depending on the action
+function transitionRoute(action) {
+  return [
+    requireAuth,
+    body('reason').optional().isString().isLength({ max: 500 }),
+    body('note').optional().isString().isLength({ max: 1000 }),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+      const booking = getBookingWithHost(req.params.id);
+      const result = applyBookingAction(booking, action, req.user, {
+        reason: req.body?.reason,
+        note: req.body?.note,
+      });
+      if (result.error) return res.status(result.status).json({ error: result.error });
+
+      try { await mirrorBookingToMongo(result.row); } catch {}
+      const out = toBooking(result.row);
+      broadcast('booking_status_changed', { ...out, action, previousStatus: result.previousStatus }, bookingChannels(out.id));
+
+      // Paid cancellations open a refund request under the car's policy for an admin to process
+      if (action === 'cancel') {
+        const refund = requestCancellationRefund(result.row, req.user);
+        if (refund) return res.json({ ...out, refund: toRefund(refund) });
+      }
+      return res.json(out);
+    },
+  ];
+}
+
+router.post('/:id/accept', ...transitionRoute('accept'));
+router.post('/:id/decline', ...transitionRoute('decline'));
+router.post('/:id/confirm', ...transitionRoute('confirm'));
+router.post('/:id/cancel', ...transitionRoute('cancel'));
+router.post('/:id/check-in', ...transitionRoute('check_in'));
+router.post('/:id/check-out', ...transitionRoute('check_out'));
+router.post('/:id/complete', ...transitionRoute('complete'));
+router.post('/:id/no-show', ...transitionRoute('no_show'));
+
+function modificationError(res, result) {
+  const body = { error: result.error };
+  if (result.conflict) body.conflict = result.conflict;
+  if (result.modificationId) body.modificationId = result.modificationId;
+  return res.status(result.status).json(body);
+}
+
+// Apply a pending modification and tell everyone the booking changed
+async function approveModification(res, mod, { role, userId, note }) {
+  const mongoConflict = await findMongoBookingConflict(mod.to_car_id, mod.to_pickup_date, mod.to_return_date, {
+    excludeBookingId: mod.booking_id,
+    releasedStatuses: RELEASED_STATUSES,
+  });
+  if (mongoConflict) {
+    return res.status(409).json({ error: 'Car is already booked for these dates', conflict: toConflict(mongoConflict) });
+  }
+  const result = applyModification(mod.id, { role, userId, note });
+  if (result.error) return modificationError(res, result);
+
+  try { await mirrorBookingToMongo(result.row); } catch {}
+  const booking = toBooking(result.row);
+  const modification = toModification(result.modification);
+  const channels = bookingChannels(mod.booking_id);
+  broadcast('booking_modification_updated', modification, channels);
+  broadcast('booking_updated', booking, channels);
+  if (result.refund) broadcast('refund_requested', toRefund(result.refund), channels);
+  return res.json({ modification, booking, refund: toRefund(result.refund) });
+}
+
+// Renter (or admin): request new dates, a longer trip or another car from the same host.
+// The change is priced and checked now and waits for the host; an admin's change applies at once.
+async function submitModification(req, res, kind, changes) {
+  const booking = getBookingWithHost(req.params.id);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  const roles = bookingRolesFor(booking, req.user);
+  const role = ['admin', 'renter'].find((r) => roles.includes(r));
+  if (!role) return res.status(403).json({ error: 'Only the renter or an admin can change this booking' });
+  if (kind === 'extend' && !(new Date(changes.returnDate) > new Date(booking.return_date))) {
+    return res.status(400).json({ error: 'returnDate must be after the current return date' });
+  }
+
+  const plan = planModification(booking, changes);
+  if (plan.error) return modificationError(res, plan);
+  const mongoConflict = await findMongoBookingConflict(plan.carId, plan.pickupDate, plan.returnDate, {
+    excludeBookingId: booking.id,
+    releasedStatuses: RELEASED_STATUSES,
   });
-  tx(row.id);
-  try { await deleteBookingFromMongo(row.id); } catch {}
+  if (mongoConflict) {
+    return res.status(409).json({ error: 'Car is already booked for these dates', conflict: toConflict(mongoConflict) });
+  }
 
-  // Best-effort: remove uploaded files directory
+  const requested = requestModification(booking, plan, { kind, reason: req.body.reason, role, userId: req.user.id });
+  if (requested.error) return modificationError(res, requested);
+  broadcast('booking_modification_requested', toModification(requested.row), bookingChannels(requested.row.booking_id));
+  if (role === 'admin') {
+    res.status(201);
+    return approveModification(res, requested.row, { role, userId: req.user.id, note: req.body.reason });
+  }
+  return res.status(201).json({ modification: toModification(requested.row), booking: toBooking(booking), refund: null });
+}
+
+router.patch(
+  '/:id',
+  requireAuth,
+  body('carId').optional().isInt({ min: 1 }),
+  body('pickupDate').optional().isString(),
+  body('returnDate').optional().isString(),
+  body('reason').optional().isString().isLength({ max: 500 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { carId, pickupDate, returnDate } = req.body;
+    return submitModification(req, res, 'change', { carId, pickupDate, returnDate });
+  }
+);
+
+router.post(
+  '/:id/extend',
+  requireAuth,
+  body('returnDate').isString(),
+  body('reason').optional().isString().isLength({ max: 500 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    return submitModification(req, res, 'extend', { returnDate: req.body.returnDate });
+  }
+);
+
+// Renter, car host or admin: the booking's change history
+router.get('/:id/modifications', requireAuth, (req, res) => {
+  const booking = getBookingWithHost(req.params.id);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (!bookingRolesFor(booking, req.user).length) return res.status(403).json({ error: 'Forbidden' });
+  return res.json(bookingModifications(booking.id).map(toModification));
+});
+
+// Host/admin approve or decline a pending change; the renter may withdraw it
+function modificationDecisionRoute(decision) {
+  const allowed = decision === 'withdraw' ? ['renter', 'admin'] : ['host', 'admin'];
+  return [
+    requireAuth,
+    body('note').optional().isString().isLength({ max: 1000 }),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+      const booking = getBookingWithHost(req.params.id);
+      if (!booking) return res.status(404).json({ error: 'Booking not found' });
+      const mod = getModification(req.params.modificationId);
+      if (!mod || Number(mod.booking_id) !== Number(booking.id)) return res.status(404).json({ error: 'Modification not found' });
+      const role = allowed.find((r) => bookingRolesFor(booking, req.user).includes(r));
+      if (!role) return res.status(403).json({ error: `Not allowed to ${decision} this modification` });
+
+      const actor = { role, userId: req.user.id, note: req.body.note };
+      if (decision === 'approve') return approveModification(res, mod, actor);
+      const result = closeModification(mod.id, decision === 'decline' ? 'declined' : 'withdrawn', actor);
+      if (result.error) return modificationError(res, result);
+      const modification = toModification(result.modification);
+      broadcast('booking_modification_updated', modification, bookingChannels(booking.id));
+      return res.json({ modification, booking: toBooking(booking), refund: null });
+    },
+  ];
+}
+
+router.post('/:id/modifications/:modificationId/approve', ...modificationDecisionRoute('approve'));
+router.post('/:id/modifications/:modificationId/decline', ...modificationDecisionRoute('decline'));
+router.post('/:id/modifications/:modificationId/withdraw', ...modificationDecisionRoute('withdraw'));
+
+// Money, invoice and review records that keep a booking from being deleted: those bookings are
+// cancelled instead, so the ledger, invoice numbering and ratings stay intact
+const BOOKING_RECORDS = [
+  ['payments', 'payments'],
+  ['refunds', 'refunds'],
+  ['payout_requests', 'payout requests'],
+  ['host_ledger', 'ledger entries'],
+  ['invoices', 'invoices'],
+  ['deposit_movements', 'deposit movements'],
+  ['damage_claims', 'damage claims'],
+  ['reviews', 'reviews'],
+];
+
+function bookingRecords(bookingId) {
+  const found = BOOKING_RECORDS
+    .filter(([table]) => db.prepare(`SELECT 1 FROM ${table} WHERE booking_id = ? LIMIT 1`).get(bookingId))
+    .map(([, label]) => label);
+  if (db.prepare("SELECT 1 FROM booking_deposits WHERE booking_id = ? AND status <> 'pending'").get(bookingId)) {
+    found.push('a collected deposit');
+  }
+  return found;
+}
+
+// Admin: delete booking (only one with no money, invoice or review records; cancel those instead)
+router.delete('/:id', requireAdmin, async (req, res) => {
   try {
-    const baseDir = path.join(__dirname, '../../uploads/bookings', String(row.id));
-    fs.rmSync(baseDir, { recursive: true, force: true });
-  } catch (_) {
-    // ignore fs cleanup errors
+    const row = db.prepare('SELECT * FROM bookings WHERE id = ?').get(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Not found' });
+    // Do DB deletion in a transaction
+    const tx = db.transaction((id) => {
+      const records = bookingRecords(id);
+      if (records.length) return records;
+      db.prepare('DELETE FROM attachments WHERE booking_id = ?').run(id);
+      db.prepare('DELETE FROM booking_messages WHERE booking_id = ?').run(id);
+      db.prepare('DELETE FROM booking_message_reads WHERE booking_id = ?').run(id);
+      db.prepare('DELETE FROM booking_modifications WHERE booking_id = ?').run(id);
+      db.prepare('DELETE FROM booking_deposits WHERE booking_id = ?').run(id);
+      db.prepare('UPDATE messages SET booking_id = NULL WHERE booking_id = ?').run(id);
+      db.prepare('DELETE FROM bookings WHERE id = ?').run(id);
+      return null;
+    });
+    const records = tx.immediate(row.id);
+    if (records) {
+      return res.status(409).json({ error: `Booking has ${records.join(', ')}; cancel it instead of deleting it`, records });
+    }
+    try { await deleteBookingFromMongo(row.id); } catch {}
+
+    // Best-effort: remove the booking's private files (documents, damage evidence, message attachments)
+    for (const prefix of [`bookings/${row.id}/`, `deposits/${row.id}/`, `messages/${row.id}/`]) {
+      try {
+        await removeObjects(prefix);
+      } catch (e) {
+        console.warn('[storage] could not remove', prefix, e?.message || e);
+      }
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Error deleting booking:', error);
+    return res.status(500).json({ error: 'Failed to delete booking' });
   }
-  return res.json({ ok: true });
 });
 
 export default router;
@@ -1,15 +1,29 @@
 import express from 'express';
 import db from '../db/index.js';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { requireAdmin, requireAuth } from '../middleware/auth.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { ensureDir, saveDataUrl } from '../utils/files.js';
-import { mirrorCarToMongo, getMongoDb } from '../utils/mongo.js';
+import { parseDataUrl } from '../utils/files.js';
+import { imageMaxBytes, processCarImage, removeCarImage, storeCarImage, toImageSet } from '../utils/images.js';
+import { isMultipart, photoBuffer, photoUpload, toUploadedFile } from '../utils/uploads.js';
+import { toUserRatings } from '../utils/reviews.js';
+import {
+  CAR_IMAGE_KINDS,
+  MAX_CAR_IMAGES,
+  addCarImage,
+  carGallery,
+  deleteCarImage,
+  reorderCarImages,
+  setCoverImage,
+  toCarImage,
+  updateCarImage,
+} from '../utils/carImages.js';
+import { mirrorCarToMongo, getMongoDb, mirrorCarBlackoutToMongo, deleteCarBlackoutFromMongo } from '../utils/mongo.js';
+import { ACTIVE_BOOKING_SQL, BOOKING_MODES, DEFAULT_BOOKING_MODE, RELEASED_STATUSES } from '../utils/bookingLifecycle.js';
+import { parseCarSearch, buildCarSql, buildCarMongoMatch, mongoUnavailableCarIds, setPagingHeaders, mongoSortStages } from '../utils/carSearch.js';
+import { CANCELLATION_POLICIES, DEFAULT_CANCELLATION_POLICY } from '../utils/refunds.js';
+import { buildCarCalendar, findBlackoutConflict, findBookingConflict, toBlackout, toConflict, MAX_CALENDAR_DAYS } from '../utils/availability.js';
 
 const router = express.Router();
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 function toCar(row) {
   return {
@@ -20,24 +34,84 @@ function toCar(row) {
     transmission: row.transmission,
     pricePerDay: row.price_per_day,
     rating: row.rating,
+    // Number of renter reviews behind `rating`
+    ratingCount: row.rating_count || 0,
     seats: row.seats,
     image: row.image,
+    // Resized copies for srcset, widest last
+    ...toImageSet(row.image_variants_json),
     city: row.city,
     brand: row.brand,
     description: row.description,
     available: !!row.available,
+    cancellationPolicy: row.cancellation_policy || DEFAULT_CANCELLATION_POLICY,
+    // Security deposit; null means the platform default (PRICING_DEPOSIT)
+    deposit: row.deposit_amount ?? null,
+    // 'instant' bookings go straight to payment; 'request' bookings wait for the host to accept
+    bookingMode: row.booking_mode || DEFAULT_BOOKING_MODE,
     hostId: row.host_id || null,
     createdAt: row.created_at,
   };
 }
 
-function normalizeImage(req, car) {
-  if (!car || !car.image) return car;
-  const img = String(car.image);
-  if (/^https?:\/\//i.test(img)) return car;
-  const rel = img.replace(/^\/?/, '');
+function absoluteUrl(req) {
   const base = `${req.protocol}://${req.get('host')}`;
-  return { ...car, image: `${base}/${rel}` };
+  return (url) => (!url || /^https?:\/\//i.test(url) ? url : `${base}/${String(url).replace(/^\/?/, '')}`);
+}
+
+function normalizeImage(req, car) {
+  if (!car) return car;
+  const absolute = absoluteUrl(req);
+  return {
+    ...car,
+    image: car.image ? absolute(String(car.image)) : car.image,
+    imageSet: (car.imageSet || []).map((v) => ({ ...v, url: absolute(v.url) })),
+    thumbnail: absolute(car.thumbnail || null),
+    ...(car.gallery ? { gallery: car.gallery.map((photo) => normalizePhoto(req, photo)) } : {}),
+  };
+}
+
+// Absolute URLs for one gallery entry (see toCarImage)
+function normalizePhoto(req, photo) {
+  const absolute = absoluteUrl(req);
+  return {
+    ...photo,
+    url: absolute(photo.url),
+    imageSet: (photo.imageSet || []).map((v) => ({ ...v, url: absolute(v.url) })),
+    thumbnail: absolute(photo.thumbnail || null),
+  };
+}
+
+// Public photo entries of a car in the host's order (also mirrored to Mongo as `gallery`)
+function galleryOf(carId) {
+  return carGallery(carId).map(toCarImage);
+}
+
+// Decode and check a legacy base64 `imageData` before the car is created.
+// Returns { processed } (null when there is no data URL) or { status, error }.
+async function readImageData(imageData) {
+  if (!imageData || typeof imageData !== 'string' || !imageData.startsWith('data:')) return { processed: null };
+  const parsed = parseDataUrl(imageData);
+  if (!parsed) return { status: 400, error: 'imageData must be a base64 data URL' };
+  const processed = await processCarImage(parsed.buffer, { declaredType: parsed.mime });
+  return processed.error ? processed : { processed };
+}
+
+// Stored-path form of an image URL (drops this server's origin and the leading slash)
+function relativeImage(req, value) {
+  const base = `${req.protocol}://${req.get('host')}/`;
+  const url = String(value ?? '');
+  return (url.startsWith(base) ? url.slice(base.length) : url).replace(/^\//, '');
+}
+
+function canManageCar(row, user) {
+  if (!row || !user) return false;
+  if (user.role === 'admin') return true;
+  return row.host_id != null && Number(row.host_id) === Number(user.id);
+}
+
+function getLiveCar(id) {
+  return db.prepare('SELECT * FROM cars WHERE id = ? AND (deleted IS NULL OR deleted = 0)').get(id);
 }
 
 function toCarWithHost(row) {
@@ -59,33 +133,37 @@ function toCarWithHost(row) {
 
 router.get('/', async (req, res) => {
   try {
+    const parsed = parseCarSearch(req.query);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const { filter } = parsed;
+
     const mdb = await getMongoDb();
     
     // Try MongoDB first if available
     if (mdb) {
       try {
-        const docs = await mdb.collection('cars')
-          .aggregate([
-            {
-              $match: {
-                $or: [
-                  { deleted: { $exists: false } },
-                  { deleted: false }
-                ]
-              }
-            },
-            {
-              $lookup: {
-                from: 'users',
-                localField: 'hostId',
-                foreignField: 'sqliteId',
-                as: 'host'
-              }
-            },
-            { $unwind: { path: '$host', preserveNullAndEmptyArrays: true } },
-            { $sort: { _id: -1 } }
-          ])
-          .toArray();
+        const unavailableCarIds = await mongoUnavailableCarIds(mdb, filter);
+        const match = buildCarMongoMatch(filter, { unavailableCarIds });
+        const pipeline = [
+          { $match: match },
+          ...mongoSortStages(filter.sort),
+        ];
+        if (filter.limit) pipeline.push({ $skip: (filter.page - 1) * filter.limit }, { $limit: filter.limit });
+        pipeline.push(
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'hostId',
+              foreignField: 'sqliteId',
+              as: 'host'
+            }
+          },
+          { $unwind: { path: '$host', preserveNullAndEmptyArrays: true } }
+        );
+        const [docs, total] = await Promise.all([
+          mdb.collection('cars').aggregate(pipeline).toArray(),
+          mdb.collection('cars').countDocuments(match),
+        ]);
 
         console.log(`Found ${docs.length} cars in MongoDB`);
         
@@ -97,23 +175,29 @@ router.get('/', async (req, res) => {
           transmission: d.transmission,
           pricePerDay: d.pricePerDay,
           rating: d.rating,
+          ratingCount: d.ratingCount || 0,
           seats: d.seats,
           image: d.image,
+          ...toImageSet(d.imageVariants),
           city: d.city,
           brand: d.brand,
           description: d.description,
           available: !!d.available,
+          cancellationPolicy: d.cancellationPolicy || DEFAULT_CANCELLATION_POLICY,
+          deposit: d.deposit ?? null,
+          bookingMode: d.bookingMode || DEFAULT_BOOKING_MODE,
           hostId: d.hostId || null,
-          host: d.host && d.host.length > 0 ? {
-            id: d.host[0]?.sqliteId || d.hostId,
-            name: d.host[0]?.fullName || '',
-            email: d.host[0]?.email || '',
-            mobile: d.host[0]?.mobile || ''
+          host: d.host ? {
+            id: d.host.sqliteId || d.hostId,
+            name: d.host.fullName || '',
+            email: d.host.email || '',
+            mobile: d.host.mobile || ''
           } : null,
           createdAt: d.createdAt || null,
         }));
         
         console.log('Returning cars from MongoDB');
+        setPagingHeaders(res, filter, total);
         return res.json(list.map(c => normalizeImage(req, c)));
         
       } catch (mongoError) {
@@ -124,13 +208,16 @@ router.get('/', async (req, res) => {
     
     // Fallback to SQLite if MongoDB is not available or fails
     console.log('Falling back to SQLite...');
+    const { where, params, orderBy, limit, offset } = buildCarSql(filter);
+    const total = db.prepare(`SELECT COUNT(1) AS c FROM cars c WHERE ${where}`).get(...params).c;
     const rows = db.prepare(`
       SELECT c.*, u.email AS host_email, u.full_name AS host_name, u.mobile AS host_mobile
       FROM cars c
       LEFT JOIN users u ON u.id = c.host_id
-      WHERE (c.deleted IS NULL OR c.deleted = 0)
-      ORDER BY c.id DESC
-    `).all();
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      ${limit ? 'LIMIT ? OFFSET ?' : ''}
+    `).all(...params, ...(limit ? [limit, offset] : []));
     
     console.log(`Found ${rows.length} cars in SQLite`);
     
@@ -148,6 +235,7 @@ router.get('/', async (req, res) => {
     });
     
     console.log('Returning cars from SQLite');
+    setPagingHeaders(res, filter, total);
     return res.json(list.map(c => normalizeImage(req, c)));
     
   } catch (error) {
@@ -173,12 +261,18 @@ router.get('/availability', async (req, res) => {
     for (const c of cars) {
       let available = !!c.available;
       if (available) {
-        const conflict = await mdb.collection('bookings').findOne({
-          carId: c.sqliteId,
-          $or: [ { status: { $exists: false } }, { status: { $ne: 'cancelled' } } ],
-          $nor: [ { returnDate: { $lte: pickup } }, { pickupDate: { $gte: ret } } ]
-        });
-        if (conflict) available = false;
+        const [conflict, blackout] = await Promise.all([
+          mdb.collection('bookings').findOne({
+            carId: c.sqliteId,
+            $or: [ { status: { $exists: false } }, { status: { $nin: RELEASED_STATUSES } } ],
+            $nor: [ { returnDate: { $lte: pickup } }, { pickupDate: { $gte: ret } } ]
+          }),
+          mdb.collection('car_blackouts').findOne({
+            carId: c.sqliteId,
+            $nor: [ { endDate: { $lte: pickup } }, { startDate: { $gte: ret } } ]
+          }),
+        ]);
+        if (conflict || blackout) available = false;
       }
       results.push({ id: c.sqliteId, availableForRange: available });
     }
@@ -193,9 +287,14 @@ router.get('/availability', async (req, res) => {
         WHEN EXISTS (
           SELECT 1 FROM bookings b
           WHERE b.car_id = c.id
-            AND (b.status IS NULL OR b.status <> 'cancelled')
+            AND ${ACTIVE_BOOKING_SQL}
             AND NOT (b.return_date <= ? OR b.pickup_date >= ?)
         ) THEN 0
+        WHEN EXISTS (
+          SELECT 1 FROM car_blackouts x
+          WHERE x.car_id = c.id
+            AND NOT (x.end_date <= ? OR x.start_date >= ?)
+        ) THEN 0
         ELSE 1
       END AS available_for_range
     FROM cars c
@@ -203,8 +302,8 @@ router.get('/availability', async (req, res) => {
     ${city ? ' AND c.city = ?' : ''}
   `;
   const rows = city
-    ? db.prepare(sql).all(pickup, ret, city)
-    : db.prepare(sql).all(pickup, ret);
+    ? db.prepare(sql).all(pickup, ret, pickup, ret, city)
+    : db.prepare(sql).all(pickup, ret, pickup, ret);
   return res.json(rows.map(r => ({ id: r.id, availableForRange: !!r.available_for_range })));
 });
 
@@ -279,12 +378,17 @@ router.get('/mine', requireAuth, async (req, res) => {
           transmission: d.transmission,
           pricePerDay: d.pricePerDay,
           rating: d.rating,
+          ratingCount: d.ratingCount || 0,
           seats: d.seats,
           image: d.image,
+          ...toImageSet(d.imageVariants),
           city: d.city,
           brand: d.brand,
           description: d.description,
           available: !!d.available,
+          cancellationPolicy: d.cancellationPolicy || DEFAULT_CANCELLATION_POLICY,
+          deposit: d.deposit ?? null,
+          bookingMode: d.bookingMode || DEFAULT_BOOKING_MODE,
           hostId: d.hostId || null,
           createdAt: d.createdAt || null,
         }));
@@ -372,18 +476,26 @@ router.get('/:id', async (req, res) => {
             transmission: d.transmission,
             pricePerDay: d.pricePerDay,
             rating: d.rating,
+            ratingCount: d.ratingCount || 0,
             seats: d.seats,
             image: d.image,
+            ...toImageSet(d.imageVariants),
             city: d.city,
             brand: d.brand,
             description: d.description,
             available: !!d.available,
+            cancellationPolicy: d.cancellationPolicy || DEFAULT_CANCELLATION_POLICY,
+            deposit: d.deposit ?? null,
+            bookingMode: d.bookingMode || DEFAULT_BOOKING_MODE,
             hostId: d.hostId || null,
+            // Documents mirrored before galleries existed fall back to SQLite
+            gallery: Array.isArray(d.gallery) ? d.gallery : galleryOf(d.sqliteId),
             host: d.host ? {
               id: d.host.sqliteId,
               name: d.host.fullName,
               email: d.host.email,
-              mobile: d.host.mobile
+              mobile: d.host.mobile,
+              rating: { average: d.host.hostRating ?? null, count: d.host.hostRatingCount || 0 },
             } : null,
             createdAt: d.createdAt || null,
           };
@@ -399,7 +511,8 @@ router.get('/:id', async (req, res) => {
     
     // Fallback to SQLite if MongoDB is not available or fails
     const query = `
-      SELECT c.*, u.email as host_email, u.full_name as host_name, u.mobile as host_mobile
+      SELECT c.*, u.email as host_email, u.full_name as host_name, u.mobile as host_mobile,
+             u.host_rating, u.host_rating_count
       FROM cars c
       LEFT JOIN users u ON c.host_id = u.id
       WHERE (c.deleted IS NULL OR c.deleted = 0) 
@@ -409,13 +522,15 @@ router.get('/:id', async (req, res) => {
     const row = db.prepare(query).get(req.params.id);
     if (!row) return res.status(404).json({ error: 'Car not found' });
     
-    const car = toCar(row);
+    const car = { ...toCar(row), gallery: galleryOf(row.id) };
     if (row.host_email) {
       car.host = {
         id: row.host_id,
         name: row.host_name,
         email: row.host_email,
-        mobile: row.host_mobile
+        mobile: row.host_mobile,
+        // Average of renters' host scores
+        rating: toUserRatings(row).asHost,
       };
     }
     
@@ -430,11 +545,293 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Per-car calendar of booked, blocked and free days (public). Defaults to the next 30 days.
+router.get(
+  '/:id/calendar',
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const car = getLiveCar(req.params.id);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+
+    const from = req.query.from || new Date().toISOString().slice(0, 10);
+    const to = req.query.to || new Date(new Date(`${from}T00:00:00Z`).getTime() + 30 * 86400000).toISOString().slice(0, 10);
+    if (to <= from) return res.status(400).json({ error: 'to must be after from' });
+    if ((new Date(to) - new Date(from)) / 86400000 > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({ error: `Range may not exceed ${MAX_CALENDAR_DAYS} days` });
+    }
+    return res.json(buildCarCalendar(car, from, to));
+  }
+);
+
+// Host/admin: list blackout ranges on a car
+router.get('/:id/blackouts', requireAuth, (req, res) => {
+  const car = getLiveCar(req.params.id);
+  if (!car) return res.status(404).json({ error: 'Car not found' });
+  if (!canManageCar(car, req.user)) return res.status(403).json({ error: 'Forbidden' });
+  const rows = db.prepare('SELECT * FROM car_blackouts WHERE car_id = ? ORDER BY start_date ASC').all(car.id);
+  return res.json(rows.map(toBlackout));
+});
+
+// Why [startDate, endDate) cannot be blacked out on the car ({ status, error, conflict }), or null.
+// Existing bookings win over new blackouts (the host has to cancel them first), and blackouts may not
+// overlap each other.
+function blackoutClash(carId, startDate, endDate) {
+  const booking = findBookingConflict(carId, startDate, endDate);
+  if (booking) return { status: 409, error: 'Dates overlap an existing booking', conflict: toConflict(booking) };
+  const blackout = findBlackoutConflict(carId, startDate, endDate);
+  if (blackout) {
+    return { status: 409, error: 'Dates overlap another blackout', conflict: { pickupDate: blackout.start_date, returnDate: blackout.end_date, blackoutId: blackout.id } };
+  }
+  return null;
+}
+
+// Host/admin: block a date range (endDate exclusive, like a booking's return date)
+router.post(
+  '/:id/blackouts',
+  requireAuth,
+  body('startDate').isISO8601(),
+  body('endDate').isISO8601(),
+  body('kind').optional().isIn(['maintenance', 'personal', 'other']),
+  body('reason').optional().isString().isLength({ max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const car = getLiveCar(req.params.id);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+    if (!canManageCar(car, req.user)) return res.status(403).json({ error: 'Forbidden' });
+
+    const { startDate, endDate, kind = 'other', reason } = req.body;
+    if (endDate <= startDate) return res.status(400).json({ error: 'endDate must be after startDate' });
+
+    const tx = db.transaction(() => {
+      const clash = blackoutClash(car.id, startDate, endDate);
+      if (clash) return clash;
+      const info = db
+        .prepare('INSERT INTO car_blackouts (car_id, start_date, end_date, kind, reason, created_by) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(car.id, startDate, endDate, kind, reason || null, req.user.id);
+      return { row: db.prepare('SELECT * FROM car_blackouts WHERE id = ?').get(info.lastInsertRowid) };
+    });
+    const result = tx.immediate();
+    if (result.error) return res.status(result.status).json({ error: result.error, conflict: result.conflict });
+    try { await mirrorCarBlackoutToMongo(result.row); } catch {}
+    return res.status(201).json(toBlackout(result.row));
+  }
+);
+
+// Host/admin: remove a blackout range
+router.delete('/:id/blackouts/:blackoutId', requireAuth, async (req, res) => {
+  const car = getLiveCar(req.params.id);
+  if (!car) return res.status(404).json({ error: 'Car not found' });
+  if (!canManageCar(car, req.user)) return res.status(403).json({ error: 'Forbidden' });
+  const row = db.prepare('SELECT * FROM car_blackouts WHERE id = ? AND car_id = ?').get(req.params.blackoutId, car.id);
+  if (!row) return res.status(404).json({ error: 'Not found' });
+  db.prepare('DELETE FROM car_blackouts WHERE id = ?').run(row.id);
+  try { await deleteCarBlackoutFromMongo(row.id); } catch {}
+  return res.json({ ok: true });
+});
+
+// Host/admin of a live car; checked before an upload body is read
+function managedCar(req, res, next) {
+  const car = getLiveCar(req.params.id);
+  if (!car) return res.status(404).json({ error: 'Car not found' });
+  if (!canManageCar(car, req.user)) return res.status(403).json({ error: 'Forbidden' });
+  req.car = car;
+  return next();
+}
+
+// Raw image bodies; multipart forms are left to multer and JSON was parsed in index.js
+const rawImage = express.raw({ type: (req) => !isMultipart(req), limit: imageMaxBytes() });
+
+// Host/admin: replace the car's cover photo. The body is the raw image (Content-Type image/jpeg, image/png or
+// image/webp) or a multipart form with a `photo` file, up to IMAGE_MAX_MB; it is resized like imageData.
+router.put(
+  '/:id/image',
+  requireAuth,
+  managedCar,
+  photoUpload({ field: 'photo' }),
+  rawImage,
+  async (req, res) => {
+    const { car } = req;
+    const file = isMultipart(req) ? req.files?.[0] : null;
+    const bytes = file ? await photoBuffer(file) : req.body;
+    if (!Buffer.isBuffer(bytes) || !bytes.length) {
+      return res.status(400).json({ error: 'Send the image bytes as the request body or as the photo form field' });
+    }
+
+    const processed = await processCarImage(bytes, { declaredType: file ? file.mimetype : req.get('content-type') });
+    if (processed.error) return res.status(processed.status).json({ error: processed.error });
+    let stored;
+    try {
+      stored = await storeCarImage(car.id, processed);
+    } catch (e) {
+      console.error('[images] could not store photo for car', car.id, e?.message || e);
+      return res.status(502).json({ error: 'File storage unavailable' });
+    }
+    const previous = setCoverImage(car.id, { path: stored.image, variantsJson: stored.variantsJson, userId: req.user.id });
+    if (previous) await removeCarImage(car.id, previous.variants_json);
+
+    const row = getLiveCar(car.id);
+    try { await mirrorCarToMongo({ ...row, gallery: galleryOf(car.id) }); } catch {}
+    return res.json(normalizeImage(req, toCar(row)));
+  }
+);
+
+// Public: a car's photo gallery in display order
+router.get('/:id/images', (req, res) => {
+  const car = getLiveCar(req.params.id);
+  if (!car) return res.status(404).json({ error: 'Car not found' });
+  return res.json(galleryOf(car.id).map((photo) => normalizePhoto(req, photo)));
+});
+
+// Host/admin: add photos to the gallery, one of
+//   multipart/form-data with one or more `photos` files plus kind, caption and cover fields
+//   the raw image as the body (kind, caption and cover in the query string)
+//   JSON { imageData, kind, caption, cover }
+// The first photo becomes the cover. A multipart upload answers with every stored photo and every
+// rejected file, so one bad file does not lose the others.
+router.post(
+  '/:id/images',
+  requireAuth,
+  managedCar,
+  photoUpload({ field: 'photos', maxCount: MAX_CAR_IMAGES }),
+  rawImage,
+  async (req, res) => {
+    const { car } = req;
+    const multipart = isMultipart(req);
+    const raw = !multipart && Buffer.isBuffer(req.body);
+    const options = raw ? req.query : req.body || {};
+    const kind = options.kind || 'other';
+    if (!CAR_IMAGE_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${CAR_IMAGE_KINDS.join(', ')}` });
+    if (options.caption != null && String(options.caption).length > 200) {
+      return res.status(400).json({ error: 'caption may not exceed 200 characters' });
+    }
+    const details = {
+      kind,
+      caption: options.caption != null ? String(options.caption) : null,
+      cover: options.cover === true || options.cover === 'true',
+      userId: req.user.id,
+    };
+
+    if (multipart) {
+      const files = req.files || [];
+      if (!files.length) return res.status(400).json({ error: 'Attach at least one file in the photos field' });
+      const photos = [];
+      const rejected = [];
+      for (const [i, file] of files.entries()) {
+        const processed = await processCarImage(await photoBuffer(file), { declaredType: file.mimetype });
+        if (processed.error) {
+          rejected.push({ ...toUploadedFile(file), status: processed.status, error: processed.error });
+          continue;
+        }
+        let result;
+        try {
+          result = await addCarImage(car.id, processed, { ...details, cover: details.cover && i === 0 });
+        } catch (e) {
+          console.error('[images] could not store photo for car', car.id, e?.message || e);
+          result = { status: 502, error: 'File storage unavailable' };
+        }
+        if (result.error) rejected.push({ ...toUploadedFile(file), status: result.status, error: result.error });
+        else photos.push({ ...normalizePhoto(req, toCarImage(result.image)), file: toUploadedFile(file) });
+      }
+      if (photos.length) {
+        try { await mirrorCarToMongo({ ...getLiveCar(car.id), gallery: galleryOf(car.id) }); } catch {}
+        return res.status(201).json({ photos, rejected });
+      }
+      return res.status(rejected[0].status).json({ error: rejected[0].error, photos, rejected });
+    }
+
+    let processed;
+    if (raw) {
+      if (!req.body.length) return res.status(400).json({ error: 'Send the image bytes as the request body' });
+      processed = await processCarImage(req.body, { declaredType: req.get('content-type') });
+    } else {
+      const photo = await readImageData(options.imageData);
+      if (!photo.error && !photo.processed) return res.status(400).json({ error: 'imageData must be a base64 data URL' });
+      processed = photo.error ? photo : photo.processed;
+    }
+    if (processed.error) return res.status(processed.status).json({ error: processed.error });
+
+    let result;
+    try {
+      result = await addCarImage(car.id, processed, details);
+    } catch (e) {
+      console.error('[images] could not store photo for car', car.id, e?.message || e);
+      return res.status(502).json({ error: 'File storage unavailable' });
+    }
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    try { await mirrorCarToMongo({ ...getLiveCar(car.id), gallery: galleryOf(car.id) }); } catch {}
+    return res.status(201).json(normalizePhoto(req, toCarImage(result.image)));
+  }
+);
+
+// Host/admin: set the display order; imageIds lists every photo of the car
+router.put(
+  '/:id/images/order',
+  requireAuth,
+  body('imageIds').isArray({ min: 1 }),
+  body('imageIds.*').isInt({ min: 1 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const car = getLiveCar(req.params.id);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+    if (!canManageCar(car, req.user)) return res.status(403).json({ error: 'Forbidden' });
+
+    const result = reorderCarImages(car.id, req.body.imageIds);
+    if (result.error) return res.status(result.status).json({ error: result.error, imageIds: result.imageIds });
+    const gallery = result.gallery.map(toCarImage);
+    try { await mirrorCarToMongo({ ...car, gallery }); } catch {}
+    return res.json(gallery.map((photo) => normalizePhoto(req, photo)));
+  }
+);
+
+// Host/admin: edit a photo's caption or kind, or make it the cover
+router.patch(
+  '/:id/images/:imageId',
+  requireAuth,
+  body('caption').optional({ nullable: true }).isString().isLength({ max: 200 }),
+  body('kind').optional().isIn(CAR_IMAGE_KINDS),
+  body('cover').optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const car = getLiveCar(req.params.id);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+    if (!canManageCar(car, req.user)) return res.status(403).json({ error: 'Forbidden' });
+
+    const { caption, kind, cover } = req.body;
+    const result = updateCarImage(car.id, req.params.imageId, { caption, kind, cover: cover === true || cover === 'true' });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    try { await mirrorCarToMongo({ ...getLiveCar(car.id), gallery: galleryOf(car.id) }); } catch {}
+    return res.json(normalizePhoto(req, toCarImage(result.image)));
+  }
+);
+
+// Host/admin: delete a photo and its files; deleting the cover promotes the next photo
+router.delete('/:id/images/:imageId', requireAuth, async (req, res) => {
+  const car = getLiveCar(req.params.id);
+  if (!car) return res.status(404).json({ error: 'Car not found' });
+  if (!canManageCar(car, req.user)) return res.status(403).json({ error: 'Forbidden' });
+
+  const result = await deleteCarImage(car.id, req.params.imageId);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  const gallery = galleryOf(car.id);
+  try { await mirrorCarToMongo({ ...getLiveCar(car.id), gallery }); } catch {}
+  return res.json({ ok: true, gallery: gallery.map((photo) => normalizePhoto(req, photo)) });
+});
+
 router.post(
   '/',
   requireAdmin,
   body('name').isString().notEmpty(),
   body('pricePerDay').isInt({ min: 0 }),
+  body('cancellationPolicy').optional().isIn(Object.keys(CANCELLATION_POLICIES)),
+  body('deposit').optional({ nullable: true }).isInt({ min: 0 }),
+  body('bookingMode').optional().isIn(BOOKING_MODES),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
@@ -444,7 +841,6 @@ router.post(
       fuel,
       transmission,
       pricePerDay,
-      rating = 0,
       seats = 5,
       image,
       imageData,
@@ -453,47 +849,53 @@ router.post(
       description,
       available = true,
       hostId = null,
+      cancellationPolicy = DEFAULT_CANCELLATION_POLICY,
+      deposit = null,
+      bookingMode = DEFAULT_BOOKING_MODE,
     } = req.body;
 
-    const stmt = db.prepare(`INSERT INTO cars (name, type, fuel, transmission, price_per_day, rating, seats, image, city, brand, description, available, host_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    const photo = await readImageData(imageData);
+    if (photo.error) return res.status(photo.status).json({ error: photo.error });
+
+    const stmt = db.prepare(`INSERT INTO cars (name, type, fuel, transmission, price_per_day, rating, seats, image, city, brand, description, available, host_id, cancellation_policy, deposit_amount, booking_mode)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
     const info = stmt.run(
       name,
       type || null,
       fuel || null,
       transmission || null,
       pricePerDay,
-      rating,
+      0, // rating comes from reviews only (recomputeCarRating)
       seats,
       image || null,
       city || null,
       brand || null,
       description || null,
       available ? 1 : 0,
-      hostId
+      hostId,
+      cancellationPolicy,
+      deposit,
+      bookingMode
     );
     let row = db.prepare('SELECT * FROM cars WHERE id = ?').get(info.lastInsertRowid);
     try { await mirrorCarToMongo(row); } catch {}
 
-    // If imageData provided, save to uploads and update image path
-    if (imageData && typeof imageData === 'string' && imageData.startsWith('data:')) {
+    // If imageData provided, store its resized copies; the photo (or image URL) starts the gallery as its cover
+    let cover = image ? { path: image, variantsJson: null } : null;
+    if (photo.processed) {
       try {
-        const carsDir = path.join(__dirname, '../../uploads/cars');
-        ensureDir(carsDir);
-        const targetPath = path.join(carsDir, `${row.id}.png`);
-        const saved = saveDataUrl(imageData, targetPath);
-        if (saved) {
-          const rel = path
-            .relative(path.join(__dirname, '../../'), saved)
-            .replace(/\\/g, '/');
-          db.prepare('UPDATE cars SET image = ? WHERE id = ?').run(rel, row.id);
-          row = db.prepare('SELECT * FROM cars WHERE id = ?').get(row.id);
-          try { await mirrorCarToMongo(row); } catch {}
-        }
-      } catch (_) {}
+        const stored = await storeCarImage(row.id, photo.processed);
+        cover = { path: stored.image, variantsJson: stored.variantsJson };
+      } catch (e) {
+        console.error('[images] could not store photo for car', row.id, e?.message || e);
+      }
+    }
+    if (cover) {
+      setCoverImage(row.id, { ...cover, userId: req.user.id });
+      row = db.prepare('SELECT * FROM cars WHERE id = ?').get(row.id);
     }
 
-    try { await mirrorCarToMongo(row); } catch {}
+    try { await mirrorCarToMongo({ ...row, gallery: galleryOf(row.id) }); } catch {}
     return res.status(201).json(normalizeImage(req, toCar(row)));
   }
 );
@@ -512,6 +914,9 @@ router.post(
     body('city').optional().isString(),
     body('brand').optional().isString(),
     body('description').optional().isString(),
+    body('cancellationPolicy').optional().isIn(Object.keys(CANCELLATION_POLICIES)),
+    body('deposit').optional({ nullable: true }).isInt({ min: 0 }),
+    body('bookingMode').optional().isIn(BOOKING_MODES),
   ],
   // Add MongoDB connection check middleware
   async (req, res, next) => {
@@ -535,7 +940,6 @@ router.post(
       fuel,
       transmission,
       pricePerDay,
-      rating = 0,
       seats = 5,
       image,
       imageData,
@@ -543,8 +947,14 @@ router.post(
       brand,
       description,
       available = true,
+      cancellationPolicy = DEFAULT_CANCELLATION_POLICY,
+      deposit = null,
+      bookingMode = DEFAULT_BOOKING_MODE,
     } = req.body;
 
+    const photo = await readImageData(imageData);
+    if (photo.error) return res.status(photo.status).json({ error: photo.error });
+
     try {
       const now = new Date().toISOString();
       
@@ -557,8 +967,9 @@ router.post(
           `INSERT INTO cars (
             name, type, fuel, transmission, price_per_day, 
             rating, seats, image, city, brand, 
-            description, available, host_id, created_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            description, available, host_id, created_at,
+            cancellation_policy, deposit_amount, booking_mode
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
         );
         
         const info = stmt.run(
@@ -567,7 +978,7 @@ router.post(
           fuel || null,
           transmission || null,
           pricePerDay,
-          rating,
+          0, // rating comes from reviews only (recomputeCarRating)
           seats,
           image || null,
           city || null,
@@ -575,31 +986,31 @@ router.post(
           description || null,
           available ? 1 : 0,
           req.user.id,
-          now
+          now,
+          cancellationPolicy,
+          deposit,
+          bookingMode
         );
 
         const carId = info.lastInsertRowid;
         
         // Handle image upload if provided
         let imagePath = image || null;
-        if (imageData && typeof imageData === 'string' && imageData.startsWith('data:')) {
+        let imageVariants = null;
+        if (photo.processed) {
           try {
-            const carsDir = path.join(__dirname, '../../uploads/cars');
-            ensureDir(carsDir);
-            const targetPath = path.join(carsDir, `${carId}.png`);
-            const saved = saveDataUrl(imageData, targetPath);
-            if (saved) {
-              const rel = path
-                .relative(path.join(__dirname, '../../'), saved)
-                .replace(/\\/g, '/');
-              db.prepare('UPDATE cars SET image = ? WHERE id = ?').run(rel, carId);
-              imagePath = rel;
-            }
+            const stored = await storeCarImage(carId, photo.processed);
+            imagePath = stored.image;
+            imageVariants = JSON.parse(stored.variantsJson);
           } catch (error) {
             console.error('Error saving car image:', error);
             // Continue without image if there's an error
           }
         }
+        // The first photo becomes the gallery cover (and the car's image)
+        if (imagePath) {
+          setCoverImage(carId, { path: imagePath, variantsJson: imageVariants && JSON.stringify(imageVariants), userId: req.user.id });
+        }
 
         // Get the complete car data
         const row = db.prepare('SELECT * FROM cars WHERE id = ?').get(carId);
@@ -633,13 +1044,18 @@ router.post(
                 fuel: fuel || null,
                 transmission: transmission || null,
                 pricePerDay: Number(pricePerDay) || 0,
-                rating: Number(rating) || 0,
+                rating: 0,
                 seats: Number(seats) || 4,
                 image: imagePath || null,
+                imageVariants,
+                gallery: galleryOf(carId),
                 city: city || null,
                 brand: brand || null,
                 description: description || null,
                 available: Boolean(available),
+                cancellationPolicy,
+                deposit,
+                bookingMode,
                 hostId: req.user.id,
                 createdAt: new Date(now),
                 updatedAt: new Date(),
@@ -725,6 +1141,9 @@ router.put(
     body('brand').optional().isString(),
     body('description').optional().isString(),
     body('available').optional().isBoolean(),
+    body('cancellationPolicy').optional().isIn(Object.keys(CANCELLATION_POLICIES)),
+    body('deposit').optional({ nullable: true }).isInt({ min: 0 }),
+    body('bookingMode').optional().isIn(BOOKING_MODES),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -743,26 +1162,34 @@ router.put(
 
     const payload = req.body || {};
     const now = new Date().toISOString();
+    // Clients often send back the absolute URL normalizeImage produced; only a different image drops the resized copies
+    const imageChanged = payload.image != null && relativeImage(req, payload.image) !== relativeImage(req, row.image);
     const updated = {
       name: payload.name ?? row.name,
       type: payload.type ?? row.type,
       fuel: payload.fuel ?? row.fuel,
       transmission: payload.transmission ?? row.transmission,
       price_per_day: payload.pricePerDay ?? row.price_per_day,
-      rating: payload.rating ?? row.rating,
+      // Not writable: the average of the car's reviews (recomputeCarRating)
+      rating: row.rating,
       seats: payload.seats ?? row.seats,
-      image: payload.image ?? row.image,
+      image: imageChanged ? payload.image : row.image,
+      image_variants_json: imageChanged ? null : row.image_variants_json,
       city: payload.city ?? row.city,
       brand: payload.brand ?? row.brand,
       description: payload.description ?? row.description,
       available: payload.available !== undefined ? (payload.available ? 1 : 0) : row.available,
+      cancellation_policy: payload.cancellationPolicy ?? row.cancellation_policy ?? DEFAULT_CANCELLATION_POLICY,
+      // null clears a car-specific deposit back to the platform default
+      deposit_amount: payload.deposit !== undefined ? payload.deposit : row.deposit_amount,
+      booking_mode: payload.bookingMode ?? row.booking_mode ?? DEFAULT_BOOKING_MODE,
       updated_at: now,
     };
 
     try {
       // Update SQLite
       const stmt = db.prepare(
-        'UPDATE cars SET name = ?, type = ?, fuel = ?, transmission = ?, price_per_day = ?, rating = ?, seats = ?, image = ?, city = ?, brand = ?, description = ?, available = ?, updated_at = ? WHERE id = ?'
+        'UPDATE cars SET name = ?, type = ?, fuel = ?, transmission = ?, price_per_day = ?, rating = ?, seats = ?, image = ?, image_variants_json = ?, city = ?, brand = ?, description = ?, available = ?, cancellation_policy = ?, deposit_amount = ?, booking_mode = ?, updated_at = ? WHERE id = ?'
       );
       stmt.run(
         updated.name,
@@ -773,16 +1200,26 @@ router.put(
         updated.rating,
         updated.seats,
         updated.image,
+        updated.image_variants_json,
         updated.city,
         updated.brand,
         updated.description,
         updated.available,
+        updated.cancellation_policy,
+        updated.deposit_amount,
+        updated.booking_mode,
         updated.updated_at,
         carId
       );
 
       // Get the updated row
-      const updatedRow = db.prepare('SELECT * FROM cars WHERE id = ?').get(carId);
+      let updatedRow = db.prepare('SELECT * FROM cars WHERE id = ?').get(carId);
+      if (imageChanged) {
+        // A new image URL replaces the gallery cover
+        const previous = setCoverImage(row.id, { path: relativeImage(req, payload.image) || null, userId: req.user.id });
+        if (previous) await removeCarImage(row.id, previous.variants_json);
+        updatedRow = db.prepare('SELECT * FROM cars WHERE id = ?').get(carId);
+      }
 
       // Update MongoDB if available
       if (process.env.MONGODB_URI) {
@@ -798,11 +1235,16 @@ router.put(
                 pricePerDay: updated.price_per_day,
                 rating: updated.rating,
                 seats: updated.seats,
-                image: updated.image,
+                image: updatedRow.image,
+                imageVariants: updatedRow.image_variants_json ? JSON.parse(updatedRow.image_variants_json) : null,
+                gallery: galleryOf(updatedRow.id),
                 city: updated.city,
                 brand: updated.brand,
                 description: updated.description,
                 available: updated.available === 1,
+                cancellationPolicy: updated.cancellation_policy,
+                deposit: updated.deposit_amount ?? null,
+                bookingMode: updated.booking_mode,
                 updatedAt: new Date(now)
               }
             };
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { requireAuth } from '../middleware/auth.js';
+import { bookingChannels, broadcast } from '../utils/events.js';
+import { bookingRolesFor, getBookingWithHost } from '../utils/bookingLifecycle.js';
+import { attachmentUpload, discardUploads } from '../utils/uploads.js';
+import {
+  addBookingMessage,
+  bookingMessages,
+  bookingReadReceipts,
+  conversationsFor,
+  getBookingMessage,
+  markRead,
+  MAX_MESSAGE_ATTACHMENTS,
+  readerOf,
+  toBookingMessage,
+  toReadReceipt,
+  totalUnread,
+  unreadCount,
+} from '../utils/bookingMessages.js';
+
+const router = express.Router();
+
+// Only the booking's renter, the car's host and admins take part in its conversation
+function participant(req, res, next) {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  const roles = bookingRolesFor(booking, req.user);
+  if (!roles.length) return res.status(403).json({ error: 'Forbidden' });
+  req.booking = booking;
+  req.bookingRole = roles[0];
+  return next();
+}
+
+// Signed-in user: their conversations (admins: all of them), most recent first
+router.get(
+  '/',
+  requireAuth,
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const rows = conversationsFor(req.user, { limit: Number(req.query.limit) || 50, offset: Number(req.query.offset) || 0 });
+    const conversations = rows.map((row) => ({
+      bookingId: row.booking_id,
+      booking: { status: row.status, pickupDate: row.pickup_date, returnDate: row.return_date, carName: row.car_name || null },
+      role: bookingRolesFor(row, req.user)[0],
+      lastMessage: toBookingMessage(getBookingMessage(row.last_message_id)),
+      unread: row.unread,
+    }));
+    return res.json({ unread: totalUnread(req.user), conversations });
+  }
+);
+
+// Signed-in user: unread messages over all their conversations, for badges
+router.get('/unread', requireAuth, (req, res) => res.json({ unread: totalUnread(req.user) }));
+
+// Renter/host/admin: a booking's messages (newest `limit`, or those before message `before`) with
+// everyone's read pointer
+router.get(
+  '/bookings/:bookingId',
+  requireAuth,
+  participant,
+  query('before').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { booking } = req;
+    const messages = bookingMessages(booking.id, {
+      before: req.query.before ? Number(req.query.before) : null,
+      limit: Number(req.query.limit) || 50,
+    });
+    return res.json({
+      bookingId: booking.id,
+      role: req.bookingRole,
+      messages: messages.map(toBookingMessage),
+      reads: bookingReadReceipts(booking.id).map((row) => toReadReceipt(row, booking)),
+      unread: unreadCount(booking.id, readerOf(req.user)),
+    });
+  }
+);
+
+// Renter/host/admin: send a message. JSON { body } or multipart/form-data with a `body` field and up to
+// 5 `attachments` files (PNG/JPEG/WebP/PDF, DOCUMENT_MAX_MB each).
+router.post(
+  '/bookings/:bookingId',
+  requireAuth,
+  participant,
+  attachmentUpload({
+    field: 'attachments',
+    maxCount: MAX_MESSAGE_ATTACHMENTS,
+    keyFor: (req, file, ext) => `messages/${req.booking.id}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${ext}`,
+  }),
+  body('body').optional({ nullable: true }).isString().trim().isLength({ max: 4000 }),
+  async (req, res) => {
+    const files = req.files || [];
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardUploads(files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.body.body && !files.length) return res.status(400).json({ error: 'A message needs text or an attachment' });
+
+    const row = addBookingMessage(req.booking.id, {
+      user: req.user,
+      role: req.bookingRole,
+      body: req.body.body,
+      attachments: files.map((file) => ({ path: file.path, name: file.originalname || null, size: file.size, type: file.mimetype })),
+    });
+    const message = toBookingMessage(row);
+    broadcast('booking_message_created', message, bookingChannels(req.booking.id));
+    return res.status(201).json(message);
+  }
+);
+
+// Renter/host/admin: mark the conversation read up to `lastReadId` (default: the newest message)
+router.post(
+  '/bookings/:bookingId/read',
+  requireAuth,
+  participant,
+  body('lastReadId').optional().isInt({ min: 1 }).toInt(),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { booking } = req;
+    const reader = readerOf(req.user);
+    const row = markRead(booking.id, reader, req.body.lastReadId);
+    const read = row ? toReadReceipt(row, booking) : null;
+    if (read) broadcast('booking_messages_read', { bookingId: booking.id, ...read }, bookingChannels(booking.id));
+    return res.json({ read, unread: unreadCount(booking.id, reader) });
+  }
+);
+
+export default router;
@@ -0,0 +1,218 @@
+import express from 'express';
+import db from '../db/index.js';
+import { body, validationResult } from 'express-validator';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { bookingChannels, broadcast } from '../utils/events.js';
+import { saveDataUrl } from '../utils/files.js';
+import { bookingRolesFor, getBookingWithHost } from '../utils/bookingLifecycle.js';
+import { createRefund, toRefund } from '../utils/refunds.js';
+import {
+  CLAIM_STATUSES,
+  DEPOSIT_RELEASE_REASON,
+  bookingDepositDetail,
+  captureDeposit,
+  depositBalance,
+  getBookingDeposit,
+  openClaimsAmount,
+  toDamageClaim,
+} from '../utils/deposits.js';
+import { processRefund } from '../payments/index.js';
+
+const router = express.Router();
+
+const EVIDENCE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'application/pdf': 'pdf' };
+const MAX_EVIDENCE = 10;
+
+// The car has been handed back (or the trip is otherwise over)
+function isReturned(booking) {
+  return !!booking.checked_out_at || ['completed', 'no_show'].includes(booking.status);
+}
+
+// Evidence items are data URLs (stored under deposits/<bookingId>/) or http(s) links.
+// Resolves to { evidence } or { error }.
+async function saveEvidence(bookingId, claimKey, items = []) {
+  const evidence = [];
+  for (const [i, item] of items.entries()) {
+    if (typeof item !== 'string') return { error: 'evidence items must be strings' };
+    if (/^https?:\/\//i.test(item)) {
+      evidence.push({ type: 'link', url: item });
+      continue;
+    }
+    const mime = (item.match(/^data:(.*?);base64,/) || [])[1];
+    const ext = EVIDENCE_TYPES[mime];
+    if (!ext) return { error: 'evidence must be a PNG, JPEG, WebP or PDF data URL, or an http(s) link' };
+    const saved = await saveDataUrl(item, `deposits/${bookingId}/claim-${claimKey}-${i + 1}.${ext}`);
+    if (!saved) return { error: 'Could not read evidence file' };
+    evidence.push({ type: 'file', url: `/${saved}` });
+  }
+  return { evidence };
+}
+
+// Renter/host/admin: the booking's deposit with its movements and claims
+router.get('/booking/:bookingId', requireAuth, (req, res) => {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (!bookingRolesFor(booking, req.user).length) return res.status(403).json({ error: 'Forbidden' });
+  const deposit = bookingDepositDetail(booking.id);
+  if (!deposit) return res.status(404).json({ error: 'No deposit on this booking' });
+  return res.json(deposit);
+});
+
+// Host/admin: claim damages against the deposit after the car is returned
+router.post(
+  '/booking/:bookingId/claims',
+  requireAuth,
+  body('amount').isInt({ min: 1 }),
+  body('reason').isString().trim().isLength({ min: 3, max: 1000 }),
+  body('evidence').optional().isArray({ max: MAX_EVIDENCE }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const booking = getBookingWithHost(req.params.bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    const roles = bookingRolesFor(booking, req.user);
+    const role = ['admin', 'host'].find((r) => roles.includes(r));
+    if (!role) return res.status(403).json({ error: 'Only the host or an admin can claim against the deposit' });
+    if (!isReturned(booking)) return res.status(409).json({ error: 'Damages can only be claimed after the car is returned' });
+
+    const deposit = getBookingDeposit(booking.id);
+    if (!deposit) return res.status(404).json({ error: 'No deposit on this booking' });
+    if (deposit.status === 'pending') return res.status(409).json({ error: 'The deposit has not been paid' });
+    const claimable = depositBalance(deposit) - openClaimsAmount(deposit.id);
+    const amount = Number(req.body.amount);
+    if (amount > claimable) return res.status(400).json({ error: 'Amount exceeds the unclaimed deposit', claimable });
+
+    let saved;
+    try {
+      saved = await saveEvidence(booking.id, Date.now(), req.body.evidence || []);
+    } catch (e) {
+      console.error('[storage] evidence upload failed:', e?.message || e);
+      return res.status(502).json({ error: 'File storage unavailable', message: e?.message });
+    }
+    if (saved.error) return res.status(400).json({ error: saved.error });
+
+    const info = db.prepare(`
+      INSERT INTO damage_claims (booking_id, deposit_id, amount, reason, evidence_json, created_by_role, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(booking.id, deposit.id, amount, req.body.reason, JSON.stringify(saved.evidence), role, req.user.id);
+    const claim = db.prepare('SELECT * FROM damage_claims WHERE id = ?').get(info.lastInsertRowid);
+
+    broadcast('damage_claim_created', toDamageClaim(claim), bookingChannels(booking.id));
+    return res.status(201).json(toDamageClaim(claim));
+  }
+);
+
+// Host/admin: return what is left of the deposit to the renter once claims are settled. Admins
+// refund it straight away; a host's release is a refund request for an admin to approve.
+router.post(
+  '/booking/:bookingId/release',
+  requireAuth,
+  body('note').optional().isString().isLength({ max: 1000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const booking = getBookingWithHost(req.params.bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    const roles = bookingRolesFor(booking, req.user);
+    const role = ['admin', 'host'].find((r) => roles.includes(r));
+    if (!role) return res.status(403).json({ error: 'Only the host or an admin can release the deposit' });
+    if (!isReturned(booking) && booking.status !== 'cancelled') {
+      return res.status(409).json({ error: 'The deposit is released after the car is returned' });
+    }
+
+    const deposit = getBookingDeposit(booking.id);
+    if (!deposit) return res.status(404).json({ error: 'No deposit on this booking' });
+    if (deposit.status === 'pending') return res.status(409).json({ error: 'The deposit has not been paid' });
+    if (openClaimsAmount(deposit.id) > 0) return res.status(409).json({ error: 'Resolve open damage claims first' });
+    const pending = db.prepare("SELECT id FROM refunds WHERE booking_id = ? AND reason = ? AND status IN ('requested', 'processing')").get(booking.id, DEPOSIT_RELEASE_REASON);
+    if (pending) return res.status(409).json({ error: 'A deposit release is already in progress' });
+    const amount = depositBalance(deposit);
+    if (amount < 1) return res.status(409).json({ error: 'Nothing left to release' });
+
+    const refund = createRefund({ booking, amount, reason: DEPOSIT_RELEASE_REASON, policy: null, role, userId: req.user.id });
+    // Like every other refund, a host's release waits for an admin (POST /refunds/:id/approve)
+    if (role !== 'admin') {
+      broadcast('refund_requested', toRefund(refund), bookingChannels(booking.id));
+      return res.status(202).json({ ...bookingDepositDetail(booking.id), refund: toRefund(refund) });
+    }
+    const processed = await processRefund(refund, { note: req.body.note || null, adminId: role === 'admin' ? req.user.id : null });
+    if (!processed) return res.status(409).json({ error: 'A deposit release is already in progress' });
+    const detail = bookingDepositDetail(booking.id);
+    broadcast('deposit_updated', detail, bookingChannels(booking.id));
+    if (processed.status !== 'processed') {
+      return res.status(502).json({ error: 'The payment provider could not refund the deposit', refund: toRefund(processed), deposit: detail });
+    }
+    return res.json({ ...detail, refund: toRefund(processed) });
+  }
+);
+
+// Admin: damage claims, optionally by status
+router.get('/claims', requireAdmin, (req, res) => {
+  const { status } = req.query;
+  if (status && !CLAIM_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+  const rows = status
+    ? db.prepare('SELECT * FROM damage_claims WHERE status = ? ORDER BY id DESC').all(status)
+    : db.prepare('SELECT * FROM damage_claims ORDER BY id DESC').all();
+  return res.json(rows.map(toDamageClaim));
+});
+
+// Admin: approve a claim, capturing its amount (or a lower one) from the deposit
+router.post(
+  '/claims/:id/approve',
+  requireAdmin,
+  body('amount').optional().isInt({ min: 1 }),
+  body('note').optional().isString().isLength({ max: 1000 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const claim = db.prepare('SELECT * FROM damage_claims WHERE id = ?').get(req.params.id);
+    if (!claim) return res.status(404).json({ error: 'Not found' });
+    if (claim.status !== 'open') return res.status(400).json({ error: 'Already resolved' });
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : claim.amount;
+    if (amount > claim.amount) return res.status(400).json({ error: 'Amount exceeds the claim' });
+
+    const tx = db.transaction(() => {
+      const captured = captureDeposit(claim.booking_id, amount, {
+        reason: claim.reason,
+        claimId: claim.id,
+        actor: { role: 'admin', id: req.user.id },
+      });
+      db.prepare(`
+        UPDATE damage_claims SET status = 'approved', captured_amount = ?, resolved_by = ?, resolution_note = ?, resolved_at = datetime('now')
+        WHERE id = ?
+      `).run(captured, req.user.id, req.body.note || null, claim.id);
+    });
+    tx.immediate();
+
+    const out = db.prepare('SELECT * FROM damage_claims WHERE id = ?').get(claim.id);
+    const channels = bookingChannels(claim.booking_id);
+    broadcast('damage_claim_updated', toDamageClaim(out), channels);
+    broadcast('deposit_updated', bookingDepositDetail(claim.booking_id), channels);
+    return res.json(toDamageClaim(out));
+  }
+);
+
+// Admin: reject a claim
+router.post(
+  '/claims/:id/reject',
+  requireAdmin,
+  body('note').optional().isString().isLength({ max: 1000 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const claim = db.prepare('SELECT * FROM damage_claims WHERE id = ?').get(req.params.id);
+    if (!claim) return res.status(404).json({ error: 'Not found' });
+    if (claim.status !== 'open') return res.status(400).json({ error: 'Already resolved' });
+    db.prepare(`
+      UPDATE damage_claims SET status = 'rejected', resolved_by = ?, resolution_note = ?, resolved_at = datetime('now')
+      WHERE id = ?
+    `).run(req.user.id, req.body.note || null, claim.id);
+    const out = db.prepare('SELECT * FROM damage_claims WHERE id = ?').get(claim.id);
+    broadcast('damage_claim_updated', toDamageClaim(out), bookingChannels(claim.booking_id));
+    return res.json(toDamageClaim(out));
+  }
+);
+
+export default router;
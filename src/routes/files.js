@@ -0,0 +1,94 @@
+import express from 'express';
+import db from '../db/index.js';
+import { body, query, validationResult } from 'express-validator';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { bookingRolesFor, getBookingWithHost } from '../utils/bookingLifecycle.js';
+import { contentTypeFor, objectExists, readObject } from '../storage/index.js';
+import { logFileAccess, parsePrivatePath, signFileUrl, toFileAccess, verifyFileToken } from '../utils/privateFiles.js';
+
+const router = express.Router();
+
+// Signed links carry their own credentials; everything else needs the usual bearer token
+function fileAuth(req, res, next) {
+  if (req.query.token) return next();
+  return requireAuth(req, res, next);
+}
+
+// Renter/host/admin: short-lived URL for one private file, usable without an Authorization header
+router.post('/sign', requireAuth, body('path').isString().notEmpty(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  const file = parsePrivatePath(req.body.path);
+  if (!file) return res.status(400).json({ error: 'Not a private file path' });
+  const booking = getBookingWithHost(file.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (!bookingRolesFor(booking, req.user).length) return res.status(403).json({ error: 'Forbidden' });
+  try {
+    if (!(await objectExists(file.key))) return res.status(404).json({ error: 'File not found' });
+  } catch (e) {
+    console.error('[storage] lookup failed:', e?.message || e);
+    return res.status(502).json({ error: 'File storage unavailable' });
+  }
+  return res.json(signFileUrl(file, req.user));
+});
+
+// Admin: who downloaded (or tried to download) private files, newest first
+router.get(
+  '/access-log',
+  requireAdmin,
+  query('bookingId').optional().isInt({ min: 1 }),
+  query('userId').optional().isInt({ min: 1 }),
+  query('outcome').optional().isIn(['granted', 'denied']),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const where = [];
+    const params = [];
+    if (req.query.bookingId) { where.push('booking_id = ?'); params.push(Number(req.query.bookingId)); }
+    if (req.query.userId) { where.push('user_id = ?'); params.push(Number(req.query.userId)); }
+    if (req.query.outcome) { where.push('outcome = ?'); params.push(req.query.outcome); }
+    const rows = db.prepare(`
+      SELECT * FROM file_access_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC LIMIT ?
+    `).all(...params, Number(req.query.limit) || 100);
+    return res.json(rows.map(toFileAccess));
+  }
+);
+
+// Renter/host/admin (or a signed URL): download a private file
+router.get('/:area/:bookingId/:name', fileAuth, async (req, res) => {
+  const file = parsePrivatePath(`uploads/${req.params.area}/${req.params.bookingId}/${req.params.name}`);
+  if (!file) return res.status(404).json({ error: 'File not found' });
+
+  const via = req.query.token ? 'signed_url' : 'token';
+  if (via === 'signed_url') {
+    const signer = verifyFileToken(req.query.token, file);
+    if (!signer) {
+      logFileAccess({ file, via, outcome: 'denied', req });
+      return res.status(403).json({ error: 'Link is invalid or has expired' });
+    }
+    req.user = signer;
+  } else {
+    const booking = getBookingWithHost(file.bookingId);
+    if (!booking) return res.status(404).json({ error: 'File not found' });
+    if (!bookingRolesFor(booking, req.user).length) {
+      logFileAccess({ file, user: req.user, via, outcome: 'denied', req });
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+  }
+  let content;
+  try {
+    content = await readObject(file.key);
+  } catch (e) {
+    console.error('[storage] download failed:', e?.message || e);
+    return res.status(502).json({ error: 'File storage unavailable' });
+  }
+  if (!content) return res.status(404).json({ error: 'File not found' });
+
+  logFileAccess({ file, user: req.user, via, outcome: 'granted', req });
+  res.set('Cache-Control', 'private, no-store');
+  return res.type(contentTypeFor(file.key)).send(content);
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import express from 'express';
+import db from '../db/index.js';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { bookingRolesFor, getBookingWithHost } from '../utils/bookingLifecycle.js';
+import {
+  INVOICE_KINDS,
+  ensureBookingInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  toInvoice,
+} from '../utils/invoices.js';
+
+const router = express.Router();
+
+// Renter of the booking, its host, or an admin
+function canViewInvoice(row, user) {
+  if (user?.role === 'admin') return true;
+  return Number(row.user_id) === Number(user?.id) || (row.host_id != null && Number(row.host_id) === Number(user?.id));
+}
+
+function loadInvoice(req, res) {
+  const row = db.prepare('SELECT * FROM invoices WHERE id = ?').get(req.params.id);
+  if (!row) {
+    res.status(404).json({ error: 'Invoice not found' });
+    return null;
+  }
+  if (!canViewInvoice(row, req.user)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return row;
+}
+
+// Renter: own invoices and credit notes
+router.get('/mine', requireAuth, (req, res) => {
+  const rows = db.prepare('SELECT * FROM invoices WHERE user_id = ? ORDER BY id DESC').all(req.user.id);
+  return res.json(rows.map(toInvoice));
+});
+
+// Renter/host/admin: invoices on a booking (404 until it has one)
+router.get('/booking/:bookingId', requireAuth, (req, res) => {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (!bookingRolesFor(booking, req.user).length) return res.status(403).json({ error: 'Forbidden' });
+  const rows = db.prepare('SELECT * FROM invoices WHERE booking_id = ? ORDER BY id ASC').all(booking.id);
+  if (!rows.length) return res.status(404).json({ error: 'No invoice for this booking' });
+  return res.json(rows.map(toInvoice));
+});
+
+// Admin: invoice a billable booking that has none yet (e.g. confirmed before invoicing existed)
+router.post('/booking/:bookingId', requireAdmin, (req, res) => {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (db.prepare("SELECT 1 FROM invoices WHERE booking_id = ? AND kind = 'invoice'").get(booking.id)) {
+    return res.status(409).json({ error: 'Booking is already invoiced' });
+  }
+  const row = ensureBookingInvoice(booking);
+  if (!row) return res.status(409).json({ error: `Cannot invoice a booking that is ${booking.status}` });
+  return res.status(201).json(toInvoice(row));
+});
+
+// Admin: all invoices, optionally by kind
+router.get('/', requireAdmin, (req, res) => {
+  const { kind } = req.query;
+  if (kind && !INVOICE_KINDS.includes(kind)) return res.status(400).json({ error: 'Invalid kind' });
+  const rows = kind
+    ? db.prepare('SELECT * FROM invoices WHERE kind = ? ORDER BY id DESC').all(kind)
+    : db.prepare('SELECT * FROM invoices ORDER BY id DESC').all();
+  return res.json(rows.map(toInvoice));
+});
+
+router.get('/:id', requireAuth, (req, res) => {
+  const row = loadInvoice(req, res);
+  if (!row) return;
+  return res.json(toInvoice(row));
+});
+
+router.get('/:id/html', requireAuth, (req, res) => {
+  const row = loadInvoice(req, res);
+  if (!row) return;
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  return res.send(renderInvoiceHtml(row));
+});
+
+router.get('/:id/pdf', requireAuth, (req, res) => {
+  const row = loadInvoice(req, res);
+  if (!row) return;
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="${row.number}.pdf"`);
+  return res.send(renderInvoicePdf(row));
+});
+
+export default router;
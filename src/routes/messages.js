@@ -1,8 +1,33 @@
 import express from 'express';
 import db from '../db/index.js';
-import { body, validationResult } from 'express-validator';
-import { requireAdmin } from '../middleware/auth.js';
+import { body, query, validationResult } from 'express-validator';
+import { bearerToken, requireAdmin, requireAuth, verifyToken } from '../middleware/auth.js';
 import sgMail from '@sendgrid/mail';
+import { broadcast } from '../utils/events.js';
+import { bookingRolesFor, getBookingWithHost } from '../utils/bookingLifecycle.js';
+import { formFields } from '../utils/uploads.js';
+import {
+  addTicketMessage,
+  createTicket,
+  deleteTicket,
+  emailAddress,
+  getTicket,
+  inboundSecretMatches,
+  listTickets,
+  setEmailStatus,
+  stripQuotedReply,
+  TICKET_CATEGORIES,
+  TICKET_PRIORITIES,
+  TICKET_STATUSES,
+  ticketChannels,
+  ticketEmailSubject,
+  ticketIdFromSubject,
+  ticketsOfUser,
+  ticketThread,
+  toTicket,
+  toTicketMessage,
+  updateTicket,
+} from '../utils/tickets.js';
 
 const router = express.Router();
 
@@ -11,57 +36,198 @@ if (process.env.SENDGRID_API_KEY) {
   sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 }
 
+// The contact form is public; a signed-in customer's ticket is linked to their account
+function optionalUser(req, res, next) {
+  const payload = verifyToken(bearerToken(req));
+  if (payload && payload.role !== 'admin') req.user = payload;
+  next();
+}
+
+function ticketWithThread(row) {
+  return { ...toTicket(row), thread: ticketThread(row.id).map(toTicketMessage) };
+}
+
+// The signed-in customer's own ticket, else a 404
+function ownTicket(req, res, next) {
+  const row = getTicket(req.params.id);
+  if (!row || row.user_id == null || Number(row.user_id) !== Number(req.user.id)) return res.status(404).json({ error: 'Not found' });
+  req.ticket = row;
+  return next();
+}
+
+// Email an admin reply to the customer. Returns the message's email status: sent, failed or
+// not_configured (the reply is kept in the thread either way).
+async function emailReply(ticket, text) {
+  const fromEmail = process.env.SUPPORT_EMAIL || process.env.SENDGRID_FROM || '';
+  if (!process.env.SENDGRID_API_KEY || !fromEmail) return { status: 'not_configured', error: 'Email service not configured (set SENDGRID_API_KEY and SUPPORT_EMAIL or SENDGRID_FROM)' };
+  try {
+    const msg = {
+      to: ticket.email,
+      from: fromEmail,
+      subject: ticketEmailSubject(ticket),
+      text,
+    };
+    // Optional sandbox mode to avoid accidental sends during dev
+    if (String(process.env.SENDGRID_SANDBOX).toLowerCase() === 'true') {
+      msg.mailSettings = { sandboxMode: { enable: true } };
+    }
+    await sgMail.send(msg);
+    return { status: 'sent' };
+  } catch (e) {
+    // Extract friendly error from SendGrid response when available
+    const sgErrors = e?.response?.body?.errors;
+    const detail = Array.isArray(sgErrors) && sgErrors.length ? sgErrors.map(x => x.message).join('; ') : null;
+    return { status: 'failed', error: detail || e?.message || 'Failed to send email' };
+  }
+}
+
+// Contact form: opens a ticket. Signed-in customers may leave out name/email and link one of their
+// bookings.
 router.post(
   '/',
-  body('name').isString().notEmpty(),
-  body('email').isEmail(),
+  optionalUser,
+  body('name').if((value, { req }) => !req.user || value !== undefined).isString().notEmpty(),
+  body('email').if((value, { req }) => !req.user || value !== undefined).isEmail(),
   body('message').isString().isLength({ min: 3 }),
+  body('subject').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+  body('category').optional().isIn(TICKET_CATEGORIES),
+  body('bookingId').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('carId').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
   (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-    const { name, email, message } = req.body;
-    const info = db.prepare('INSERT INTO messages (name, email, message) VALUES (?, ?, ?)').run(name, email, message);
-    const row = db.prepare('SELECT * FROM messages WHERE id = ?').get(info.lastInsertRowid);
-    return res.status(201).json({
-      id: row.id,
-      name: row.name,
-      email: row.email,
-      message: row.message,
-      status: row.status,
-      createdAt: row.created_at,
+    const account = req.user ? db.prepare('SELECT id, email, full_name FROM users WHERE id = ?').get(req.user.id) : null;
+    const name = req.body.name || account?.full_name || account?.email;
+    const email = req.body.email || account?.email;
+    if (!name || !email) return res.status(400).json({ error: 'name and email are required' });
+
+    const { bookingId, carId } = req.body;
+    if (bookingId) {
+      if (!account) return res.status(401).json({ error: 'Sign in to link a booking' });
+      const booking = getBookingWithHost(bookingId);
+      if (!booking || !bookingRolesFor(booking, req.user).length) return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (carId && !db.prepare('SELECT id FROM cars WHERE id = ?').get(carId)) return res.status(404).json({ error: 'Car not found' });
+
+    const row = createTicket({
+      name,
+      email,
+      message: req.body.message,
+      subject: req.body.subject || null,
+      category: req.body.category || (bookingId ? 'booking' : 'general'),
+      userId: account?.id ?? null,
+      bookingId: bookingId || null,
+      carId: carId || null,
     });
+    const ticket = toTicket(row);
+    broadcast('ticket_created', ticket, ticketChannels(row));
+    return res.status(201).json(ticket);
   }
 );
 
-router.get('/', requireAdmin, (req, res) => {
-  const rows = db.prepare('SELECT * FROM messages ORDER BY id DESC').all();
-  return res.json(
-    rows.map((row) => ({
-      id: row.id,
-      name: row.name,
-      email: row.email,
-      message: row.message,
-      status: row.status,
-      createdAt: row.created_at,
-    }))
-  );
+// Inbound email webhook (e.g. SendGrid Inbound Parse, multipart or JSON with from, subject, text):
+// a customer's emailed reply to `[Ticket #<id>]` from the ticket's address joins the thread.
+// Authenticated with INBOUND_EMAIL_SECRET in ?secret= or the X-Inbound-Secret header; mail that
+// matches no ticket is acknowledged and ignored so the provider does not retry it.
+router.post('/inbound-email', formFields(), (req, res) => {
+  if (!process.env.INBOUND_EMAIL_SECRET) return res.status(503).json({ error: 'Inbound email not configured (set INBOUND_EMAIL_SECRET)' });
+  if (!inboundSecretMatches(req.query.secret || req.get('x-inbound-secret'))) return res.status(401).json({ error: 'Invalid webhook secret' });
+
+  const { from, subject, text } = req.body || {};
+  const ticketId = ticketIdFromSubject(subject);
+  const row = ticketId ? getTicket(ticketId) : null;
+  if (!row) return res.json({ ok: true, ignored: 'no_ticket' });
+  const sender = emailAddress(from);
+  if (!sender || sender !== String(row.email || '').toLowerCase()) return res.json({ ok: true, ignored: 'unknown_sender' });
+  const reply = stripQuotedReply(text);
+  if (!reply) return res.json({ ok: true, ignored: 'empty' });
+
+  const { message, ticket } = addTicketMessage(row, { authorType: 'customer', authorId: row.user_id, body: reply, via: 'email' });
+  broadcast('ticket_message_added', { ticketId: row.id, message: toTicketMessage(message) }, ticketChannels(row));
+  if (ticket.status !== row.status) broadcast('ticket_updated', toTicket(ticket), ticketChannels(row));
+  return res.json({ ok: true, ticketId: row.id, messageId: message.id });
 });
 
-// Get single message (admin)
+// Signed-in customer: tickets they opened
+router.get('/mine', requireAuth, (req, res) => res.json(ticketsOfUser(req.user.id).map(toTicket)));
+
+// Signed-in customer: one of their tickets with its thread
+router.get('/mine/:id', requireAuth, ownTicket, (req, res) => res.json(ticketWithThread(req.ticket)));
+
+// Signed-in customer: follow up on one of their tickets (reopens it)
+router.post(
+  '/mine/:id/replies',
+  requireAuth,
+  ownTicket,
+  body('body').isString().trim().isLength({ min: 1, max: 4000 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { message, ticket } = addTicketMessage(req.ticket, { authorType: 'customer', authorId: req.user.id, body: req.body.body });
+    broadcast('ticket_message_added', { ticketId: ticket.id, message: toTicketMessage(message) }, ticketChannels(ticket));
+    if (ticket.status !== req.ticket.status) broadcast('ticket_updated', toTicket(ticket), ticketChannels(ticket));
+    return res.status(201).json({ message: toTicketMessage(message), ticket: toTicket(ticket) });
+  }
+);
+
+// Tickets (admin), newest first; filter with ?status, priority, category, assignedTo (admin id, `me`
+// or `none`), bookingId, carId, userId
+router.get(
+  '/',
+  requireAdmin,
+  query('status').optional().isIn(TICKET_STATUSES),
+  query('priority').optional().isIn(TICKET_PRIORITIES),
+  query('category').optional().isIn(TICKET_CATEGORIES),
+  query('assignedTo').optional().custom((value) => ['me', 'none'].includes(value) || /^\d+$/.test(value)),
+  query('bookingId').optional().isInt({ min: 1 }),
+  query('carId').optional().isInt({ min: 1 }),
+  query('userId').optional().isInt({ min: 1 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const filters = { ...req.query };
+    if (filters.assignedTo === 'me') filters.assignedTo = req.user.id;
+    return res.json(listTickets(filters).map(toTicket));
+  }
+);
+
+// Get single ticket with its thread (admin)
 router.get('/:id', requireAdmin, (req, res) => {
-  const row = db.prepare('SELECT * FROM messages WHERE id = ?').get(req.params.id);
+  const row = getTicket(req.params.id);
   if (!row) return res.status(404).json({ error: 'Not found' });
-  return res.json({
-    id: row.id,
-    name: row.name,
-    email: row.email,
-    message: row.message,
-    status: row.status,
-    createdAt: row.created_at,
-  });
+  return res.json(ticketWithThread(row));
 });
 
-// Reply to a message (admin) -> send email to user and mark as replied
+// Triage a ticket (admin): status along the allowed transitions, priority, category, assignee and
+// booking/car links (null clears them)
+router.patch(
+  '/:id',
+  requireAdmin,
+  body('status').optional().isIn(TICKET_STATUSES),
+  body('priority').optional().isIn(TICKET_PRIORITIES),
+  body('category').optional().isIn(TICKET_CATEGORIES),
+  body('assignedTo').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('bookingId').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('carId').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const row = getTicket(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Not found' });
+    const changes = {};
+    for (const key of ['status', 'priority', 'category', 'assignedTo', 'bookingId', 'carId']) {
+      if (key in req.body) changes[key] = req.body[key];
+    }
+    const result = updateTicket(row, changes);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    const ticket = toTicket(result.ticket);
+    broadcast('ticket_updated', ticket, ticketChannels(result.ticket));
+    return res.json(ticket);
+  }
+);
+
+// Reply to a ticket (admin): the reply joins the thread, the ticket waits on the customer (pending)
+// and the reply is emailed to them when SendGrid is configured
 router.post(
   '/:id/reply',
   requireAdmin,
@@ -70,54 +236,29 @@ router.post(
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const row = db.prepare('SELECT * FROM messages WHERE id = ?').get(req.params.id);
+    const row = getTicket(req.params.id);
     if (!row) return res.status(404).json({ error: 'Not found' });
 
-    const fromEmail = process.env.SUPPORT_EMAIL || process.env.SENDGRID_FROM || '';
-    const subject = `Re: Your message to Gomel Cars`;
     const replyText = String(req.body.reply);
+    const { message, ticket } = addTicketMessage(row, { authorType: 'admin', authorId: req.user.id, body: replyText });
+    const email = await emailReply(ticket, replyText);
+    const stored = setEmailStatus(message.id, email.status);
 
-    // If SendGrid not configured, return a 503 indicating email not set up
-    if (!process.env.SENDGRID_API_KEY) {
-      return res.status(503).json({ error: 'Email service not configured (missing SENDGRID_API_KEY)' });
-    }
-
-    // Validate sender email presence
-    if (!fromEmail) {
-      return res.status(503).json({ error: 'Email sender not configured (set SUPPORT_EMAIL or SENDGRID_FROM)' });
-    }
-
-    try {
-      const msg = {
-        to: row.email,
-        from: fromEmail,
-        subject,
-        text: replyText,
-        // html: can be added if needed
-      };
-      // Optional sandbox mode to avoid accidental sends during dev
-      if (String(process.env.SENDGRID_SANDBOX).toLowerCase() === 'true') {
-        msg.mailSettings = { sandboxMode: { enable: true } };
-      }
-      await sgMail.send(msg);
-
-      // Mark message as replied
-      db.prepare("UPDATE messages SET status = 'replied' WHERE id = ?").run(row.id);
-
-      return res.json({ ok: true });
-    } catch (e) {
-      // Extract friendly error from SendGrid response when available
-      const sgErrors = e?.response?.body?.errors;
-      const detail = Array.isArray(sgErrors) && sgErrors.length ? sgErrors.map(x => x.message).join('; ') : null;
-      return res.status(500).json({ error: detail || e?.message || 'Failed to send email' });
-    }
+    broadcast('ticket_message_added', { ticketId: ticket.id, message: toTicketMessage(stored) }, ticketChannels(ticket));
+    if (ticket.status !== row.status) broadcast('ticket_updated', toTicket(ticket), ticketChannels(ticket));
+    return res.json({
+      ok: true,
+      message: toTicketMessage(stored),
+      ticket: toTicket(ticket),
+      email: { sent: email.status === 'sent', status: email.status, error: email.error || null },
+    });
   }
 );
 
 router.delete('/:id', requireAdmin, (req, res) => {
   const row = db.prepare('SELECT * FROM messages WHERE id = ?').get(req.params.id);
   if (!row) return res.status(404).json({ error: 'Not found' });
-  db.prepare('DELETE FROM messages WHERE id = ?').run(row.id);
+  deleteTicket(row.id);
   return res.json({ ok: true });
 });
 
@@ -0,0 +1,95 @@
+import express from 'express';
+import db from '../db/index.js';
+import { body, validationResult } from 'express-validator';
+import { requireAuth } from '../middleware/auth.js';
+import { bookingRolesFor, getBookingWithHost } from '../utils/bookingLifecycle.js';
+import {
+  applyPaymentResult,
+  configuredProviderName,
+  createIntentForBooking,
+  getPaymentProvider,
+  toPayment,
+} from '../payments/index.js';
+
+const router = express.Router();
+
+// Renter: create a payment intent for their pending booking, or for a balance left by a modification
+router.post(
+  '/intents',
+  requireAuth,
+  body('bookingId').isInt({ min: 1 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const booking = getBookingWithHost(req.body.bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    const roles = bookingRolesFor(booking, req.user);
+    if (!roles.includes('renter') && !roles.includes('admin')) return res.status(403).json({ error: 'Forbidden' });
+    // Pending bookings pay up front; a confirmed trip may owe a balance after a modification
+    const payable = booking.status === 'pending' || (booking.payment_status === 'balance_due' && ['confirmed', 'active'].includes(booking.status));
+    if (booking.status === 'requested') return res.status(409).json({ error: 'The host has not accepted this booking yet' });
+    if (!payable) return res.status(409).json({ error: `Booking is ${booking.status}` });
+    if (booking.payment_status === 'paid') return res.status(409).json({ error: 'Booking is already paid' });
+
+    try {
+      const result = await createIntentForBooking(booking);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.status(201).json({ ...toPayment(result.payment), checkout: result.checkout });
+    } catch (e) {
+      console.error('[payments] create intent failed:', e?.message || e);
+      return res.status(502).json({ error: 'Payment provider unavailable', message: e?.message });
+    }
+  }
+);
+
+// Renter: hand back the provider's signed checkout result (e.g. Razorpay handler response)
+router.post(
+  '/verify',
+  requireAuth,
+  body('intentId').isString().notEmpty(),
+  body('paymentId').isString().notEmpty(),
+  body('signature').isString().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    // Only the configured provider's checkouts are accepted, whatever `provider` the client names
+    const provider = getPaymentProvider();
+    if (!provider) return res.status(503).json({ error: 'Payment provider not configured' });
+    const payment = db.prepare('SELECT * FROM payments WHERE provider = ? AND intent_id = ?').get(provider.name, req.body.intentId);
+    if (!payment) return res.status(404).json({ error: 'Unknown payment intent' });
+    const roles = bookingRolesFor(getBookingWithHost(payment.booking_id), req.user);
+    if (!roles.includes('renter') && !roles.includes('admin')) return res.status(403).json({ error: 'Forbidden' });
+
+    const verified = provider.verifyCheckout(req.body);
+    if (!verified) return res.status(400).json({ error: 'Invalid payment signature' });
+    const result = await applyPaymentResult(provider.name, { ...verified, status: 'paid' });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    return res.json(toPayment(result.payment));
+  }
+);
+
+// Provider webhook: signature-checked against the raw request body, no user auth
+router.post('/webhook/:provider', async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+  if (!provider || provider.name !== configuredProviderName()) return res.status(404).json({ error: 'Unknown payment provider' });
+  if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  const event = provider.parseWebhook(req.body);
+  const result = await applyPaymentResult(provider.name, event);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  return res.json({ ok: true, ignored: !!result.ignored, duplicate: !!result.duplicate });
+});
+
+// Renter, car host or admin: payments recorded against a booking
+router.get('/booking/:bookingId', requireAuth, (req, res) => {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (!bookingRolesFor(booking, req.user).length) return res.status(403).json({ error: 'Forbidden' });
+  const rows = db.prepare('SELECT * FROM payments WHERE booking_id = ? ORDER BY id DESC').all(booking.id);
+  return res.json(rows.map(toPayment));
+});
+
+export default router;
@@ -1,8 +1,11 @@
 import express from 'express';
+import crypto from 'crypto';
 import db from '../db/index.js';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { requireAdmin, requireAuth } from '../middleware/auth.js';
-import { broadcast } from '../utils/events.js';
+import { broadcast, hostChannel } from '../utils/events.js';
+import { bookingPaidAmount } from '../utils/refunds.js';
+import { hostBalance, syncHostLedger, syncAllHostLedgers, addAdjustment, toLedgerEntry } from '../utils/ledger.js';
 
 const router = express.Router();
 
@@ -10,7 +13,8 @@ function toPayout(row) {
   if (!row) return null;
   return {
     id: row.id,
-    bookingId: row.booking_id,
+    bookingId: row.booking_id || null,
+    batchId: row.batch_id || null,
     hostId: row.host_id,
     amount: row.amount,
     status: row.status,
@@ -50,47 +54,250 @@ router.get('/', requireAdmin, (req, res) => {
   return res.json(rows.map(toPayout));
 });
 
-// Host: create payout request for a booking they own
+// Host: earnings ledger balance and what can still be requested, overall and per booking
+router.get('/balance', requireAuth, (req, res) => {
+  return res.json(hostBalance(req.user.id));
+});
+
+// Host: own ledger entries, newest first
+router.get(
+  '/ledger',
+  requireAuth,
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    syncHostLedger(req.user.id);
+    const { where, params } = ledgerFilter({ hostId: req.user.id, from: req.query.from, to: req.query.to });
+    const rows = db.prepare(`SELECT * FROM host_ledger l WHERE ${where} ORDER BY l.id DESC`).all(...params);
+    return res.json(rows.map(toLedgerEntry));
+  }
+);
+
+function ledgerFilter({ hostId, from, to }) {
+  const where = ['1 = 1'];
+  const params = [];
+  if (hostId) { where.push('l.host_id = ?'); params.push(hostId); }
+  if (from) { where.push('datetime(l.created_at) >= datetime(?)'); params.push(from); }
+  if (to) { where.push('datetime(l.created_at) < datetime(?)'); params.push(to); }
+  return { where: where.join(' AND '), params };
+}
+
+// Text that spreadsheet apps would run as a formula (=, +, -, @, tab, CR first) gets a leading `'`;
+// numbers such as negative amounts stay numbers
+function csvCell(value) {
+  if (value == null) return '';
+  let s = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Admin: ledger export across hosts (or one host), as CSV or JSON
+router.get(
+  '/ledger/export',
+  requireAdmin,
+  query('hostId').optional().isInt({ min: 1 }),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('format').optional().isIn(['csv', 'json']),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const hostId = req.query.hostId ? Number(req.query.hostId) : null;
+    if (hostId) syncHostLedger(hostId);
+    else syncAllHostLedgers();
+
+    const { where, params } = ledgerFilter({ hostId, from: req.query.from, to: req.query.to });
+    const rows = db.prepare(`
+      SELECT l.*, u.email AS host_email, u.full_name AS host_full_name
+      FROM host_ledger l
+      LEFT JOIN users u ON u.id = l.host_id
+      WHERE ${where}
+      ORDER BY l.host_id ASC, l.id ASC
+    `).all(...params);
+
+    if (req.query.format !== 'csv') {
+      return res.json(rows.map((r) => ({ ...toLedgerEntry(r), hostEmail: r.host_email || null })));
+    }
+    const columns = ['id', 'created_at', 'host_id', 'host_email', 'host_full_name', 'entry_type', 'amount', 'booking_id', 'refund_id', 'payout_request_id', 'description'];
+    const lines = [columns.join(',')].concat(rows.map((r) => columns.map((c) => csvCell(r[c])).join(',')));
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="host-ledger${hostId ? `-${hostId}` : ''}.csv"`);
+    return res.send(lines.join('\n') + '\n');
+  }
+);
+
+// Admin: manual credit (positive) or debit (negative) on a host's ledger
+router.post(
+  '/ledger/adjustments',
+  requireAdmin,
+  body('hostId').isInt({ min: 1 }),
+  body('amount').isInt().custom((v) => Number(v) !== 0),
+  body('description').isString().trim().isLength({ min: 1, max: 500 }),
+  body('bookingId').optional({ nullable: true }).isInt({ min: 1 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { hostId, amount, description, bookingId } = req.body;
+    const host = db.prepare('SELECT id FROM users WHERE id = ?').get(hostId);
+    if (!host) return res.status(404).json({ error: 'Host not found' });
+    if (bookingId) {
+      const b = db.prepare('SELECT c.host_id FROM bookings b LEFT JOIN cars c ON c.id = b.car_id WHERE b.id = ?').get(bookingId);
+      if (!b) return res.status(404).json({ error: 'Booking not found' });
+      if (Number(b.host_id) !== Number(hostId)) return res.status(400).json({ error: 'Booking does not belong to this host' });
+    }
+    const row = addAdjustment({ hostId: Number(hostId), amount: Number(amount), description, createdBy: req.user.id, bookingId: bookingId || null });
+    broadcast('host_ledger_updated', { hostId: Number(hostId), entry: toLedgerEntry(row) }, [hostChannel(hostId)]);
+    return res.status(201).json(toLedgerEntry(row));
+  }
+);
+
+// Checks a booking can be paid out to this host; returns { status, error } on failure
+function payableBooking(bookingId, hostId) {
+  const row = db.prepare(`
+    SELECT b.*, c.host_id AS host_id
+    FROM bookings b
+    LEFT JOIN cars c ON c.id = b.car_id
+    WHERE b.id = ?
+  `).get(bookingId);
+  if (!row) return { status: 404, error: 'Booking not found' };
+  if (Number(row.host_id) !== Number(hostId)) return { status: 403, error: 'Not owner of this booking' };
+  if (row.status === 'pending') return { status: 400, error: 'Booking has not been paid yet' };
+  if (row.status === 'cancelled' && !bookingPaidAmount(row.id)) {
+    return { status: 400, error: 'Cancelled bookings cannot be paid out' };
+  }
+  if (!['completed', 'no_show', 'cancelled'].includes(row.status)) {
+    return { status: 400, error: 'Booking earnings are released once the trip is completed' };
+  }
+  return { row };
+}
+
+// Host: create a payout request for a booking they own, or without bookingId against the
+// overall ledger balance. Amounts default to, and are capped at, what is still payable.
 router.post(
   '/request',
   requireAuth,
-  body('bookingId').isInt({ min: 1 }),
-  body('amount').isInt({ min: 1 }),
+  body('bookingId').optional({ nullable: true }).isInt({ min: 1 }),
+  body('amount').optional().isInt({ min: 1 }),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-    const { bookingId, amount, note } = req.body;
+    const { bookingId, note } = req.body;
 
-    const row = db.prepare(`
-      SELECT b.*, c.host_id AS host_id
-      FROM bookings b
-      LEFT JOIN cars c ON c.id = b.car_id
-      WHERE b.id = ?
-    `).get(bookingId);
-    if (!row) return res.status(404).json({ error: 'Booking not found' });
-    if (Number(row.host_id) !== Number(req.user.id)) return res.status(403).json({ error: 'Not owner of this booking' });
+    if (bookingId) {
+      const check = payableBooking(bookingId, req.user.id);
+      if (check.error) return res.status(check.status).json({ error: check.error });
+      // Prevent duplicate pending requests for same booking
+      const existing = db.prepare('SELECT id FROM payout_requests WHERE booking_id = ? AND status = ?').get(bookingId, 'pending');
+      if (existing) return res.status(409).json({ error: 'Request already pending for this booking' });
+    }
 
-    // Prevent duplicate pending requests for same booking
-    const existing = db.prepare('SELECT id FROM payout_requests WHERE booking_id = ? AND status = ?').get(bookingId, 'pending');
-    if (existing) return res.status(409).json({ error: 'Request already pending for this booking' });
+    const balance = hostBalance(req.user.id);
+    const payable = bookingId
+      ? (balance.bookings.find((b) => b.bookingId === Number(bookingId))?.payable || 0)
+      : balance.available;
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : payable;
+    if (amount < 1) {
+      return res.status(400).json({ error: bookingId ? 'Nothing left to pay out for this booking' : 'Nothing left to pay out', payable });
+    }
+    if (amount > payable) {
+      return res.status(400).json({ error: bookingId ? 'Amount exceeds booking earnings' : 'Amount exceeds available balance', payable });
+    }
 
     const info = db.prepare('INSERT INTO payout_requests (booking_id, host_id, amount, note) VALUES (?, ?, ?, ?)')
-      .run(bookingId, req.user.id, amount, note || null);
+      .run(bookingId || null, req.user.id, amount, note || null);
     const pr = db.prepare('SELECT * FROM payout_requests WHERE id = ?').get(info.lastInsertRowid);
 
-    broadcast('payout_request_created', toPayout(pr));
+    broadcast('payout_request_created', toPayout(pr), [hostChannel(pr.host_id)]);
     return res.status(201).json(toPayout(pr));
   }
 );
 
+// Host: request payouts for many bookings at once, one request per booking sharing a batchId.
+// Without bookingIds every booking with something payable is included, up to the available balance.
+router.post(
+  '/batch',
+  requireAuth,
+  body('bookingIds').optional().isArray({ min: 1, max: 200 }),
+  body('bookingIds.*').optional().isInt({ min: 1 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const balance = hostBalance(req.user.id);
+    const ids = req.body.bookingIds
+      ? Array.from(new Set(req.body.bookingIds.map(Number)))
+      : balance.bookings
+        .filter((b) => b.payable > 0 && !b.pendingPayouts)
+        .map((b) => b.bookingId);
+    if (!ids.length) return res.status(400).json({ error: 'Nothing left to pay out', available: balance.available });
+
+    // Allocate the available balance booking by booking so the batch never exceeds it
+    let remaining = balance.available;
+    const items = [];
+    for (const id of ids) {
+      const check = payableBooking(id, req.user.id);
+      if (check.error) return res.status(check.status).json({ error: `Booking ${id}: ${check.error}` });
+      const pending = db.prepare("SELECT id FROM payout_requests WHERE booking_id = ? AND status = 'pending'").get(id);
+      if (pending) return res.status(409).json({ error: `Booking ${id}: Request already pending for this booking` });
+      const amount = Math.min(remaining, balance.bookings.find((b) => b.bookingId === id)?.payable || 0);
+      if (amount < 1) {
+        if (!req.body.bookingIds) break;
+        return res.status(400).json({ error: `Booking ${id}: Nothing left to pay out for this booking`, available: balance.available });
+      }
+      items.push({ bookingId: id, amount });
+      remaining -= amount;
+    }
+    const total = items.reduce((a, i) => a + i.amount, 0);
+
+    const batchId = crypto.randomUUID();
+    const insert = db.prepare('INSERT INTO payout_requests (booking_id, host_id, amount, note, batch_id) VALUES (?, ?, ?, ?, ?)');
+    db.transaction(() => {
+      items.forEach((i) => insert.run(i.bookingId, req.user.id, i.amount, req.body.note || null, batchId));
+    })();
+    const rows = db.prepare('SELECT * FROM payout_requests WHERE batch_id = ? ORDER BY id ASC').all(batchId);
+
+    rows.forEach((pr) => broadcast('payout_request_created', toPayout(pr), [hostChannel(pr.host_id)]));
+    return res.status(201).json({ batchId, total, requests: rows.map(toPayout) });
+  }
+);
+
+function settleBatch(batchId, status) {
+  const rows = db.prepare("SELECT * FROM payout_requests WHERE batch_id = ? AND status = 'pending'").all(batchId);
+  if (!rows.length) return [];
+  const approvedAt = status === 'approved' ? "approved_at = datetime('now')," : '';
+  db.prepare(`UPDATE payout_requests SET status = ?, ${approvedAt} updated_at = datetime('now') WHERE batch_id = ? AND status = 'pending'`)
+    .run(status, batchId);
+  const out = db.prepare('SELECT * FROM payout_requests WHERE batch_id = ? ORDER BY id ASC').all(batchId);
+  new Set(out.map((r) => r.host_id)).forEach((hostId) => syncHostLedger(hostId));
+  out.forEach((pr) => broadcast('payout_request_updated', toPayout(pr), [hostChannel(pr.host_id)]));
+  return out;
+}
+
+// Admin: approve / reject every pending request in a batch
+router.post('/batch/:batchId/approve', requireAdmin, (req, res) => {
+  const out = settleBatch(req.params.batchId, 'approved');
+  if (!out.length) return res.status(404).json({ error: 'No pending requests in this batch' });
+  return res.json({ batchId: req.params.batchId, requests: out.map(toPayout) });
+});
+
+router.post('/batch/:batchId/reject', requireAdmin, (req, res) => {
+  const out = settleBatch(req.params.batchId, 'rejected');
+  if (!out.length) return res.status(404).json({ error: 'No pending requests in this batch' });
+  return res.json({ batchId: req.params.batchId, requests: out.map(toPayout) });
+});
+
 // Admin: approve payout request
 router.post('/:id/approve', requireAdmin, (req, res) => {
   const pr = db.prepare('SELECT * FROM payout_requests WHERE id = ?').get(req.params.id);
   if (!pr) return res.status(404).json({ error: 'Not found' });
   if (pr.status !== 'pending') return res.status(400).json({ error: 'Already processed' });
   db.prepare("UPDATE payout_requests SET status='approved', approved_at = datetime('now'), updated_at = datetime('now') WHERE id = ?").run(pr.id);
+  // Post the payout to the host's ledger right away
+  syncHostLedger(pr.host_id);
   const out = db.prepare('SELECT * FROM payout_requests WHERE id = ?').get(pr.id);
-  broadcast('payout_request_updated', toPayout(out));
+  broadcast('payout_request_updated', toPayout(out), [hostChannel(out.host_id)]);
   return res.json(toPayout(out));
 });
 
@@ -101,7 +308,7 @@ router.post('/:id/reject', requireAdmin, (req, res) => {
   if (pr.status !== 'pending') return res.status(400).json({ error: 'Already processed' });
   db.prepare("UPDATE payout_requests SET status='rejected', updated_at = datetime('now') WHERE id = ?").run(pr.id);
   const out = db.prepare('SELECT * FROM payout_requests WHERE id = ?').get(pr.id);
-  broadcast('payout_request_updated', toPayout(out));
+  broadcast('payout_request_updated', toPayout(out), [hostChannel(out.host_id)]);
   return res.json(toPayout(out));
 });
 
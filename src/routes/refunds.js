@@ -0,0 +1,151 @@
+import express from 'express';
+import db from '../db/index.js';
+import { body, validationResult } from 'express-validator';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { bookingChannels, broadcast } from '../utils/events.js';
+import { bookingRolesFor, getBookingWithHost } from '../utils/bookingLifecycle.js';
+import {
+  bookingPaidAmount,
+  bookingRefundedAmount,
+  computeRefund,
+  createRefund,
+  getCarPolicy,
+  toRefund,
+} from '../utils/refunds.js';
+import { processRefund } from '../payments/index.js';
+
+const router = express.Router();
+
+// Refund the policy would give for this booking: as cancelled, or if cancelled now by the requester
+function refundPreview(booking, roles) {
+  const cancelled = booking.status === 'cancelled';
+  return computeRefund(booking, {
+    policy: getCarPolicy(booking.car_id),
+    cancelledBy: cancelled ? booking.cancelled_by || 'renter' : roles.includes('renter') ? 'renter' : roles[0],
+    at: cancelled && booking.cancelled_at ? new Date(booking.cancelled_at) : new Date(),
+  });
+}
+
+// Renter/host/admin: what cancelling (or the cancellation) refunds under the car's policy
+router.get('/quote/:bookingId', requireAuth, (req, res) => {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  const roles = bookingRolesFor(booking, req.user);
+  if (!roles.length) return res.status(403).json({ error: 'Forbidden' });
+  return res.json({ bookingId: booking.id, status: booking.status, ...refundPreview(booking, roles) });
+});
+
+// Renter: own refunds
+router.get('/mine', requireAuth, (req, res) => {
+  const rows = db.prepare(`
+    SELECT r.* FROM refunds r
+    JOIN bookings b ON b.id = r.booking_id
+    WHERE b.user_id = ?
+    ORDER BY r.id DESC
+  `).all(req.user.id);
+  return res.json(rows.map(toRefund));
+});
+
+// Renter/host/admin: refunds on a booking
+router.get('/booking/:bookingId', requireAuth, (req, res) => {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (!bookingRolesFor(booking, req.user).length) return res.status(403).json({ error: 'Forbidden' });
+  const rows = db.prepare('SELECT * FROM refunds WHERE booking_id = ? ORDER BY id DESC').all(booking.id);
+  return res.json(rows.map(toRefund));
+});
+
+// Admin: all refunds, optionally by status
+router.get('/', requireAdmin, (req, res) => {
+  const { status } = req.query;
+  const rows = status
+    ? db.prepare('SELECT * FROM refunds WHERE status = ? ORDER BY id DESC').all(status)
+    : db.prepare('SELECT * FROM refunds ORDER BY id DESC').all();
+  return res.json(rows.map(toRefund));
+});
+
+// Renter/host/admin: request a refund. Cancelled bookings are capped by the policy,
+// anything else (e.g. a problem during the trip) by what is left of the payment.
+router.post(
+  '/',
+  requireAuth,
+  body('bookingId').isInt({ min: 1 }),
+  body('amount').optional().isInt({ min: 1 }),
+  body('reason').optional().isString().isLength({ max: 1000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const booking = getBookingWithHost(req.body.bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    const roles = bookingRolesFor(booking, req.user);
+    if (!roles.length) return res.status(403).json({ error: 'Forbidden' });
+
+    const open = db.prepare("SELECT id FROM refunds WHERE booking_id = ? AND status IN ('requested', 'processing')").get(booking.id);
+    if (open) return res.status(409).json({ error: 'A refund request is already open for this booking' });
+
+    const preview = refundPreview(booking, roles);
+    const cap = booking.status === 'cancelled'
+      ? preview.refundable
+      : Math.max(0, bookingPaidAmount(booking.id) - bookingRefundedAmount(booking.id));
+    if (booking.status !== 'cancelled' && req.body.amount === undefined) {
+      return res.status(400).json({ error: 'amount is required unless the booking is cancelled' });
+    }
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : cap;
+    if (amount < 1) return res.status(400).json({ error: 'Nothing refundable on this booking', refundable: cap });
+    if (amount > cap) return res.status(400).json({ error: 'Amount exceeds refundable balance', refundable: cap });
+
+    const row = createRefund({
+      booking,
+      amount,
+      reason: req.body.reason,
+      policy: preview.policy,
+      role: roles.includes('admin') ? 'admin' : roles.includes('renter') ? 'renter' : 'host',
+      userId: req.user.id,
+    });
+    broadcast('refund_requested', toRefund(row), bookingChannels(row.booking_id));
+    return res.status(201).json(toRefund(row));
+  }
+);
+
+// Admin: approve and send a requested refund to the payment provider, optionally for a different amount
+router.post(
+  '/:id/approve',
+  requireAdmin,
+  body('amount').optional().isInt({ min: 1 }),
+  body('note').optional().isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const refund = db.prepare('SELECT * FROM refunds WHERE id = ?').get(req.params.id);
+    if (!refund) return res.status(404).json({ error: 'Not found' });
+    if (refund.status !== 'requested') return res.status(400).json({ error: 'Already processed' });
+
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : refund.amount;
+    // This request is already counted as refunded, so add it back before checking the cap
+    const available = bookingPaidAmount(refund.booking_id) - bookingRefundedAmount(refund.booking_id) + refund.amount;
+    if (amount > available) return res.status(400).json({ error: 'Amount exceeds what was paid', refundable: available });
+
+    const row = await processRefund(refund, { amount, note: req.body.note || null, adminId: req.user.id });
+    if (!row) return res.status(409).json({ error: 'Refund is already being processed' });
+    if (row.status === 'failed') return res.status(502).json({ error: 'Refund failed at the payment provider', refund: toRefund(row) });
+    return res.json(toRefund(row));
+  }
+);
+
+// Admin: reject a requested refund
+router.post('/:id/reject', requireAdmin, body('note').optional().isString(), (req, res) => {
+  const refund = db.prepare('SELECT * FROM refunds WHERE id = ?').get(req.params.id);
+  if (!refund) return res.status(404).json({ error: 'Not found' });
+  if (refund.status !== 'requested') return res.status(400).json({ error: 'Already processed' });
+  const info = db.prepare(`
+    UPDATE refunds SET status = 'rejected', note = COALESCE(?, note), processed_by = ?, updated_at = datetime('now')
+    WHERE id = ? AND status = 'requested'
+  `).run(req.body?.note || null, req.user.id, refund.id);
+  if (info.changes !== 1) return res.status(409).json({ error: 'Refund is already being processed' });
+  const row = db.prepare('SELECT * FROM refunds WHERE id = ?').get(refund.id);
+  broadcast('refund_updated', toRefund(row), bookingChannels(row.booking_id));
+  return res.json(toRefund(row));
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import db from '../db/index.js';
+import { body, query, validationResult } from 'express-validator';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { bookingChannels, broadcast } from '../utils/events.js';
+import { bookingRolesFor, getBookingWithHost } from '../utils/bookingLifecycle.js';
+import { deleteReviewFromMongo, mirrorCarToMongo, mirrorReviewToMongo, mirrorUserRatingsToMongo } from '../utils/mongo.js';
+import {
+  bookingReviews,
+  carReviews,
+  createReview,
+  deleteReview,
+  getReview,
+  replyToReview,
+  reviewEligibility,
+  toReview,
+  toUserRatings,
+  userReviews,
+} from '../utils/reviews.js';
+
+const router = express.Router();
+
+// Push the recomputed averages a review feeds to the Mongo mirror
+async function mirrorRatings(review) {
+  try {
+    if (review.direction === 'renter_to_host') await mirrorCarToMongo(db.prepare('SELECT * FROM cars WHERE id = ?').get(review.car_id));
+    if (review.subject_id != null) await mirrorUserRatingsToMongo(db.prepare('SELECT * FROM users WHERE id = ?').get(review.subject_id));
+  } catch {}
+}
+
+// Public: renters' reviews of a car, newest first, with the car's average
+router.get(
+  '/cars/:carId',
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 }),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const car = db.prepare('SELECT id, rating, rating_count FROM cars WHERE id = ? AND (deleted IS NULL OR deleted = 0)').get(req.params.carId);
+    if (!car) return res.status(404).json({ error: 'Car not found' });
+    const reviews = carReviews(car.id, { limit: Number(req.query.limit) || 50, offset: Number(req.query.offset) || 0 });
+    return res.json({ rating: car.rating, ratingCount: car.rating_count || 0, reviews: reviews.map(toReview) });
+  }
+);
+
+// Signed-in users: a user's averages as host and as renter, and the reviews written about them
+router.get('/users/:userId', requireAuth, (req, res) => {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  return res.json({ userId: user.id, ratings: toUserRatings(user), reviews: userReviews(user.id).map(toReview) });
+});
+
+// Renter/host/admin: both reviews of a booking and whether the caller can still write theirs
+router.get('/bookings/:bookingId', requireAuth, (req, res) => {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  const roles = bookingRolesFor(booking, req.user);
+  if (!roles.length) return res.status(403).json({ error: 'Forbidden' });
+  const canReview = roles.filter((role) => !reviewEligibility(booking, role));
+  return res.json({ reviews: bookingReviews(booking.id).map(toReview), canReview });
+});
+
+// Renter: { carRating, rating (the host), comment? }. Host: { rating (the renter), comment? }.
+// A user who is both renter and host of a booking says which review this is with `as`.
+router.post(
+  '/bookings/:bookingId',
+  requireAuth,
+  body('as').optional().isIn(['renter', 'host']),
+  body('carRating').optional({ nullable: true }).isInt({ min: 1, max: 5 }).toInt(),
+  body('rating').optional({ nullable: true }).isInt({ min: 1, max: 5 }).toInt(),
+  body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const booking = getBookingWithHost(req.params.bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    const roles = bookingRolesFor(booking, req.user);
+    if (!roles.length) return res.status(403).json({ error: 'Forbidden' });
+    const role = req.body.as || roles.find((r) => r === 'renter' || r === 'host') || roles[0];
+    if (!roles.includes(role)) return res.status(403).json({ error: `You are not the ${role} of this booking` });
+
+    const result = createReview(booking, role, req.user, req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    try { await mirrorReviewToMongo(result.review); } catch {}
+    await mirrorRatings(result.review);
+    const review = toReview(result.review);
+    broadcast('review_created', review, bookingChannels(review.bookingId));
+    return res.status(201).json(review);
+  }
+);
+
+// Host (or admin): reply to a renter's review
+router.post(
+  '/:id/reply',
+  requireAuth,
+  body('reply').isString().trim().isLength({ min: 1, max: 2000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const row = getReview(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Review not found' });
+    const roles = bookingRolesFor(getBookingWithHost(row.booking_id), req.user);
+    if (!roles.includes('host') && !roles.includes('admin')) return res.status(403).json({ error: 'Only the host can reply' });
+
+    const result = replyToReview(row, req.body.reply);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    try { await mirrorReviewToMongo(result.review); } catch {}
+    const review = toReview(result.review);
+    broadcast('review_replied', review, bookingChannels(review.bookingId));
+    return res.json(review);
+  }
+);
+
+// Admin: remove a review; the averages it fed are recomputed
+router.delete('/:id', requireAdmin, async (req, res) => {
+  const row = getReview(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Review not found' });
+  deleteReview(row);
+  try { await deleteReviewFromMongo(row.id); } catch {}
+  await mirrorRatings(row);
+  return res.json({ ok: true });
+});
+
+export default router;
@@ -4,6 +4,7 @@ import { requireAdmin } from '../middleware/auth.js';
 import bcrypt from 'bcryptjs';
 import { body, validationResult } from 'express-validator';
 import { getMongoDb } from '../utils/mongo.js';
+import { toUserRatings } from '../utils/reviews.js';
 
 const router = express.Router();
 
@@ -66,7 +67,11 @@ router.get('/', requireAdmin, async (req, res) => {
             is_active: host.isActive !== false ? 1 : 0,
             created_at: host.createdAt,
             booking_count: 0,
-            total_spent: 0
+            total_spent: 0,
+            host_rating: host.hostRating ?? null,
+            host_rating_count: host.hostRatingCount || 0,
+            renter_rating: host.renterRating ?? null,
+            renter_rating_count: host.renterRatingCount || 0,
           });
         }
       }
@@ -75,6 +80,7 @@ router.get('/', requireAdmin, async (req, res) => {
         ...toUser(r),
         bookingCount: Number(r.booking_count) || 0,
         totalSpent: Number(r.total_spent) || 0,
+        ratings: toUserRatings(r),
       })));
     }
 
@@ -82,6 +88,8 @@ router.get('/', requireAdmin, async (req, res) => {
       ...toUser(r),
       bookingCount: Number(r.booking_count) || 0,
       totalSpent: Number(r.total_spent) || 0,
+      // Review averages as host and as renter
+      ratings: toUserRatings(r),
     })));
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -0,0 +1,238 @@
+import express from 'express';
+import db from '../db/index.js';
+import { body, query, validationResult } from 'express-validator';
+import { requireAdmin, requireAuth } from '../middleware/auth.js';
+import { bookingChannels, broadcast } from '../utils/events.js';
+import { saveDataUrl } from '../utils/files.js';
+import { discardUploads, documentUpload, isMultipart, toUploadedFile } from '../utils/uploads.js';
+import { bookingRolesFor, getBookingWithHost } from '../utils/bookingLifecycle.js';
+import {
+  DOCUMENT_KINDS,
+  DOCUMENT_STATUSES,
+  bookingVerification,
+  getRenterProfile,
+  hostReviewEnabled,
+  licenseCoversTrip,
+  refreshBookingVerification,
+  reviewDocument,
+  toDocument,
+  toRenterProfile,
+} from '../utils/verification.js';
+
+const router = express.Router();
+
+const IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+// Admins review every booking; hosts only their own cars' bookings, and only when enabled
+function reviewerRole(booking, user) {
+  const roles = bookingRolesFor(booking, user);
+  if (roles.includes('admin')) return 'admin';
+  if (roles.includes('host') && hostReviewEnabled()) return 'host';
+  return null;
+}
+
+function publishVerification(document, verification) {
+  if (document) broadcast('document_reviewed', document, bookingChannels(document.bookingId));
+  broadcast('booking_verification_updated', { bookingId: verification.bookingId, userId: verification.userId, status: verification.status }, bookingChannels(verification.bookingId));
+}
+
+// Admin (or host, see HOST_DOCUMENT_REVIEW): documents by status, grouped per booking. Documents
+// replaced by a newer upload are left out.
+router.get(
+  '/queue',
+  requireAuth,
+  query('status').optional().isIn(DOCUMENT_STATUSES),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && !hostReviewEnabled()) return res.status(403).json({ error: 'Forbidden' });
+
+    const status = req.query.status || 'pending';
+    const rows = db.prepare(`
+      SELECT a.*, b.user_id, b.car_id, b.pickup_date, b.return_date, b.status AS booking_status, b.verification_json,
+             u.email AS user_email, u.full_name AS user_full_name, c.name AS car_name, c.host_id AS host_id
+      FROM attachments a
+      JOIN bookings b ON b.id = a.booking_id
+      LEFT JOIN cars c ON c.id = b.car_id
+      LEFT JOIN users u ON u.id = b.user_id
+      WHERE COALESCE(a.status, 'pending') = ?
+        AND NOT EXISTS (SELECT 1 FROM attachments n WHERE n.booking_id = a.booking_id AND n.kind = a.kind AND n.id > a.id)
+        ${isAdmin ? '' : 'AND c.host_id = ?'}
+      ORDER BY a.booking_id ASC, a.id ASC
+    `).all(...[status, ...(isAdmin ? [] : [req.user.id])]);
+
+    const bookings = new Map();
+    for (const r of rows) {
+      if (!bookings.has(r.booking_id)) {
+        let details = {};
+        try { details = JSON.parse(r.verification_json || '{}') || {}; } catch (_) { details = {}; }
+        bookings.set(r.booking_id, {
+          booking: {
+            id: r.booking_id,
+            status: r.booking_status,
+            carId: r.car_id,
+            carName: r.car_name || null,
+            pickupDate: r.pickup_date,
+            returnDate: r.return_date,
+          },
+          renter: { id: r.user_id, email: r.user_email || null, fullName: r.user_full_name || null },
+          idType: details.idType || null,
+          licenseNumber: details.licenseNumber || null,
+          licenseExpiry: details.licenseExpiry || null,
+          licenseValidForTrip: licenseCoversTrip(details.licenseExpiry, r.return_date),
+          documents: [],
+        });
+      }
+      bookings.get(r.booking_id).documents.push(toDocument(r));
+    }
+    return res.json(Array.from(bookings.values()));
+  }
+);
+
+// Renter: own verified profile
+router.get('/me', requireAuth, (req, res) => {
+  return res.json(toRenterProfile(getRenterProfile(req.user.id)));
+});
+
+// Admin: a renter's verified profile
+router.get('/users/:userId', requireAdmin, (req, res) => {
+  const user = db.prepare('SELECT id FROM users WHERE id = ?').get(req.params.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  return res.json(toRenterProfile(getRenterProfile(user.id)));
+});
+
+// Renter/host/admin: a booking's verification and documents
+router.get('/bookings/:bookingId', requireAuth, (req, res) => {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (!bookingRolesFor(booking, req.user).length) return res.status(403).json({ error: 'Forbidden' });
+  return res.json(bookingVerification(booking.id));
+});
+
+// Only the renter uploads, and only while the booking is still open; checked before any bytes are stored
+function renterUploadBooking(req, res, next) {
+  const booking = getBookingWithHost(req.params.bookingId);
+  if (!booking) return res.status(404).json({ error: 'Booking not found' });
+  if (!bookingRolesFor(booking, req.user).includes('renter')) return res.status(403).json({ error: 'Only the renter can upload documents' });
+  if (['completed', 'cancelled', 'declined', 'no_show'].includes(booking.status)) {
+    return res.status(409).json({ error: `Booking is ${booking.status}` });
+  }
+  req.booking = booking;
+  return next();
+}
+
+const notMultipart = (value, { req }) => !isMultipart(req);
+
+// Renter: upload documents (first time, or again after a rejection); new uploads go back to review.
+// Either multipart/form-data with one file per kind (fields idFront, idBack, license, up to
+// DOCUMENT_MAX_MB each) or JSON { kind, data } with a base64 data URL.
+router.post(
+  '/bookings/:bookingId/documents',
+  requireAuth,
+  renterUploadBooking,
+  documentUpload({
+    fields: DOCUMENT_KINDS,
+    keyFor: (req, file, ext) => `bookings/${req.booking.id}/${file.fieldname}-${Date.now()}.${ext}`,
+  }),
+  body('kind').if(notMultipart).isIn(DOCUMENT_KINDS),
+  body('data').if(notMultipart).isString().notEmpty(),
+  body('licenseNumber').optional().isString().isLength({ max: 64 }),
+  body('licenseExpiry').optional().isISO8601(),
+  async (req, res) => {
+    const files = Object.values(req.files || {}).flat();
+    const refuse = async (status, payload) => {
+      await discardUploads(files);
+      return res.status(status).json(payload);
+    };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return refuse(400, { errors: errors.array() });
+
+    const { booking } = req;
+    const multipart = isMultipart(req);
+    const { licenseNumber, licenseExpiry } = req.body;
+    const kinds = multipart ? files.map((f) => f.fieldname) : [req.body.kind];
+    if (!kinds.length) return res.status(400).json({ error: `Attach at least one of ${DOCUMENT_KINDS.join(', ')}` });
+    for (const kind of kinds) {
+      const current = db.prepare('SELECT * FROM attachments WHERE booking_id = ? AND kind = ? ORDER BY id DESC LIMIT 1').get(booking.id, kind);
+      if (current?.status === 'approved') return refuse(409, { error: `${kind} is already approved` });
+    }
+    if (kinds.includes('license') && licenseExpiry && !licenseCoversTrip(licenseExpiry, booking.return_date)) {
+      return refuse(400, { error: 'Driving licence expires before the return date' });
+    }
+
+    let uploads = files.map((f) => ({ kind: f.fieldname, path: f.path }));
+    if (!multipart) {
+      const { kind, data } = req.body;
+      const ext = IMAGE_TYPES[(data.match(/^data:(.*?);base64,/) || [])[1]];
+      if (!ext) return res.status(400).json({ error: 'Document must be a PNG, JPEG or WebP data URL' });
+      let saved;
+      try {
+        saved = await saveDataUrl(data, `bookings/${booking.id}/${kind}-${Date.now()}.${ext}`);
+      } catch (e) {
+        console.error('[storage] document upload failed:', e?.message || e);
+        return res.status(502).json({ error: 'File storage unavailable', message: e?.message });
+      }
+      if (!saved) return res.status(400).json({ error: 'Could not read document' });
+      uploads = [{ kind, path: saved }];
+    }
+
+    if (kinds.includes('license') && (licenseNumber || licenseExpiry)) {
+      let details = {};
+      try { details = JSON.parse(booking.verification_json || '{}') || {}; } catch (_) { details = {}; }
+      db.prepare('UPDATE bookings SET verification_json = ? WHERE id = ?').run(
+        JSON.stringify({ ...details, ...(licenseNumber ? { licenseNumber } : {}), ...(licenseExpiry ? { licenseExpiry } : {}) }),
+        booking.id
+      );
+    }
+    const insert = db.prepare('INSERT INTO attachments (booking_id, kind, path) VALUES (?, ?, ?)');
+    const documents = uploads.map(({ kind, path }) => {
+      const info = insert.run(booking.id, kind, path);
+      return toDocument(db.prepare('SELECT * FROM attachments WHERE id = ?').get(info.lastInsertRowid));
+    });
+    refreshBookingVerification(booking.id);
+
+    const verification = bookingVerification(booking.id);
+    documents.forEach((document) => broadcast('document_uploaded', document, bookingChannels(booking.id)));
+    publishVerification(null, verification);
+    if (!multipart) return res.status(201).json({ document: documents[0], verification });
+    return res.status(201).json({ documents, files: files.map(toUploadedFile), verification });
+  }
+);
+
+function reviewRoute(decision) {
+  return [
+    requireAuth,
+    decision === 'rejected'
+      ? body('reason').isString().trim().isLength({ min: 3, max: 500 })
+      : body('licenseExpiry').optional().isISO8601(),
+    (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+      const doc = db.prepare('SELECT * FROM attachments WHERE id = ?').get(req.params.id);
+      if (!doc) return res.status(404).json({ error: 'Document not found' });
+      const role = reviewerRole(getBookingWithHost(doc.booking_id), req.user);
+      if (!role) return res.status(403).json({ error: 'Not allowed to review this document' });
+
+      const result = reviewDocument(doc.id, {
+        decision,
+        reason: req.body.reason || null,
+        licenseExpiry: req.body.licenseExpiry || null,
+        role,
+        userId: req.user.id,
+      });
+      if (result.error) {
+        const { status, ...rest } = result;
+        return res.status(status).json(rest);
+      }
+      publishVerification(result.document, result.verification);
+      return res.json(result);
+    },
+  ];
+}
+
+router.post('/documents/:id/approve', ...reviewRoute('approved'));
+router.post('/documents/:id/reject', ...reviewRoute('rejected'));
+
+export default router;
@@ -0,0 +1,83 @@
+// Stand-in for Redis when trying EVENT_BUS=redis locally: a broker that speaks just enough of the
+// Redis protocol (PING, AUTH, SUBSCRIBE, UNSUBSCRIBE, PUBLISH, QUIT) to pass events between backend
+// instances. Not for production.
+//   node src/scripts/event_broker.js [--port=6379]
+// then start each instance with EVENT_BUS=redis REDIS_URL=redis://127.0.0.1:<port> and its own PORT.
+import net from 'net';
+import { parseReply } from '../pubsub/drivers/redis.js';
+
+const option = (name) => (process.argv.slice(2).find((a) => a.startsWith(`--${name}=`)) || '').split('=')[1];
+const port = Number(option('port')) || 6379;
+
+// channel -> sockets subscribed to it
+const channels = new Map();
+
+const bulk = (value) => `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+const array = (items) => `*${items.length}\r\n${items.join('')}`;
+
+function unsubscribe(socket, channel) {
+  const subscribers = channels.get(channel);
+  if (!subscribers) return;
+  subscribers.delete(socket);
+  if (!subscribers.size) channels.delete(channel);
+}
+
+function handle(socket, [name, ...args]) {
+  switch (String(name).toUpperCase()) {
+    case 'PING':
+      return socket.write('+PONG\r\n');
+    case 'AUTH':
+      return socket.write('+OK\r\n');
+    case 'SUBSCRIBE':
+      args.forEach((channel) => {
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(socket);
+        socket.subscriptions.add(channel);
+        socket.write(array([bulk('subscribe'), bulk(channel), `:${socket.subscriptions.size}\r\n`]));
+      });
+      return undefined;
+    case 'UNSUBSCRIBE':
+      (args.length ? args : [...socket.subscriptions]).forEach((channel) => {
+        unsubscribe(socket, channel);
+        socket.subscriptions.delete(channel);
+        socket.write(array([bulk('unsubscribe'), bulk(channel), `:${socket.subscriptions.size}\r\n`]));
+      });
+      return undefined;
+    case 'PUBLISH': {
+      const [channel, message] = args;
+      const subscribers = channels.get(channel) || new Set();
+      subscribers.forEach((s) => s.write(array([bulk('message'), bulk(channel), bulk(message)])));
+      return socket.write(`:${subscribers.size}\r\n`);
+    }
+    case 'QUIT':
+      socket.write('+OK\r\n');
+      return socket.end();
+    default:
+      return socket.write(`-ERR unknown command '${name}'\r\n`);
+  }
+}
+
+const server = net.createServer((socket) => {
+  socket.subscriptions = new Set();
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let command;
+      let offset = 0;
+      while (offset < buffer.length && (command = parseReply(buffer, offset))) {
+        offset = command.offset;
+        if (Array.isArray(command.value) && command.value.length) handle(socket, command.value);
+      }
+      buffer = buffer.subarray(offset);
+    } catch (e) {
+      socket.destroy();
+    }
+  });
+  socket.on('error', () => {});
+  socket.on('close', () => socket.subscriptions.forEach((channel) => unsubscribe(socket, channel)));
+});
+
+server.listen(port, () => {
+  console.log(`Event broker listening on redis://127.0.0.1:${port}`);
+});
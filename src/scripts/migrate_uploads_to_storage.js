@@ -0,0 +1,81 @@
+// Copy files from the local uploads folder into the configured storage driver.
+//   node src/scripts/migrate_uploads_to_storage.js [--to=s3] [--dry-run] [--overwrite]
+// --to defaults to STORAGE_DRIVER. Objects that already exist in the target are skipped unless
+// --overwrite is given. Keys stay the same, so database rows need no changes. Afterwards every file
+// referenced by cars, attachments and damage claims is checked in the target.
+import 'dotenv/config';
+import db from '../db/index.js';
+import { getStorage, contentTypeFor, storageKey } from '../storage/index.js';
+import localDriver, { localRoot } from '../storage/drivers/local.js';
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(`--${name}`);
+const option = (name) => (args.find((a) => a.startsWith(`--${name}=`)) || '').split('=')[1];
+
+// Files the database points at, as storage keys
+function referencedKeys() {
+  const keys = new Set();
+  db.prepare("SELECT image FROM cars WHERE image IS NOT NULL AND image NOT LIKE 'http%'").all()
+    .forEach((r) => keys.add(storageKey(r.image)));
+  db.prepare('SELECT path FROM attachments').all().forEach((r) => keys.add(storageKey(r.path)));
+  db.prepare('SELECT evidence_json FROM damage_claims WHERE evidence_json IS NOT NULL').all().forEach((r) => {
+    try {
+      JSON.parse(r.evidence_json).filter((e) => e.type === 'file').forEach((e) => keys.add(storageKey(e.url)));
+    } catch (_) {}
+  });
+  return Array.from(keys).filter(Boolean).sort();
+}
+
+async function main() {
+  const target = getStorage(option('to') || process.env.STORAGE_DRIVER || 'local');
+  if (target.name === localDriver.name) {
+    console.error('[storage] target is the local driver; set STORAGE_DRIVER or pass --to=s3');
+    process.exit(1);
+  }
+  const dryRun = flag('dry-run');
+  const overwrite = flag('overwrite');
+
+  const keys = await localDriver.list('');
+  console.log(`[storage] ${keys.length} local file(s) under ${localRoot()} -> ${target.name}${dryRun ? ' (dry run)' : ''}`);
+  let copied = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const key of keys) {
+    try {
+      if (!overwrite && (await target.exists(key))) {
+        skipped++;
+        continue;
+      }
+      if (!dryRun) await target.put(key, await localDriver.get(key), { contentType: contentTypeFor(key) });
+      copied++;
+      console.log(`[storage] ${dryRun ? 'would copy' : 'copied'} ${key}`);
+    } catch (e) {
+      failed++;
+      console.error(`[storage] ${key}: ${e?.message || e}`);
+    }
+  }
+  console.log(`[storage] copied: ${copied}, already there: ${skipped}, failed: ${failed}`);
+
+  if (!dryRun) {
+    const missing = [];
+    for (const key of referencedKeys()) {
+      try {
+        if (!(await target.exists(key))) missing.push(key);
+      } catch (e) {
+        missing.push(key);
+      }
+    }
+    if (missing.length) {
+      console.warn(`[storage] ${missing.length} referenced file(s) missing in ${target.name}:`);
+      missing.forEach((key) => console.warn(`  ${key}`));
+    } else {
+      console.log(`[storage] all referenced files are in ${target.name}`);
+    }
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error('[storage] migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+// Local disk driver: objects are files under STORAGE_LOCAL_DIR (default <repo>/uploads), keyed by
+// their path inside it, e.g. `cars/14.png`. Fine for a single instance.
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export function localRoot() {
+  return process.env.STORAGE_LOCAL_DIR
+    ? path.resolve(process.env.STORAGE_LOCAL_DIR)
+    : path.join(__dirname, '../../../uploads');
+}
+
+function filePath(key) {
+  const root = localRoot();
+  const target = path.resolve(root, key);
+  if (!target.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return target;
+}
+
+// Every key under `dir`, relative to the root
+function walk(dir, root) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walk(full, root);
+    return entry.isFile() ? [path.relative(root, full).replace(/\\/g, '/')] : [];
+  });
+}
+
+const localDriver = {
+  name: 'local',
+
+  async put(key, body) {
+    const target = filePath(key);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, body);
+  },
+
+  // Written to a temporary file first so readers never see a half-written upload
+  async putStream(key, stream) {
+    const target = filePath(key);
+    const partial = `${target}.${process.pid}.part`;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(partial));
+      fs.renameSync(partial, target);
+    } catch (e) {
+      fs.rmSync(partial, { force: true });
+      throw e;
+    }
+  },
+
+  async get(key) {
+    const target = filePath(key);
+    if (!fs.existsSync(target)) return null;
+    return fs.readFileSync(target);
+  },
+
+  async exists(key) {
+    return fs.existsSync(filePath(key));
+  },
+
+  async remove(key) {
+    fs.rmSync(filePath(key), { force: true });
+  },
+
+  async list(prefix = '') {
+    const root = localRoot();
+    const dir = prefix ? path.join(root, prefix.replace(/\/[^/]*$/, '')) : root;
+    return walk(dir, root).filter((key) => key.startsWith(prefix)).sort();
+  },
+};
+
+export default localDriver;
@@ -0,0 +1,142 @@
+// S3-compatible driver (AWS S3, MinIO, Cloudflare R2, ...). Requests are signed with AWS Signature
+// Version 4 and sent with fetch, so no SDK is needed.
+// Needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY; S3_REGION defaults to us-east-1.
+// With S3_ENDPOINT (e.g. http://localhost:9000) path-style URLs are used, as MinIO expects; without it
+// the bucket's virtual-hosted AWS endpoint. S3_PREFIX is prepended to every key.
+
+import crypto from 'crypto';
+
+function config() {
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage not configured (set S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY)');
+  }
+  return {
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: (process.env.S3_ENDPOINT || '').replace(/\/+$/, ''),
+    prefix: (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, ''),
+  };
+}
+
+// RFC 3986 encoding, as SigV4 requires
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Authorization header for one request. `headers` must include host, x-amz-date and
+// x-amz-content-sha256; `path` must already be URI-encoded.
+export function signRequest({ method, path, query = {}, headers, payloadHash, region, accessKeyId, secretAccessKey }) {
+  const amzDate = headers['x-amz-date'];
+  const dateStamp = amzDate.slice(0, 8);
+  const names = Object.keys(headers).map((h) => h.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const canonicalQuery = Object.keys(query).sort().map((k) => `${encode(k)}=${encode(query[k])}`).join('&');
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery,
+    names.map((h) => `${h}:${String(lower[h]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+}
+
+async function s3Request(method, key, { query = {}, body = null, headers = {} } = {}) {
+  const cfg = config();
+  // An empty key addresses the bucket itself (listing)
+  const objectKey = key ? [cfg.prefix, key].filter(Boolean).join('/') : '';
+  const keyPath = objectKey ? `/${objectKey.split('/').map(encode).join('/')}` : '/';
+  const base = cfg.endpoint ? `${cfg.endpoint}/${encode(cfg.bucket)}` : `https://${cfg.bucket}.s3.${cfg.region}.amazonaws.com`;
+  const url = new URL(base);
+  const path = `${url.pathname.replace(/\/$/, '')}${keyPath}`;
+  const payloadHash = sha256Hex(body || '');
+  const signed = {
+    ...headers,
+    host: url.host,
+    'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+    'x-amz-content-sha256': payloadHash,
+  };
+  const authorization = signRequest({ method, path, query, headers: signed, payloadHash, ...cfg });
+  const qs = Object.keys(query).sort().map((k) => `${encode(k)}=${encode(query[k])}`).join('&');
+  const { host, ...sent } = signed;
+  return fetch(`${url.origin}${path}${qs ? `?${qs}` : ''}`, {
+    method,
+    headers: { ...sent, Authorization: authorization },
+    body: body || undefined,
+  });
+}
+
+async function failed(resp, action) {
+  const text = await resp.text().catch(() => '');
+  const code = (text.match(/<Code>([^<]*)<\/Code>/) || [])[1];
+  return new Error(`S3 ${action} failed (${resp.status}${code ? ` ${code}` : ''})`);
+}
+
+function xmlValues(xml, tag) {
+  const re = new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g');
+  return Array.from(xml.matchAll(re), (m) => m[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'"));
+}
+
+const s3Driver = {
+  name: 's3',
+
+  async put(key, body, { contentType } = {}) {
+    const resp = await s3Request('PUT', key, { body, headers: contentType ? { 'content-type': contentType } : {} });
+    if (!resp.ok) throw await failed(resp, `upload of ${key}`);
+  },
+
+  async get(key) {
+    const resp = await s3Request('GET', key);
+    if (resp.status === 404) return null;
+    if (!resp.ok) throw await failed(resp, `download of ${key}`);
+    return Buffer.from(await resp.arrayBuffer());
+  },
+
+  async exists(key) {
+    const resp = await s3Request('HEAD', key);
+    if (resp.status === 404) return false;
+    if (!resp.ok) throw new Error(`S3 lookup of ${key} failed (${resp.status})`);
+    return true;
+  },
+
+  async remove(key) {
+    const resp = await s3Request('DELETE', key);
+    if (!resp.ok && resp.status !== 404) throw await failed(resp, `delete of ${key}`);
+  },
+
+  async list(prefix = '') {
+    const { prefix: root } = config();
+    const fullPrefix = [root, prefix].filter(Boolean).join('/');
+    const keys = [];
+    let token = null;
+    do {
+      const query = { 'list-type': '2', prefix: fullPrefix, ...(token ? { 'continuation-token': token } : {}) };
+      const resp = await s3Request('GET', '', { query });
+      if (!resp.ok) throw await failed(resp, 'listing');
+      const xml = await resp.text();
+      keys.push(...xmlValues(xml, 'Key').map((k) => (root ? k.slice(root.length + 1) : k)));
+      token = /<IsTruncated>true<\/IsTruncated>/.test(xml) ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+    } while (token);
+    return keys.sort();
+  },
+};
+
+export default s3Driver;
@@ -0,0 +1,106 @@
+// Upload storage: driver registry and helpers shared by car images, booking documents and damage
+// evidence. STORAGE_DRIVER picks the driver (`local` (default) or `s3`).
+//
+// A driver implements (keys are paths like `cars/14.png` or `bookings/12/idFront.png`):
+//   name
+//   put(key, body: Buffer, { contentType }) -> Promise<void>
+//   get(key) -> Promise<Buffer | null>
+//   exists(key) -> Promise<boolean>
+//   remove(key) -> Promise<void>
+//   list(prefix) -> Promise<string[]>
+//   putStream(key, stream: Readable, { contentType }) -> Promise<void>   (optional; see saveStream)
+//
+// The database keeps the historical `uploads/<key>` paths, so switching drivers only moves the bytes
+// (see src/scripts/migrate_uploads_to_storage.js).
+
+import { Transform } from 'stream';
+import localDriver from './drivers/local.js';
+import s3Driver from './drivers/s3.js';
+
+const drivers = new Map([
+  [localDriver.name, localDriver],
+  [s3Driver.name, s3Driver],
+]);
+
+export function registerStorageDriver(driver) {
+  drivers.set(driver.name, driver);
+}
+
+export function getStorage(name = process.env.STORAGE_DRIVER || 'local') {
+  const driver = drivers.get(name);
+  if (!driver) throw new Error(`Unknown storage driver: ${name}`);
+  return driver;
+}
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  pdf: 'application/pdf',
+};
+
+export function contentTypeFor(key) {
+  const ext = String(key).split('.').pop().toLowerCase();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+// `uploads/cars/14.png` (as stored on rows) -> `cars/14.png`
+export function storageKey(storedPath) {
+  return String(storedPath || '').replace(/\\/g, '/').replace(/^\/+/, '').replace(/^uploads\//, '');
+}
+
+// `cars/14.png` -> `uploads/cars/14.png`, the form kept in the database
+export function storedPath(key) {
+  return `uploads/${key}`;
+}
+
+// Write one object. Returns its stored path.
+export async function saveObject(key, body, contentType = contentTypeFor(key)) {
+  await getStorage().put(key, body, { contentType });
+  return storedPath(key);
+}
+
+// Write one object from a stream (multipart uploads). Drivers without putStream get the bytes
+// buffered first, which callers bound with a per-file size limit. Returns { path, size }.
+export async function saveStream(key, stream, contentType = contentTypeFor(key)) {
+  const storage = getStorage();
+  let size = 0;
+  const counted = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  stream.on('error', (e) => counted.destroy(e));
+  stream.pipe(counted);
+  if (storage.putStream) {
+    await storage.putStream(key, counted, { contentType });
+  } else {
+    const chunks = [];
+    for await (const chunk of counted) chunks.push(chunk);
+    await storage.put(key, Buffer.concat(chunks), { contentType });
+  }
+  return { path: storedPath(key), size };
+}
+
+export async function readObject(key) {
+  return getStorage().get(key);
+}
+
+export async function objectExists(key) {
+  return getStorage().exists(key);
+}
+
+export async function removeObject(key) {
+  return getStorage().remove(key);
+}
+
+// Delete every object under `prefix` (e.g. `bookings/12/`)
+export async function removeObjects(prefix) {
+  const storage = getStorage();
+  const keys = await storage.list(prefix);
+  for (const key of keys) await storage.remove(key);
+  return keys.length;
+}
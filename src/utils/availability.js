@@ -0,0 +1,101 @@
+// Car availability checks shared by booking creation and the availability endpoints.
+// Date ranges are half-open: a booking returning on a day does not clash with one picking up that day.
+
+import db from '../db/index.js';
+import { ACTIVE_BOOKING_SQL } from './bookingLifecycle.js';
+
+// First booking on the car overlapping [pickupDate, returnDate), or undefined.
+// Call inside a transaction when the result guards an insert.
+export function findBookingConflict(carId, pickupDate, returnDate, { excludeBookingId = null } = {}) {
+  return db.prepare(`
+    SELECT b.id, b.pickup_date, b.return_date, b.status
+    FROM bookings b
+    WHERE b.car_id = ?
+      AND ${ACTIVE_BOOKING_SQL}
+      AND NOT (b.return_date <= ? OR b.pickup_date >= ?)
+      ${excludeBookingId ? 'AND b.id <> ?' : ''}
+    ORDER BY b.pickup_date ASC
+    LIMIT 1
+  `).get(...[carId, pickupDate, returnDate, ...(excludeBookingId ? [excludeBookingId] : [])]);
+}
+
+// Shape of the 409 body returned when a range is taken
+export function toConflict(row) {
+  if (!row) return null;
+  return {
+    pickupDate: row.pickup_date ?? row.pickupDate,
+    returnDate: row.return_date ?? row.returnDate,
+  };
+}
+
+// First host blackout on the car overlapping [pickupDate, returnDate), or undefined
+export function findBlackoutConflict(carId, pickupDate, returnDate) {
+  return db.prepare(`
+    SELECT id, start_date, end_date, kind
+    FROM car_blackouts
+    WHERE car_id = ?
+      AND NOT (end_date <= ? OR start_date >= ?)
+    ORDER BY start_date ASC
+    LIMIT 1
+  `).get(carId, pickupDate, returnDate);
+}
+
+export function toBlackout(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    carId: row.car_id,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    kind: row.kind || 'other',
+    reason: row.reason || null,
+    createdAt: row.created_at,
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_CALENDAR_DAYS = 366;
+
+// Day-by-day calendar for a car between from (inclusive) and to (exclusive), both YYYY-MM-DD.
+// A day is 'booked' when a live booking covers it, 'blocked' for a host blackout,
+// 'unavailable' when the car is switched off, otherwise 'free'. A range covers a day when it would
+// conflict with booking that day alone, by the same comparison as findBookingConflict: a return at a
+// time of day holds its return date, a date-only return leaves it free.
+export function buildCarCalendar(car, from, to) {
+  const bookings = db.prepare(`
+    SELECT b.id, b.pickup_date, b.return_date, b.status
+    FROM bookings b
+    WHERE b.car_id = ?
+      AND ${ACTIVE_BOOKING_SQL}
+      AND NOT (b.return_date <= ? OR b.pickup_date >= ?)
+    ORDER BY b.pickup_date ASC
+  `).all(car.id, from, to);
+  const blackouts = db.prepare(`
+    SELECT * FROM car_blackouts
+    WHERE car_id = ? AND NOT (end_date <= ? OR start_date >= ?)
+    ORDER BY start_date ASC
+  `).all(car.id, from, to);
+
+  const days = [];
+  const start = new Date(`${from}T00:00:00Z`).getTime();
+  const end = new Date(`${to}T00:00:00Z`).getTime();
+  for (let t = start; t < end && days.length < MAX_CALENDAR_DAYS; t += DAY_MS) {
+    const date = new Date(t).toISOString().slice(0, 10);
+    const next = new Date(t + DAY_MS).toISOString().slice(0, 10);
+    const covers = (s, e) => !(String(e) <= date || String(s) >= next);
+    let status = 'free';
+    if (bookings.some((b) => covers(b.pickup_date, b.return_date))) status = 'booked';
+    else if (blackouts.some((x) => covers(x.start_date, x.end_date))) status = 'blocked';
+    else if (!car.available) status = 'unavailable';
+    days.push({ date, status });
+  }
+
+  return {
+    carId: car.id,
+    from,
+    to,
+    days,
+    bookings: bookings.map((b) => ({ pickupDate: b.pickup_date, returnDate: b.return_date, status: b.status })),
+    blackouts: blackouts.map(toBlackout),
+  };
+}
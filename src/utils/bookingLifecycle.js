@@ -0,0 +1,160 @@
+// Booking lifecycle state machine
+// pending -> confirmed -> active -> completed, with cancelled / no_show as exits.
+// Cars in 'request' booking mode start at requested; the host accepts (-> pending, then payment as usual)
+// or declines, and requests left unanswered are declined by the server once they expire.
+// Each action lists the statuses it may start from, the status it ends in,
+// which participants may perform it and the timestamp column it stamps.
+
+import db from '../db/index.js';
+import { issueBookingInvoice } from './invoices.js';
+import { bookingChannels, broadcast } from './events.js';
+import { mirrorBookingToMongo } from './mongo.js';
+
+export const BOOKING_STATUSES = ['requested', 'pending', 'confirmed', 'active', 'completed', 'cancelled', 'declined', 'no_show'];
+
+// Bookings in these states no longer hold the car for their dates
+export const RELEASED_STATUSES = ['cancelled', 'declined', 'no_show'];
+
+// Per-car: 'instant' bookings go straight to payment, 'request' bookings wait for the host
+export const BOOKING_MODES = ['instant', 'request'];
+export const DEFAULT_BOOKING_MODE = 'instant';
+
+// The system actor used for transitions the server makes on its own
+export const SYSTEM_ACTOR = { id: 0, role: 'system' };
+
+export const BOOKING_ACTIONS = {
+  accept: { from: ['requested'], to: 'pending', roles: ['host', 'admin'], stamp: 'accepted_at' },
+  decline: { from: ['requested'], to: 'declined', roles: ['host', 'admin', 'system'], stamp: 'declined_at' },
+  confirm: { from: ['pending'], to: 'confirmed', roles: ['host', 'admin', 'system'], stamp: 'confirmed_at' },
+  cancel: { from: ['requested', 'pending', 'confirmed'], to: 'cancelled', roles: ['renter', 'host', 'admin', 'system'], stamp: 'cancelled_at' },
+  check_in: { from: ['confirmed'], to: 'active', roles: ['host', 'admin'], stamp: 'checked_in_at' },
+  // Renter hands the car back; the booking stays active until the host/admin completes it
+  check_out: { from: ['active'], to: 'active', roles: ['renter', 'host', 'admin'], stamp: 'checked_out_at' },
+  complete: { from: ['active'], to: 'completed', roles: ['host', 'admin'], stamp: 'completed_at' },
+  no_show: { from: ['confirmed'], to: 'no_show', roles: ['host', 'admin'], stamp: 'no_show_at' },
+};
+
+// SQL fragment matching bookings that still block their car, for use with alias `b`
+export const ACTIVE_BOOKING_SQL = `(b.status IS NULL OR b.status NOT IN (${RELEASED_STATUSES.map((s) => `'${s}'`).join(', ')}))`;
+
+// Which participants the user is on this booking (a user may be both renter and host).
+// 'system' is the server acting on its own, e.g. after a verified payment.
+export function bookingRolesFor(booking, user) {
+  if (!booking || !user) return [];
+  if (user.role === 'admin') return ['admin'];
+  if (user.role === 'system') return ['system'];
+  const roles = [];
+  if (Number(booking.user_id) === Number(user.id)) roles.push('renter');
+  if (booking.host_id != null && Number(booking.host_id) === Number(user.id)) roles.push('host');
+  return roles;
+}
+
+export function getBookingWithHost(id) {
+  return db.prepare(`
+    SELECT b.*, c.host_id AS host_id
+    FROM bookings b
+    LEFT JOIN cars c ON c.id = b.car_id
+    WHERE b.id = ?
+  `).get(id);
+}
+
+// Validate and apply an action. Returns { row } on success or { status, error } on failure.
+export function applyBookingAction(booking, action, user, { reason = null, note = null } = {}) {
+  const spec = BOOKING_ACTIONS[action];
+  if (!spec) return { status: 400, error: `Unknown action '${action}'` };
+  if (!booking) return { status: 404, error: 'Booking not found' };
+
+  const roles = bookingRolesFor(booking, user);
+  if (!roles.some((r) => spec.roles.includes(r))) {
+    return { status: 403, error: 'Not allowed to perform this action on the booking' };
+  }
+
+  const current = booking.status || 'confirmed';
+  if (!spec.from.includes(current)) {
+    return { status: 409, error: `Cannot ${action.replace('_', '-')} a booking that is ${current}` };
+  }
+  // Only a verified payment (or an admin override) confirms a booking
+  if (action === 'confirm' && booking.payment_status !== 'paid' && !roles.includes('admin') && !roles.includes('system')) {
+    return { status: 409, error: 'Payment has not been verified for this booking' };
+  }
+  if (action === 'check_out' && booking.checked_out_at) {
+    return { status: 409, error: 'Booking already checked out' };
+  }
+  if (action === 'no_show' && booking.pickup_date && new Date(booking.pickup_date) > new Date()) {
+    return { status: 409, error: 'Cannot mark no-show before the pickup date' };
+  }
+
+  const now = new Date().toISOString();
+  const sets = ['status = ?', 'status_updated_at = ?', `${spec.stamp} = ?`];
+  const params = [spec.to, now, now];
+  // A declined request records who turned it down and why like a cancellation does
+  if (action === 'cancel' || action === 'decline') {
+    sets.push('cancelled_by = ?', 'cancel_reason = ?');
+    params.push(roles.includes('renter') ? 'renter' : roles[0], reason || null);
+  }
+  // Completing a trip that was never explicitly checked out closes the return as well
+  if (action === 'complete' && !booking.checked_out_at) {
+    sets.push('checked_out_at = ?');
+    params.push(now);
+  }
+  if (note) {
+    sets.push('status_note = ?');
+    params.push(String(note));
+  }
+
+  const tx = db.transaction(() => {
+    // Re-check status inside the transaction so concurrent transitions cannot both win
+    const info = db
+      .prepare(`UPDATE bookings SET ${sets.join(', ')} WHERE id = ? AND COALESCE(status, 'confirmed') = ?`)
+      .run(...params, booking.id, current);
+    return info.changes;
+  });
+  if (!tx()) return { status: 409, error: 'Booking status changed concurrently, please retry' };
+
+  if (spec.to === 'confirmed') {
+    // A confirmed booking is billable; invoicing problems must not undo the confirmation
+    try {
+      issueBookingInvoice(booking.id);
+    } catch (e) {
+      console.warn('[invoices] could not issue invoice for booking', booking.id, e?.message || e);
+    }
+  }
+
+  const row = db.prepare('SELECT * FROM bookings WHERE id = ?').get(booking.id);
+  return { row, previousStatus: current };
+}
+
+// When an unanswered booking request lapses: BOOKING_REQUEST_HOURS (default 24) after it was made,
+// or at pickup if that comes first
+export function requestExpiresAt(pickupDate, from = new Date()) {
+  const hours = Number(process.env.BOOKING_REQUEST_HOURS) || 24;
+  const deadline = new Date(from.getTime() + hours * 60 * 60 * 1000);
+  const pickup = pickupDate ? new Date(pickupDate) : null;
+  return (pickup && !Number.isNaN(pickup.getTime()) && pickup < deadline ? pickup : deadline).toISOString();
+}
+
+// Decline booking requests the host did not answer in time so they stop holding the car
+export async function expireBookingRequests(now = new Date()) {
+  const rows = db.prepare(`
+    SELECT b.*, c.host_id AS host_id
+    FROM bookings b
+    LEFT JOIN cars c ON c.id = b.car_id
+    WHERE b.status = 'requested' AND b.request_expires_at IS NOT NULL AND b.request_expires_at <= ?
+  `).all(now.toISOString());
+  for (const booking of rows) {
+    const result = applyBookingAction(booking, 'decline', SYSTEM_ACTOR, { reason: 'request_expired' });
+    if (!result.row) continue;
+    try { await mirrorBookingToMongo(result.row); } catch {}
+    broadcast('booking_status_changed', {
+      id: booking.id,
+      userId: booking.user_id,
+      carId: booking.car_id,
+      hostId: booking.host_id ?? null,
+      status: result.row.status,
+      action: 'decline',
+      previousStatus: result.previousStatus,
+      reason: 'request_expired',
+    }, bookingChannels(booking.id));
+  }
+  return rows.length;
+}
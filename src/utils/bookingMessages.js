@@ -0,0 +1,140 @@
+// Booking conversations: the renter and the car's host (and admins) write to each other about a
+// booking, with text and/or attachments (private files under uploads/messages/<bookingId>/).
+// Each reader ('user' or 'admin') has a read pointer per booking, the id of the last message they
+// have seen; unread counts and read receipts come from those pointers. Sending a message moves the
+// sender's pointer past it.
+
+import db from '../db/index.js';
+import { fileUrl } from './privateFiles.js';
+
+export const MAX_MESSAGE_ATTACHMENTS = 5;
+
+// Who `user` is in a booking's conversation: { type, id } for read pointers and sent messages
+export function readerOf(user) {
+  return { type: user.role === 'admin' ? 'admin' : 'user', id: Number(user.id) };
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+export function toBookingMessage(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    sender: { id: row.sender_id, role: row.sender_role, name: row.sender_name || null },
+    body: row.body || null,
+    attachments: parseJson(row.attachments_json, []).map(({ path, ...file }) => ({ ...file, url: fileUrl(path) })),
+    createdAt: row.created_at,
+  };
+}
+
+// Read receipts of a booking's conversation, naming each reader's part in it
+export function toReadReceipt(row, booking) {
+  let role = 'admin';
+  if (row.reader_type === 'user') role = Number(row.reader_id) === Number(booking.user_id) ? 'renter' : 'host';
+  return { role, userId: row.reader_id, lastReadId: row.last_read_id, readAt: row.read_at };
+}
+
+const SELECT_MESSAGES = `
+  SELECT m.*, CASE WHEN m.sender_role = 'admin' THEN NULL ELSE u.full_name END AS sender_name
+  FROM booking_messages m
+  LEFT JOIN users u ON u.id = m.sender_id
+`;
+
+export function getBookingMessage(id) {
+  return db.prepare(`${SELECT_MESSAGES} WHERE m.id = ?`).get(id);
+}
+
+// Newest `limit` messages (before message id `before`, for paging back), oldest first
+export function bookingMessages(bookingId, { before = null, limit = 50 } = {}) {
+  const rows = db.prepare(`
+    ${SELECT_MESSAGES} WHERE m.booking_id = ? AND (? IS NULL OR m.id < ?) ORDER BY m.id DESC LIMIT ?
+  `).all(bookingId, before, before, limit);
+  return rows.reverse();
+}
+
+export function bookingReadReceipts(bookingId) {
+  return db.prepare('SELECT * FROM booking_message_reads WHERE booking_id = ? ORDER BY reader_type, reader_id').all(bookingId);
+}
+
+// Messages of a booking the reader has not seen, leaving out their own
+export function unreadCount(bookingId, reader) {
+  return db.prepare(`
+    SELECT COUNT(*) AS n FROM booking_messages m
+    LEFT JOIN booking_message_reads r ON r.booking_id = m.booking_id AND r.reader_type = ? AND r.reader_id = ?
+    WHERE m.booking_id = ? AND m.id > COALESCE(r.last_read_id, 0)
+      AND NOT (m.sender_id = ? AND (m.sender_role = 'admin') = ?)
+  `).get(reader.type, reader.id, bookingId, reader.id, reader.type === 'admin' ? 1 : 0).n;
+}
+
+// Move the reader's pointer forward to `lastReadId` (default: the newest message). Never moves it
+// back. Returns the read row, or null when there is nothing to read.
+export function markRead(bookingId, reader, lastReadId = null) {
+  const newest = db.prepare('SELECT MAX(id) AS id FROM booking_messages WHERE booking_id = ?').get(bookingId).id;
+  if (!newest) return null;
+  const upTo = Math.min(Number(lastReadId) || newest, newest);
+  db.prepare(`
+    INSERT INTO booking_message_reads (booking_id, reader_type, reader_id, last_read_id, read_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(booking_id, reader_type, reader_id)
+    DO UPDATE SET last_read_id = MAX(last_read_id, excluded.last_read_id), read_at = excluded.read_at
+  `).run(bookingId, reader.type, reader.id, upTo, new Date().toISOString());
+  return db.prepare('SELECT * FROM booking_message_reads WHERE booking_id = ? AND reader_type = ? AND reader_id = ?')
+    .get(bookingId, reader.type, reader.id);
+}
+
+// `attachments` are stored files: [{ path, name, size, type }]. Returns the message row.
+export function addBookingMessage(bookingId, { user, role, body = null, attachments = [] }) {
+  const reader = readerOf(user);
+  const tx = db.transaction(() => {
+    const info = db.prepare(`
+      INSERT INTO booking_messages (booking_id, sender_id, sender_role, body, attachments_json)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(bookingId, reader.id, role, body || null, attachments.length ? JSON.stringify(attachments) : null);
+    markRead(bookingId, reader, info.lastInsertRowid);
+    return getBookingMessage(info.lastInsertRowid);
+  });
+  return tx.immediate();
+}
+
+// Conversations `user` takes part in (all of them for admins), most recent first, each with its last
+// message and the reader's unread count
+export function conversationsFor(user, { limit = 50, offset = 0 } = {}) {
+  const reader = readerOf(user);
+  const mine = reader.type === 'admin' ? '' : 'AND (b.user_id = @id OR c.host_id = @id)';
+  return db.prepare(`
+    SELECT b.id AS booking_id, b.user_id, b.status, b.pickup_date, b.return_date, c.host_id, c.name AS car_name,
+      last.id AS last_message_id,
+      (SELECT COUNT(*) FROM booking_messages m
+        WHERE m.booking_id = b.id AND m.id > COALESCE(r.last_read_id, 0)
+          AND NOT (m.sender_id = @id AND (m.sender_role = 'admin') = @isAdmin)) AS unread
+    FROM bookings b
+    LEFT JOIN cars c ON c.id = b.car_id
+    JOIN booking_messages last ON last.id = (SELECT MAX(id) FROM booking_messages WHERE booking_id = b.id)
+    LEFT JOIN booking_message_reads r ON r.booking_id = b.id AND r.reader_type = @type AND r.reader_id = @id
+    WHERE 1 = 1 ${mine}
+    ORDER BY last.id DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ id: reader.id, type: reader.type, isAdmin: reader.type === 'admin' ? 1 : 0, limit, offset });
+}
+
+// Unread messages over all of the user's conversations
+export function totalUnread(user) {
+  const reader = readerOf(user);
+  const mine = reader.type === 'admin' ? '' : 'AND (b.user_id = @id OR c.host_id = @id)';
+  return db.prepare(`
+    SELECT COUNT(*) AS n
+    FROM booking_messages m
+    JOIN bookings b ON b.id = m.booking_id
+    LEFT JOIN cars c ON c.id = b.car_id
+    LEFT JOIN booking_message_reads r ON r.booking_id = m.booking_id AND r.reader_type = @type AND r.reader_id = @id
+    WHERE m.id > COALESCE(r.last_read_id, 0)
+      AND NOT (m.sender_id = @id AND (m.sender_role = 'admin') = @isAdmin) ${mine}
+  `).get({ id: reader.id, type: reader.type, isAdmin: reader.type === 'admin' ? 1 : 0 }).n;
+}
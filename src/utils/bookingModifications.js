@@ -0,0 +1,251 @@
+// Booking modifications: new dates, a longer trip or another car from the same host.
+// A renter's request is priced and checked against the calendar when it is made, then waits for the
+// car's host (or an admin) to approve it; changes made by an admin apply straight away. Approval
+// plans the change again against current prices, availability and the target car, rewrites the
+// booking and settles the price difference against what was paid: unpaid bookings simply owe the new
+// amount, paid ones owe the rest (payment_status 'balance_due') or get the difference back through a
+// refund request. Requests are never deleted, so they double as the booking's change history.
+
+import db from '../db/index.js';
+import { getBookingWithHost } from './bookingLifecycle.js';
+import { findBookingConflict, findBlackoutConflict, toConflict } from './availability.js';
+import { computeQuote } from './pricing.js';
+import { getBookingDeposit, repriceBookingDeposit } from './deposits.js';
+import { bookingPaidAmount, bookingRefundedAmount, createRefund, MODIFICATION_REFUND_REASON } from './refunds.js';
+import { reissueBookingInvoice } from './invoices.js';
+
+export const MODIFICATION_STATUSES = ['pending', 'approved', 'declined', 'withdrawn'];
+
+// Booking statuses that can still be changed; a trip in progress may only move its return date
+export const MODIFIABLE_STATUSES = ['pending', 'confirmed', 'active'];
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value || 'null') ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+export function toModification(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    kind: row.kind,
+    status: row.status,
+    from: { carId: row.from_car_id, pickupDate: row.from_pickup_date, returnDate: row.from_return_date },
+    to: { carId: row.to_car_id, pickupDate: row.to_pickup_date, returnDate: row.to_return_date },
+    previousPrice: parseJson(row.previous_quote_json, null),
+    price: parseJson(row.new_quote_json, null),
+    priceDifference: row.price_difference,
+    reason: row.reason || null,
+    requestedBy: row.requested_by_role ? { role: row.requested_by_role, id: row.requested_by } : null,
+    resolvedBy: row.resolved_by_role ? { role: row.resolved_by_role, id: row.resolved_by } : null,
+    resolutionNote: row.resolution_note || null,
+    refundId: row.refund_id || null,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at || null,
+  };
+}
+
+export function getModification(id) {
+  return db.prepare('SELECT * FROM booking_modifications WHERE id = ?').get(id);
+}
+
+export function bookingModifications(bookingId) {
+  return db.prepare('SELECT * FROM booking_modifications WHERE booking_id = ? ORDER BY id ASC').all(bookingId);
+}
+
+// Pending modification per booking id, for listing many bookings at once
+export function pendingModificationsByBooking(bookingIds) {
+  const ids = Array.from(new Set(bookingIds.map(Number).filter(Boolean)));
+  if (!ids.length) return new Map();
+  const rows = db.prepare(`
+    SELECT * FROM booking_modifications
+    WHERE status = 'pending' AND booking_id IN (${ids.map(() => '?').join(', ')})
+  `).all(...ids);
+  return new Map(rows.map((r) => [r.booking_id, r]));
+}
+
+function sameHost(a, b) {
+  return (a == null && b == null) || (a != null && b != null && Number(a) === Number(b));
+}
+
+// A held deposit is not re-collected, so the new quote carries the one already paid
+function withBookingDeposit(bookingId, quote) {
+  const deposit = getBookingDeposit(bookingId);
+  if (!deposit || deposit.status === 'pending') return quote;
+  return { ...quote, deposit: Number(deposit.amount), amountDue: quote.total + Number(deposit.amount) };
+}
+
+// Same availability rules as a new booking, ignoring the booking being changed
+function datesTaken(bookingId, carId, pickupDate, returnDate) {
+  const conflict = findBookingConflict(carId, pickupDate, returnDate, { excludeBookingId: bookingId });
+  if (conflict) return { status: 409, error: 'Car is already booked for these dates', conflict: toConflict(conflict) };
+  const blackout = findBlackoutConflict(carId, pickupDate, returnDate);
+  if (blackout) {
+    return {
+      status: 409,
+      error: 'Car is blocked by the host for these dates',
+      conflict: { pickupDate: blackout.start_date, returnDate: blackout.end_date },
+    };
+  }
+  return null;
+}
+
+function modifiable(booking) {
+  const current = booking.status || 'confirmed';
+  if (!MODIFIABLE_STATUSES.includes(current)) return { status: 409, error: `Cannot modify a booking that is ${current}` };
+  if (booking.checked_out_at) return { status: 409, error: 'The car has already been returned' };
+  return null;
+}
+
+// Check and price a change to `booking` (a getBookingWithHost row). Unchanged fields keep their
+// current value. Returns { carId, pickupDate, returnDate, quote, previous, difference } or { status, error }.
+export function planModification(booking, { carId, pickupDate, returnDate } = {}) {
+  if (!booking) return { status: 404, error: 'Booking not found' };
+  const blocked = modifiable(booking);
+  if (blocked) return blocked;
+
+  const next = {
+    carId: carId != null ? Number(carId) : Number(booking.car_id),
+    pickupDate: pickupDate ?? booking.pickup_date,
+    returnDate: returnDate ?? booking.return_date,
+  };
+  const carChanged = next.carId !== Number(booking.car_id);
+  if (!carChanged && next.pickupDate === booking.pickup_date && next.returnDate === booking.return_date) {
+    return { status: 400, error: 'Nothing to change' };
+  }
+  if (booking.status === 'active' && (carChanged || next.pickupDate !== booking.pickup_date)) {
+    return { status: 409, error: 'A trip in progress can only change its return date' };
+  }
+
+  const car = db.prepare('SELECT * FROM cars WHERE id = ? AND (deleted IS NULL OR deleted = 0)').get(next.carId);
+  if (!car) return { status: 400, error: 'Invalid car' };
+  if (carChanged) {
+    if (!car.available) return { status: 400, error: 'Car is not available for booking' };
+    if (!sameHost(car.host_id, booking.host_id)) {
+      return { status: 409, error: 'A booking can only move to another car from the same host' };
+    }
+  }
+
+  const priced = computeQuote(car, next);
+  if (priced.error) return priced;
+  const taken = datesTaken(booking.id, next.carId, next.pickupDate, next.returnDate);
+  if (taken) return taken;
+
+  const quote = withBookingDeposit(booking.id, priced.quote);
+  const previous = parseJson(booking.price_breakdown_json, null);
+  const previousDue = Number(previous?.amountDue ?? booking.total_cost) || 0;
+  return { ...next, quote, previous, difference: quote.amountDue - previousDue };
+}
+
+// Record a planned change as pending. Returns { row } or { status, error }.
+export function requestModification(booking, plan, { kind = 'change', reason = null, role, userId }) {
+  const tx = db.transaction(() => {
+    const open = db.prepare("SELECT id FROM booking_modifications WHERE booking_id = ? AND status = 'pending'").get(booking.id);
+    if (open) return { status: 409, error: 'This booking already has a pending modification', modificationId: open.id };
+    const info = db.prepare(`
+      INSERT INTO booking_modifications (booking_id, kind, from_car_id, to_car_id, from_pickup_date, from_return_date,
+        to_pickup_date, to_return_date, previous_quote_json, new_quote_json, price_difference, reason, requested_by_role, requested_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      booking.id,
+      kind,
+      booking.car_id,
+      plan.carId,
+      booking.pickup_date,
+      booking.return_date,
+      plan.pickupDate,
+      plan.returnDate,
+      plan.previous ? JSON.stringify(plan.previous) : null,
+      JSON.stringify(plan.quote),
+      plan.difference,
+      reason || null,
+      role || null,
+      userId ?? null
+    );
+    return { row: getModification(info.lastInsertRowid) };
+  });
+  return tx.immediate();
+}
+
+// Apply a pending modification to its booking. Returns { modification, row, refund } or { status, error }.
+export function applyModification(id, { role, userId, note = null }) {
+  const tx = db.transaction(() => {
+    const mod = getModification(id);
+    if (!mod) return { status: 404, error: 'Modification not found' };
+    if (mod.status !== 'pending') return { status: 409, error: `Modification is already ${mod.status}` };
+    const booking = getBookingWithHost(mod.booking_id);
+    if (!booking) return { status: 404, error: 'Booking not found' };
+    const blocked = modifiable(booking);
+    if (blocked) return blocked;
+    if (
+      Number(booking.car_id) !== Number(mod.from_car_id) ||
+      booking.pickup_date !== mod.from_pickup_date ||
+      booking.return_date !== mod.from_return_date
+    ) {
+      return { status: 409, error: 'The booking has changed since this modification was requested' };
+    }
+    // Prices, the target car and the calendar may have moved since the request: plan it again
+    const plan = planModification(booking, { carId: mod.to_car_id, pickupDate: mod.to_pickup_date, returnDate: mod.to_return_date });
+    if (plan.error) return plan;
+
+    const quote = plan.quote;
+    quote.deposit = repriceBookingDeposit(booking.id, quote);
+    quote.amountDue = quote.total + quote.deposit;
+    const previousDue = Number(plan.previous?.amountDue ?? booking.total_cost) || 0;
+
+    // Settle against what the renter has paid and not been refunded (open refund requests included)
+    const paid = bookingPaidAmount(booking.id);
+    const netPaid = paid - bookingRefundedAmount(booking.id);
+    let paymentStatus = booking.payment_status;
+    let refund = null;
+    if (paid > 0) {
+      if (netPaid > quote.amountDue) {
+        refund = createRefund({ booking, amount: netPaid - quote.amountDue, reason: MODIFICATION_REFUND_REASON, policy: null, role, userId });
+      } else if (netPaid < quote.amountDue) {
+        paymentStatus = 'balance_due';
+      } else if (paymentStatus === 'balance_due') {
+        paymentStatus = 'paid';
+      }
+    }
+
+    db.prepare(`
+      UPDATE bookings SET car_id = ?, pickup_date = ?, return_date = ?, total_cost = ?, days = ?, price_breakdown_json = ?,
+        payment_status = ?, status_updated_at = ?
+      WHERE id = ?
+    `).run(mod.to_car_id, mod.to_pickup_date, mod.to_return_date, quote.total, quote.days, JSON.stringify(quote),
+      paymentStatus, new Date().toISOString(), booking.id);
+    db.prepare(`
+      UPDATE booking_modifications SET status = 'approved', new_quote_json = ?, price_difference = ?, resolved_by_role = ?,
+        resolved_by = ?, resolution_note = ?, refund_id = ?, resolved_at = datetime('now')
+      WHERE id = ?
+    `).run(JSON.stringify(quote), quote.amountDue - previousDue, role || null, userId ?? null, note || null, refund?.id ?? null, mod.id);
+
+    return { modification: getModification(mod.id), row: db.prepare('SELECT * FROM bookings WHERE id = ?').get(booking.id), refund };
+  });
+  const result = tx.immediate();
+  if (result.error) return result;
+
+  // The invoice must show the new price; invoicing problems must not undo the change
+  try {
+    reissueBookingInvoice(result.row.id, { reason: `Booking modification #${result.modification.id}` });
+  } catch (e) {
+    console.warn('[invoices] could not reissue invoice for booking', result.row.id, e?.message || e);
+  }
+  return result;
+}
+
+// Close a pending modification without applying it (declined by the host/admin, withdrawn by the renter)
+export function closeModification(id, status, { role, userId, note = null }) {
+  const mod = getModification(id);
+  if (!mod) return { status: 404, error: 'Modification not found' };
+  const info = db.prepare(`
+    UPDATE booking_modifications SET status = ?, resolved_by_role = ?, resolved_by = ?, resolution_note = ?, resolved_at = datetime('now')
+    WHERE id = ? AND status = 'pending'
+  `).run(status, role || null, userId ?? null, note || null, mod.id);
+  if (!info.changes) return { status: 409, error: `Modification is already ${getModification(id).status}` };
+  return { modification: getModification(mod.id) };
+}
@@ -0,0 +1,158 @@
+// Car photo galleries. Each photo goes through the image pipeline (src/utils/images.js) and is stored
+// with its resized copies, a kind (exterior, interior, dashboard, other), an optional caption and a
+// position. Exactly one photo of a non-empty gallery is the cover; its copies are also written to
+// cars.image / cars.image_variants_json so listings that only read `image` show it.
+
+import db from '../db/index.js';
+import { removeCarImage, storeCarImage, toImageSet } from './images.js';
+
+export const CAR_IMAGE_KINDS = ['exterior', 'interior', 'dashboard', 'other'];
+export const MAX_CAR_IMAGES = 20;
+
+export function toCarImage(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    carId: row.car_id,
+    kind: row.kind || 'other',
+    caption: row.caption || null,
+    position: row.position,
+    cover: !!row.is_cover,
+    url: /^https?:\/\//i.test(row.path) ? row.path : `/${row.path}`,
+    ...toImageSet(row.variants_json),
+    createdAt: row.created_at,
+  };
+}
+
+export function getCarImage(carId, imageId) {
+  return db.prepare('SELECT * FROM car_images WHERE id = ? AND car_id = ?').get(imageId, carId);
+}
+
+export function carGallery(carId) {
+  return db.prepare('SELECT * FROM car_images WHERE car_id = ? ORDER BY position ASC, id ASC').all(carId);
+}
+
+// Copy the cover onto the car row; an empty gallery clears the car's image
+function syncCover(carId) {
+  const cover = db.prepare('SELECT * FROM car_images WHERE car_id = ? AND is_cover = 1').get(carId);
+  db.prepare('UPDATE cars SET image = ?, image_variants_json = ?, updated_at = ? WHERE id = ?').run(
+    cover?.path || null,
+    cover?.variants_json || null,
+    new Date().toISOString(),
+    carId
+  );
+}
+
+// Renumber positions 0..n-1 in the given order
+function renumber(ids) {
+  const stmt = db.prepare('UPDATE car_images SET position = ? WHERE id = ?');
+  ids.forEach((id, i) => stmt.run(i, id));
+}
+
+// Replace the cover photo in place (or add one in front when the gallery has no cover) with an
+// already stored image or an external URL. Returns the previous cover row so its files can be removed.
+export function setCoverImage(carId, { path, variantsJson = null, userId = null }) {
+  const tx = db.transaction(() => {
+    const previous = db.prepare('SELECT * FROM car_images WHERE car_id = ? AND is_cover = 1').get(carId) || null;
+    if (!path) {
+      if (previous) {
+        db.prepare('DELETE FROM car_images WHERE id = ?').run(previous.id);
+        const rest = carGallery(carId);
+        renumber(rest.map((r) => r.id));
+        if (rest.length) db.prepare('UPDATE car_images SET is_cover = 1 WHERE id = ?').run(rest[0].id);
+      }
+    } else if (previous) {
+      db.prepare('UPDATE car_images SET path = ?, variants_json = ? WHERE id = ?').run(path, variantsJson, previous.id);
+    } else {
+      db.prepare('UPDATE car_images SET position = position + 1 WHERE car_id = ?').run(carId);
+      db.prepare(`
+        INSERT INTO car_images (car_id, path, variants_json, kind, position, is_cover, created_by)
+        VALUES (?, ?, ?, 'exterior', 0, 1, ?)
+      `).run(carId, path, variantsJson, userId);
+    }
+    syncCover(carId);
+    return previous;
+  });
+  return tx.immediate();
+}
+
+// Store a processed photo and add it to the end of the gallery (the first photo becomes the cover).
+// Returns { image } or { status, error }.
+export async function addCarImage(carId, processed, { kind = 'other', caption = null, cover = false, userId = null } = {}) {
+  const full = () => db.prepare('SELECT COUNT(*) AS n FROM car_images WHERE car_id = ?').get(carId).n >= MAX_CAR_IMAGES;
+  const tooMany = { status: 409, error: `A car can have at most ${MAX_CAR_IMAGES} photos` };
+  if (full()) return tooMany;
+
+  const stored = await storeCarImage(carId, processed);
+  // Checked again under the write lock: other uploads may have filled the gallery while this one was stored
+  const tx = db.transaction(() => {
+    if (full()) return null;
+    const makeCover = cover || !db.prepare('SELECT 1 FROM car_images WHERE car_id = ? AND is_cover = 1').get(carId);
+    if (makeCover) db.prepare('UPDATE car_images SET is_cover = 0 WHERE car_id = ?').run(carId);
+    const position = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) AS p FROM car_images WHERE car_id = ?').get(carId).p;
+    const info = db.prepare(`
+      INSERT INTO car_images (car_id, path, variants_json, kind, caption, position, is_cover, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(carId, stored.image, stored.variantsJson, kind, caption || null, position, makeCover ? 1 : 0, userId);
+    if (makeCover) syncCover(carId);
+    return db.prepare('SELECT * FROM car_images WHERE id = ?').get(info.lastInsertRowid);
+  });
+  const image = tx.immediate();
+  if (!image) {
+    await removeCarImage(carId, stored.variantsJson);
+    return tooMany;
+  }
+  return { image };
+}
+
+// Change caption, kind or make a photo the cover. Returns { image } or { status, error }.
+export function updateCarImage(carId, imageId, { caption, kind, cover } = {}) {
+  const tx = db.transaction(() => {
+    const row = getCarImage(carId, imageId);
+    if (!row) return { status: 404, error: 'Photo not found' };
+    db.prepare('UPDATE car_images SET caption = ?, kind = ? WHERE id = ?').run(
+      caption !== undefined ? caption || null : row.caption,
+      kind ?? row.kind,
+      row.id
+    );
+    if (cover && !row.is_cover) {
+      db.prepare('UPDATE car_images SET is_cover = (id = ?) WHERE car_id = ?').run(row.id, carId);
+      syncCover(carId);
+    }
+    return { image: getCarImage(carId, row.id) };
+  });
+  return tx.immediate();
+}
+
+// Put the gallery in the given order; `imageIds` must list every photo of the car once
+export function reorderCarImages(carId, imageIds) {
+  const tx = db.transaction(() => {
+    const current = carGallery(carId).map((r) => r.id);
+    const wanted = imageIds.map(Number);
+    const complete = wanted.length === current.length && new Set(wanted).size === wanted.length && wanted.every((id) => current.includes(id));
+    if (!complete) return { status: 400, error: 'imageIds must list every photo of the car exactly once', imageIds: current };
+    renumber(wanted);
+    return { gallery: carGallery(carId) };
+  });
+  return tx.immediate();
+}
+
+// Delete a photo and its files; removing the cover promotes the first remaining photo.
+// Returns { removed } or { status, error }.
+export async function deleteCarImage(carId, imageId) {
+  const tx = db.transaction(() => {
+    const row = getCarImage(carId, imageId);
+    if (!row) return { status: 404, error: 'Photo not found' };
+    db.prepare('DELETE FROM car_images WHERE id = ?').run(row.id);
+    const rest = carGallery(carId);
+    renumber(rest.map((r) => r.id));
+    if (row.is_cover) {
+      if (rest.length) db.prepare('UPDATE car_images SET is_cover = 1 WHERE id = ?').run(rest[0].id);
+      syncCover(carId);
+    }
+    return { removed: row };
+  });
+  const result = tx.immediate();
+  if (result.removed) await removeCarImage(carId, result.removed.variants_json);
+  return result;
+}
@@ -0,0 +1,183 @@
+// Car catalogue search shared by the SQLite and MongoDB paths of GET /api/cars.
+// parseCarSearch() normalises the query string once; the two builders translate the
+// same filter object so both backends return the same cars in the same order.
+
+import { ACTIVE_BOOKING_SQL, RELEASED_STATUSES } from './bookingLifecycle.js';
+
+export const CAR_SORTS = {
+  newest: { sql: 'c.id DESC', mongo: { sqliteId: -1 } },
+  price_asc: { sql: 'c.price_per_day ASC, c.id DESC', mongo: { pricePerDay: 1, sqliteId: -1 } },
+  price_desc: { sql: 'c.price_per_day DESC, c.id DESC', mongo: { pricePerDay: -1, sqliteId: -1 } },
+  rating_desc: { sql: 'c.rating DESC, c.id DESC', mongo: { rating: -1, sqliteId: -1 } },
+  // Mongo sorts strings case-sensitively; sorting on the lower-cased name matches NOCASE (ASCII-only in both)
+  name_asc: {
+    sql: 'c.name COLLATE NOCASE ASC, c.id DESC',
+    mongo: { nameKey: 1, sqliteId: -1 },
+    mongoFields: { nameKey: { $toLower: '$name' } },
+  },
+};
+
+// Aggregation stages that order cars by `sort`
+export function mongoSortStages(sort) {
+  const spec = CAR_SORTS[sort];
+  return [...(spec.mongoFields ? [{ $addFields: spec.mongoFields }] : []), { $sort: spec.mongo }];
+}
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const LIST_FIELDS = { city: 'city', brand: 'brand', type: 'type', fuel: 'fuel', transmission: 'transmission' };
+
+function list(value) {
+  if (value == null || value === '') return null;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  return items.length ? items : null;
+}
+
+function num(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns { filter } or { error }
+export function parseCarSearch(q = {}) {
+  const filter = { sort: 'newest' };
+  for (const key of Object.keys(LIST_FIELDS)) {
+    const values = list(q[key]);
+    if (values) filter[key] = values;
+  }
+  for (const key of ['seats', 'minSeats', 'minPrice', 'maxPrice', 'minRating']) {
+    if (q[key] == null || q[key] === '') continue;
+    const n = num(q[key]);
+    if (n == null || n < 0) return { error: `${key} must be a non-negative number` };
+    filter[key] = n;
+  }
+  if (q.q != null && String(q.q).trim()) filter.q = String(q.q).trim().slice(0, 100);
+  if (q.available != null && q.available !== '') filter.available = ['1', 'true', 'yes'].includes(String(q.available).toLowerCase());
+
+  const pickup = q.pickup || q.pickupDate;
+  const ret = q.return || q.returnDate;
+  if (pickup || ret) {
+    if (!pickup || !ret) return { error: 'pickup and return must be given together' };
+    if (String(ret) <= String(pickup)) return { error: 'return must be after pickup' };
+    filter.pickup = String(pickup);
+    filter.return = String(ret);
+  }
+
+  if (q.sort) {
+    if (!CAR_SORTS[q.sort]) return { error: `sort must be one of ${Object.keys(CAR_SORTS).join(', ')}` };
+    filter.sort = q.sort;
+  }
+
+  // Paging is opt-in so existing clients that expect the full array keep working
+  if (q.page != null || q.limit != null) {
+    const page = q.page != null ? num(q.page) : 1;
+    const limit = q.limit != null ? num(q.limit) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive integer' };
+    if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+    filter.page = page;
+    filter.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+  return { filter };
+}
+
+// WHERE clause (alias `c`) + params for SQLite
+export function buildCarSql(filter) {
+  const where = ['(c.deleted IS NULL OR c.deleted = 0)'];
+  const params = [];
+  for (const [key, column] of Object.entries(LIST_FIELDS)) {
+    if (!filter[key]) continue;
+    where.push(`LOWER(c.${column}) IN (${filter[key].map(() => 'LOWER(?)').join(', ')})`);
+    params.push(...filter[key]);
+  }
+  if (filter.seats != null) { where.push('c.seats = ?'); params.push(filter.seats); }
+  if (filter.minSeats != null) { where.push('c.seats >= ?'); params.push(filter.minSeats); }
+  if (filter.minPrice != null) { where.push('c.price_per_day >= ?'); params.push(filter.minPrice); }
+  if (filter.maxPrice != null) { where.push('c.price_per_day <= ?'); params.push(filter.maxPrice); }
+  if (filter.minRating != null) { where.push('c.rating >= ?'); params.push(filter.minRating); }
+  if (filter.q) {
+    // Escape LIKE wildcards so the search is a plain substring match
+    const like = `%${filter.q.replace(/[\\%_]/g, '\\$&')}%`;
+    where.push("(c.name LIKE ? ESCAPE '\\' OR c.description LIKE ? ESCAPE '\\')");
+    params.push(like, like);
+  }
+  if (filter.available === true || filter.pickup) where.push('c.available = 1');
+  if (filter.available === false) where.push('(c.available = 0 OR c.available IS NULL)');
+  if (filter.pickup) {
+    where.push(`NOT EXISTS (
+      SELECT 1 FROM bookings b
+      WHERE b.car_id = c.id
+        AND ${ACTIVE_BOOKING_SQL}
+        AND NOT (b.return_date <= ? OR b.pickup_date >= ?)
+    )`);
+    where.push(`NOT EXISTS (
+      SELECT 1 FROM car_blackouts x
+      WHERE x.car_id = c.id
+        AND NOT (x.end_date <= ? OR x.start_date >= ?)
+    )`);
+    params.push(filter.pickup, filter.return, filter.pickup, filter.return);
+  }
+  return {
+    where: where.join(' AND '),
+    params,
+    orderBy: CAR_SORTS[filter.sort].sql,
+    limit: filter.limit ?? null,
+    offset: filter.limit ? (filter.page - 1) * filter.limit : 0,
+  };
+}
+
+// $match stage for the Mongo mirror. Date-range availability needs the ids of
+// cars booked or blocked in the range, which the caller looks up first.
+export function buildCarMongoMatch(filter, { unavailableCarIds = [] } = {}) {
+  const and = [{ $or: [{ deleted: { $exists: false } }, { deleted: false }] }];
+  for (const [key, field] of Object.entries(LIST_FIELDS)) {
+    if (!filter[key]) continue;
+    and.push({ $or: filter[key].map((v) => ({ [field]: new RegExp(`^${escapeRegex(v)}$`, 'i') })) });
+  }
+  if (filter.seats != null) and.push({ seats: filter.seats });
+  if (filter.minSeats != null) and.push({ seats: { $gte: filter.minSeats } });
+  if (filter.minPrice != null) and.push({ pricePerDay: { $gte: filter.minPrice } });
+  if (filter.maxPrice != null) and.push({ pricePerDay: { $lte: filter.maxPrice } });
+  if (filter.minRating != null) and.push({ rating: { $gte: filter.minRating } });
+  if (filter.q) {
+    const re = new RegExp(escapeRegex(filter.q), 'i');
+    and.push({ $or: [{ name: re }, { description: re }] });
+  }
+  if (filter.available === true || filter.pickup) and.push({ available: true });
+  if (filter.available === false) and.push({ available: { $ne: true } });
+  if (filter.pickup && unavailableCarIds.length) and.push({ sqliteId: { $nin: unavailableCarIds } });
+  return { $and: and };
+}
+
+// Car ids with a live booking or a blackout overlapping the filter's date range
+export async function mongoUnavailableCarIds(mdb, filter) {
+  if (!filter.pickup) return [];
+  const overlap = { $nor: [{ returnDate: { $lte: filter.pickup } }, { pickupDate: { $gte: filter.return } }] };
+  const [booked, blocked] = await Promise.all([
+    mdb.collection('bookings').distinct('carId', {
+      ...overlap,
+      $or: [{ status: { $exists: false } }, { status: { $nin: RELEASED_STATUSES } }],
+    }),
+    mdb.collection('car_blackouts').distinct('carId', {
+      $nor: [{ endDate: { $lte: filter.pickup } }, { startDate: { $gte: filter.return } }],
+    }),
+  ]);
+  return Array.from(new Set([...booked, ...blocked]));
+}
+
+// Paging headers; the body stays a plain array for backwards compatibility
+export function setPagingHeaders(res, filter, total) {
+  res.set('X-Total-Count', String(total));
+  if (filter.limit) {
+    res.set('X-Page', String(filter.page));
+    res.set('X-Per-Page', String(filter.limit));
+    res.set('X-Total-Pages', String(Math.max(1, Math.ceil(total / filter.limit))));
+  }
+}
@@ -0,0 +1,190 @@
+// Security deposits.
+// A booking whose quote includes a deposit gets one deposit record: `pending` until the booking is
+// paid, then `held`. After the car is returned the host or an admin may claim damages against it;
+// approved claims capture part of it (`partially_captured`, or `captured` when nothing is left) and
+// the rest is released back to the renter through a refund. Every change is logged as a movement.
+
+import db from '../db/index.js';
+import { fileUrl } from './privateFiles.js';
+
+export const DEPOSIT_STATUSES = ['pending', 'held', 'partially_captured', 'captured', 'released'];
+export const CLAIM_STATUSES = ['open', 'approved', 'rejected'];
+
+// Refund reason used when the remaining deposit is returned
+export const DEPOSIT_RELEASE_REASON = 'deposit_release';
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value || 'null') ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+export function depositBalance(row) {
+  if (!row) return 0;
+  return Math.max(0, Number(row.amount) - Number(row.captured_amount || 0) - Number(row.released_amount || 0));
+}
+
+export function toDepositMovement(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    amount: row.amount,
+    reason: row.reason || null,
+    claimId: row.claim_id || null,
+    refundId: row.refund_id || null,
+    by: row.actor_role ? { role: row.actor_role, id: row.actor_id } : null,
+    createdAt: row.created_at,
+  };
+}
+
+export function toDamageClaim(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    depositId: row.deposit_id,
+    amount: row.amount,
+    capturedAmount: row.captured_amount ?? null,
+    reason: row.reason,
+    evidence: parseJson(row.evidence_json, []).map((e) => (e.type === 'file' ? { ...e, url: fileUrl(e.url) } : e)),
+    status: row.status,
+    createdBy: row.created_by_role ? { role: row.created_by_role, id: row.created_by } : null,
+    resolutionNote: row.resolution_note || null,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at || null,
+  };
+}
+
+export function getBookingDeposit(bookingId) {
+  return db.prepare('SELECT * FROM booking_deposits WHERE booking_id = ?').get(bookingId);
+}
+
+// Deposit with its movements and claims, as shown on a booking; null when the booking has none
+export function bookingDepositDetail(bookingId) {
+  const row = getBookingDeposit(bookingId);
+  if (!row) return null;
+  const movements = db.prepare('SELECT * FROM deposit_movements WHERE deposit_id = ? ORDER BY id ASC').all(row.id);
+  const claims = db.prepare('SELECT * FROM damage_claims WHERE deposit_id = ? ORDER BY id ASC').all(row.id);
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    amount: row.amount,
+    currency: row.currency,
+    status: row.status,
+    captured: row.captured_amount,
+    released: row.released_amount,
+    balance: depositBalance(row),
+    heldAt: row.held_at || null,
+    settledAt: row.settled_at || null,
+    movements: movements.map(toDepositMovement),
+    claims: claims.map(toDamageClaim),
+  };
+}
+
+function recordMovement(deposit, type, amount, { reason = null, claimId = null, refundId = null, actor = null } = {}) {
+  db.prepare(`
+    INSERT INTO deposit_movements (deposit_id, booking_id, type, amount, reason, claim_id, refund_id, actor_role, actor_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(deposit.id, deposit.booking_id, type, amount, reason, claimId, refundId, actor?.role || null, actor?.id ?? null);
+}
+
+// Status once `captured` and `released` have changed
+function statusFor(amount, captured, released) {
+  const balance = amount - captured - released;
+  if (captured >= amount) return 'captured';
+  if (captured > 0) return 'partially_captured';
+  if (balance <= 0) return 'released';
+  return 'held';
+}
+
+function updateTotals(deposit, captured, released) {
+  const status = statusFor(Number(deposit.amount), captured, released);
+  const settled = Number(deposit.amount) - captured - released <= 0;
+  db.prepare(`
+    UPDATE booking_deposits SET captured_amount = ?, released_amount = ?, status = ?,
+      settled_at = CASE WHEN ? THEN COALESCE(settled_at, datetime('now')) ELSE NULL END, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(captured, released, status, settled ? 1 : 0, deposit.id);
+}
+
+// Called inside the booking insert: the deposit comes from the booking's quote
+export function createBookingDeposit(bookingId, quote) {
+  const amount = Math.round(Number(quote?.deposit) || 0);
+  if (amount < 1) return null;
+  db.prepare('INSERT OR IGNORE INTO booking_deposits (booking_id, amount, currency) VALUES (?, ?, ?)')
+    .run(bookingId, amount, quote.currency || 'INR');
+  return getBookingDeposit(bookingId);
+}
+
+// A modified booking takes the deposit of its new quote while the deposit is still unpaid;
+// once held it stays as it was. Returns the deposit amount the booking now carries.
+export function repriceBookingDeposit(bookingId, quote) {
+  const deposit = getBookingDeposit(bookingId);
+  if (deposit && deposit.status !== 'pending') return Number(deposit.amount);
+  const amount = Math.round(Number(quote?.deposit) || 0);
+  if (!deposit) return createBookingDeposit(bookingId, quote) ? amount : 0;
+  if (amount < 1) {
+    db.prepare('DELETE FROM booking_deposits WHERE id = ?').run(deposit.id);
+    return 0;
+  }
+  db.prepare("UPDATE booking_deposits SET amount = ?, currency = ?, updated_at = datetime('now') WHERE id = ?")
+    .run(amount, quote.currency || deposit.currency, deposit.id);
+  return amount;
+}
+
+// The booking's payment went through, so the deposit is now held
+export function holdBookingDeposit(bookingId) {
+  const tx = db.transaction(() => {
+    const deposit = getBookingDeposit(bookingId);
+    if (!deposit || deposit.status !== 'pending') return deposit || null;
+    db.prepare("UPDATE booking_deposits SET status = 'held', held_at = datetime('now'), updated_at = datetime('now') WHERE id = ?")
+      .run(deposit.id);
+    recordMovement(deposit, 'hold', deposit.amount, { reason: 'payment received' });
+    return getBookingDeposit(bookingId);
+  });
+  return tx();
+}
+
+// Keep up to `amount` of the deposit for an approved claim. Returns the amount captured.
+export function captureDeposit(bookingId, amount, { reason = null, claimId = null, actor = null } = {}) {
+  const deposit = getBookingDeposit(bookingId);
+  if (!deposit || deposit.status === 'pending') return 0;
+  const value = Math.min(depositBalance(deposit), Math.round(Number(amount) || 0));
+  if (value < 1) return 0;
+  recordMovement(deposit, 'capture', value, { reason, claimId, actor });
+  updateTotals(deposit, Number(deposit.captured_amount) + value, Number(deposit.released_amount));
+  return value;
+}
+
+// Account for the deposit share of a processed refund. Deposit releases return the deposit;
+// on a cancelled booking the deposit is returned first. Returns the amount released.
+export function releaseDepositForRefund(refund) {
+  const tx = db.transaction(() => {
+    const deposit = getBookingDeposit(refund.booking_id);
+    if (!deposit || deposit.status === 'pending') return 0;
+    if (db.prepare("SELECT 1 FROM deposit_movements WHERE refund_id = ? AND type = 'release'").get(refund.id)) return 0;
+    const booking = db.prepare('SELECT status FROM bookings WHERE id = ?').get(refund.booking_id);
+    if (refund.reason !== DEPOSIT_RELEASE_REASON && booking?.status !== 'cancelled') return 0;
+    const value = Math.min(depositBalance(deposit), Number(refund.amount) || 0);
+    if (value < 1) return 0;
+    recordMovement(deposit, 'release', value, { reason: refund.reason || null, refundId: refund.id });
+    updateTotals(deposit, Number(deposit.captured_amount), Number(deposit.released_amount) + value);
+    return value;
+  });
+  return tx();
+}
+
+// Deposit share of a refund, as recorded when it was processed
+export function refundDepositPortion(refundId) {
+  return Number(
+    db.prepare("SELECT COALESCE(SUM(amount), 0) AS s FROM deposit_movements WHERE refund_id = ? AND type = 'release'").get(refundId).s
+  );
+}
+
+export function openClaimsAmount(depositId) {
+  return Number(
+    db.prepare("SELECT COALESCE(SUM(amount), 0) AS s FROM damage_claims WHERE deposit_id = ? AND status = 'open'").get(depositId).s
+  );
+}
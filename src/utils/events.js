@@ -1,37 +1,292 @@
-// Simple in-memory Server-Sent Events (SSE) broadcaster
+// Real-time events for signed-in clients, over Server-Sent Events (SSE) or a WebSocket.
 // Usage:
-// - import { addClient, removeClient, broadcast, sseHandler } from './utils/events.js'
-// - app.get('/api/events', sseHandler)
-// - broadcast('event_name', payload)
+// - import { broadcast, bookingChannels, hostChannel } from './utils/events.js'
+// - app.get('/api/events', sseHandler); server.on('upgrade', wsUpgradeHandler)   (WebSocket at /api/ws)
+// - broadcast('event_name', payload, channels)
+//
+// Every event goes to the admin channel plus the channels it names: `user:<id>` (a renter's own
+// bookings, refunds, documents, support tickets), `host:<id>` (bookings on a host's cars, payouts,
+// ledger) and `booking:<id>`. bookingChannels(bookingId) names a booking and its renter and host. A connection
+// listens on the channels of its token: admins on everything, other users on their user and host
+// channels. Renters and hosts may also pick a booking of theirs.
+//
+// Clients may narrow a connection with ?channels=user,host,booking:12 (admins: e.g. host:7) and
+// ?topics=bookings,payouts or single event names (see EVENT_TOPICS); WebSocket clients can change their
+// channels ("rooms") later with subscribe/unsubscribe messages. Events carry ids; a client that
+// reconnects with Last-Event-ID (header, or ?lastEventId) gets what it missed from a bounded in-memory
+// log (SSE_LOG_SIZE, default 500), or a `reset` event when the log no longer reaches back that far
+// and it should reload. Every SSE_HEARTBEAT_SECONDS (default 25) SSE streams get a comment line and
+// WebSockets a ping, and connections end when the token expires.
+//
+// broadcast() goes through the event bus (src/pubsub, EVENT_BUS), so clients of every backend instance
+// get the event. Ids are assigned by the instance the event happened on, which lets a client that
+// reconnects to another instance pick up where it left off.
+
+import db from '../db/index.js';
+import { bearerToken, verifyToken } from '../middleware/auth.js';
+import { INSTANCE_ID, publish, subscribe } from '../pubsub/index.js';
+import { acceptUpgrade, rejectUpgrade } from './websocket.js';
+
+export const EVENT_TOPICS = {
+  bookings: [
+    'booking_created',
+    'booking_requested',
+    'booking_status_changed',
+    'booking_updated',
+    'booking_modification_requested',
+    'booking_modification_updated',
+  ],
+  payments: ['payment_updated'],
+  refunds: ['refund_requested', 'refund_updated'],
+  deposits: ['deposit_updated', 'damage_claim_created', 'damage_claim_updated'],
+  payouts: ['payout_request_created', 'payout_request_updated', 'host_ledger_updated'],
+  verification: ['document_uploaded', 'document_reviewed', 'booking_verification_updated'],
+  reviews: ['review_created', 'review_replied'],
+  messages: ['booking_message_created', 'booking_messages_read'],
+  support: ['ticket_created', 'ticket_updated', 'ticket_message_added'],
+};
+
+const ADMIN_CHANNEL = 'admin';
+const WS_PATH = '/api/ws';
 
 const clients = new Set();
+const log = [];
+let sequence = 0;
+let heartbeat = null;
+
+function intEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function topicOf(event) {
+  return Object.keys(EVENT_TOPICS).find((topic) => EVENT_TOPICS[topic].includes(event)) || 'other';
+}
+
+export function userChannel(userId) {
+  return `user:${Number(userId)}`;
+}
 
-export function addClient(res) {
-  clients.add(res);
-  res.on('close', () => {
-    clients.delete(res);
+export function hostChannel(hostId) {
+  return `host:${Number(hostId)}`;
+}
+
+export function bookingChannel(bookingId) {
+  return `booking:${Number(bookingId)}`;
+}
+
+function bookingParties(bookingId) {
+  return db.prepare(`
+    SELECT b.user_id, c.host_id FROM bookings b LEFT JOIN cars c ON c.id = b.car_id WHERE b.id = ?
+  `).get(bookingId);
+}
+
+// The booking's own channel, its renter's user channel and the car host's host channel
+export function bookingChannels(bookingId) {
+  const row = bookingParties(bookingId);
+  if (!row) return [];
+  return [bookingChannel(bookingId), userChannel(row.user_id), ...(row.host_id != null ? [hostChannel(row.host_id)] : [])];
+}
+
+function delivers(client, entry) {
+  if (!entry.channels.some((channel) => client.channels.has(channel))) return false;
+  return !client.topics || client.topics.has(entry.topic) || client.topics.has(entry.event);
+}
+
+export function broadcast(event, data, channels = []) {
+  publish({
+    // `<instance>-<sequence>`: ids from before a restart are unknown afterwards
+    id: `${INSTANCE_ID}-${++sequence}`,
+    event,
+    channels: [ADMIN_CHANNEL, ...new Set(channels.filter(Boolean))],
+    data,
+    ts: Date.now(),
   });
 }
 
-export function broadcast(event, data) {
-  const payload = JSON.stringify({ event, data, ts: Date.now() });
-  for (const res of clients) {
+// Events of every instance, this one's included, arrive here from the bus
+function deliver(message) {
+  const entry = {
+    id: message.id,
+    event: message.event,
+    topic: topicOf(message.event),
+    channels: message.channels,
+    message: { event: message.event, data: message.data, ts: message.ts },
+  };
+  log.push(entry);
+  if (log.length > intEnv('SSE_LOG_SIZE', 500)) log.shift();
+  for (const client of clients) {
+    if (!delivers(client, entry)) continue;
     try {
-      res.write(`event: ${event}\n`);
-      res.write(`data: ${payload}\n\n`);
+      client.send(entry);
     } catch (_) {
       // drop broken connection
-      clients.delete(res);
+      clients.delete(client);
     }
   }
 }
 
+// The channel `name` stands for when `user` may listen on it, else null
+function allowedChannel(user, name) {
+  if (user.role === 'admin') {
+    if (name === 'all' || name === ADMIN_CHANNEL) return ADMIN_CHANNEL;
+    return /^(user|host|booking):\d+$/.test(name) ? name : null;
+  }
+  const own = { user: userChannel(user.id), host: hostChannel(user.id) };
+  const channel = own[name] || name;
+  if (Object.values(own).includes(channel)) return channel;
+  const booking = /^booking:(\d+)$/.exec(channel);
+  const parties = booking && bookingParties(booking[1]);
+  if (parties && [parties.user_id, parties.host_id].some((id) => id != null && Number(id) === Number(user.id))) return channel;
+  return null;
+}
+
+// Channels a token listens on by default, or the allowed ones of those requested
+function channelsFor(user, requested) {
+  if (!requested.length) return new Set(user.role === 'admin' ? [ADMIN_CHANNEL] : [userChannel(user.id), hostChannel(user.id)]);
+  return new Set(requested.map((name) => allowedChannel(user, name)).filter(Boolean));
+}
+
+function listParam(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+// Send what a reconnecting client missed; false when `lastEventId` is no longer in the log
+function replay(client, lastEventId) {
+  let index = log.length - 1;
+  while (index >= 0 && log[index].id !== String(lastEventId)) index -= 1;
+  if (index < 0) return false;
+  for (const entry of log.slice(index + 1)) {
+    if (delivers(client, entry)) client.send(entry);
+  }
+  return true;
+}
+
+function startHeartbeat() {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    for (const client of clients) {
+      try {
+        client.ping();
+      } catch (_) {
+        clients.delete(client);
+      }
+    }
+  }, intEnv('SSE_HEARTBEAT_SECONDS', 25) * 1000);
+  heartbeat.unref?.();
+}
+
+// Replay, register and expire a connected client. `client` has user, channels, topics, send(entry),
+// reset(), ping() and end(); returns the cleanup to run when the connection closes.
+function connect(client, lastEventId) {
+  if (lastEventId && !replay(client, lastEventId)) client.reset();
+  clients.add(client);
+  startHeartbeat();
+  // A connection outliving its token would keep delivering to a signed-out user
+  const expiry = client.user.exp
+    ? setTimeout(() => client.end(), Math.min(Math.max(0, client.user.exp * 1000 - Date.now()), 2 ** 31 - 1))
+    : null;
+  expiry?.unref?.();
+  return () => {
+    clients.delete(client);
+    if (expiry) clearTimeout(expiry);
+  };
+}
+
 export function sseHandler(req, res) {
+  const user = verifyToken(req.query.token || bearerToken(req));
+  if (!user) return res.status(401).json({ error: 'Unauthorized' });
+  const channels = channelsFor(user, listParam(req.query.channels));
+  if (!channels.size) return res.status(403).json({ error: 'No channels you may listen on' });
+  const topics = listParam(req.query.topics);
+
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.flushHeaders?.();
-  res.write(`event: connected\n`);
-  res.write(`data: {"ok":true}\n\n`);
-  addClient(res);
+  res.write('retry: 5000\n\n');
+  res.write('event: connected\n');
+  res.write(`data: ${JSON.stringify({ ok: true, channels: [...channels], topics: topics.length ? topics : null })}\n\n`);
+
+  const client = {
+    user,
+    channels,
+    topics: topics.length ? new Set(topics) : null,
+    send: (entry) => res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.message)}\n\n`),
+    reset: () => res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'missed events are no longer available' })}\n\n`),
+    ping: () => res.write(': ping\n\n'),
+    end: () => res.end(),
+  };
+  const cleanup = connect(client, req.get('last-event-id') || req.query.lastEventId);
+  res.on('close', cleanup);
+}
+
+// Messages from a WebSocket client:
+//   { type: 'subscribe', rooms: [...], topics? }  -> { type: 'subscribed', rooms, topics, rejected }
+//   { type: 'unsubscribe', rooms: [...] }         -> { type: 'subscribed', rooms, topics, rejected: [] }
+//   { type: 'ping' }                              -> { type: 'pong', ts }
+function wsMessage(ws, client, text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch (_) {
+    return ws.send(JSON.stringify({ type: 'error', error: 'Messages must be JSON' }));
+  }
+  const rooms = Array.isArray(msg?.rooms) ? msg.rooms.map(String) : [];
+  const subscribed = (rejected = []) => ws.send(JSON.stringify({
+    type: 'subscribed',
+    rooms: [...client.channels],
+    topics: client.topics ? [...client.topics] : null,
+    rejected,
+  }));
+  switch (msg?.type) {
+    case 'subscribe': {
+      const rejected = rooms.filter((room) => {
+        const channel = allowedChannel(client.user, room);
+        if (channel) client.channels.add(channel);
+        return !channel;
+      });
+      if (Array.isArray(msg.topics)) client.topics = msg.topics.length ? new Set(msg.topics.map(String)) : null;
+      return subscribed(rejected);
+    }
+    case 'unsubscribe':
+      rooms.forEach((room) => client.channels.delete(allowedChannel(client.user, room) || room));
+      return subscribed();
+    case 'ping':
+      return ws.send(JSON.stringify({ type: 'pong', ts: Date.now() }));
+    default:
+      return ws.send(JSON.stringify({ type: 'error', error: `Unknown message type: ${msg?.type}` }));
+  }
 }
+
+// HTTP server 'upgrade' listener for WebSocket clients at /api/ws. Same token, channels, topics and
+// events as the SSE stream; events arrive as { type: 'event', id, event, data, ts }.
+export function wsUpgradeHandler(req, socket, head) {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== WS_PATH) return rejectUpgrade(socket, 404, 'Route not found');
+  const user = verifyToken(url.searchParams.get('token') || bearerToken(req));
+  if (!user) return rejectUpgrade(socket, 401, 'Unauthorized');
+  const channels = channelsFor(user, listParam(url.searchParams.get('channels') || url.searchParams.get('rooms')));
+  if (!channels.size) return rejectUpgrade(socket, 403, 'No channels you may listen on');
+  const topics = listParam(url.searchParams.get('topics'));
+
+  const ws = acceptUpgrade(req, socket, head);
+  if (!ws) return undefined;
+  ws.send(JSON.stringify({ type: 'connected', rooms: [...channels], topics: topics.length ? topics : null }));
+
+  const client = {
+    user,
+    channels,
+    topics: topics.length ? new Set(topics) : null,
+    send: (entry) => ws.send(JSON.stringify({ type: 'event', id: entry.id, ...entry.message })),
+    reset: () => ws.send(JSON.stringify({ type: 'reset', reason: 'missed events are no longer available' })),
+    ping: () => ws.heartbeat(),
+    end: () => ws.close(4001, 'Token expired'),
+  };
+  const cleanup = connect(client, url.searchParams.get('lastEventId'));
+  ws.on('message', (text) => wsMessage(ws, client, text));
+  ws.on('close', cleanup);
+  return undefined;
+}
+
+subscribe(deliver);
@@ -0,0 +1,83 @@
+// Admin-managed fee configuration.
+// A rule is one line of the price: platform `commission` (taken from the host's rental),
+// a renter `fee` (charged on top of the rental) or a `tax` (percent of rental + fees, e.g. GST).
+// Rules are keyed by `code`; for each code the most specific scope wins (host > city > global),
+// and an inactive override switches the code off for that scope.
+// PRICING_SERVICE_FEE / PRICING_TAX_RATE still apply as global defaults when no rule uses their code.
+
+import db from '../db/index.js';
+
+export const FEE_KINDS = ['commission', 'fee', 'tax'];
+export const FEE_SCOPES = ['global', 'city', 'host'];
+export const FEE_CALCS = ['percent', 'flat'];
+
+const SCOPE_RANK = { global: 1, city: 2, host: 3 };
+const KIND_ORDER = { fee: 1, tax: 2, commission: 3 };
+
+export function toFeeRule(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    scope: row.scope,
+    scopeValue: row.scope_value || null,
+    code: row.code,
+    kind: row.kind,
+    calc: row.calc,
+    rate: row.rate,
+    label: row.label || null,
+    active: !!row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Stored form of a scope value: cities compare case-insensitively, hosts by id
+export function normalizeScopeValue(scope, value) {
+  if (scope === 'global') return '';
+  if (scope === 'city') return String(value ?? '').trim().toLowerCase();
+  return String(Number(value) || '');
+}
+
+function numEnv(name) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+// Defaults from the environment, used for codes no stored rule mentions
+function envFeeRules() {
+  const rules = [];
+  const serviceFee = numEnv('PRICING_SERVICE_FEE');
+  const taxRate = numEnv('PRICING_TAX_RATE');
+  if (serviceFee) rules.push({ id: null, scope: 'env', code: 'service_fee', kind: 'fee', calc: 'flat', rate: serviceFee, label: 'Service fee' });
+  if (taxRate) rules.push({ id: null, scope: 'env', code: 'tax', kind: 'tax', calc: 'percent', rate: taxRate, label: 'Tax' });
+  return rules;
+}
+
+// Rules that apply to a car, one per code, in price-line order
+export function resolveFeeRules(car) {
+  const rows = db.prepare(`
+    SELECT * FROM fee_rules
+    WHERE scope = 'global'
+       OR (scope = 'city' AND scope_value = ?)
+       OR (scope = 'host' AND scope_value = ?)
+  `).all(normalizeScopeValue('city', car?.city), normalizeScopeValue('host', car?.host_id));
+
+  const byCode = new Map();
+  for (const row of rows) {
+    const current = byCode.get(row.code);
+    if (!current || SCOPE_RANK[row.scope] > SCOPE_RANK[current.scope]) byCode.set(row.code, row);
+  }
+  const rules = Array.from(byCode.values())
+    .filter((r) => r.active)
+    .map((r) => ({ id: r.id, scope: r.scope, code: r.code, kind: r.kind, calc: r.calc, rate: Number(r.rate) || 0, label: r.label || null }));
+  for (const r of envFeeRules()) {
+    if (!byCode.has(r.code)) rules.push(r);
+  }
+  return rules.sort((a, b) => KIND_ORDER[a.kind] - KIND_ORDER[b.kind] || a.code.localeCompare(b.code));
+}
+
+// Amount of one rule against its base, in whole rupees
+export function feeAmount(rule, base) {
+  if (rule.calc === 'flat') return Math.round(rule.rate);
+  return Math.round((base * rule.rate) / 100);
+}
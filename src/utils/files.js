@@ -1,17 +1,30 @@
 import fs from 'fs';
-import path from 'path';
+import { saveObject } from '../storage/index.js';
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/jpg': 'jpg', 'image/webp': 'webp', 'application/pdf': 'pdf' };
 
 export function ensureDir(dirPath) {
   if (!fs.existsSync(dirPath)) fs.mkdirSync(dirPath, { recursive: true });
 }
 
-export function saveDataUrl(dataUrl, destPath) {
+// Decode a base64 data URL into { mime, buffer }, or null when it is not one
+export function parseDataUrl(dataUrl) {
   if (!dataUrl || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) return null;
   const match = dataUrl.match(/^data:(.*?);base64,(.*)$/);
   if (!match) return null;
   const [, mime, b64] = match;
-  const buffer = Buffer.from(b64, 'base64');
-  ensureDir(path.dirname(destPath));
-  fs.writeFileSync(destPath, buffer);
-  return destPath;
+  return { mime: mime.toLowerCase(), buffer: Buffer.from(b64, 'base64') };
+}
+
+// File extension for a data URL's declared type (`png` when unknown)
+export function dataUrlExtension(dataUrl) {
+  return EXTENSIONS[parseDataUrl(dataUrl)?.mime] || 'png';
+}
+
+// Decode a base64 data URL and write it to storage under `key` (e.g. `bookings/12/idFront.png`).
+// Returns the stored path (`uploads/<key>`) or null when the data URL is unreadable.
+export async function saveDataUrl(dataUrl, key) {
+  const parsed = parseDataUrl(dataUrl);
+  if (!parsed) return null;
+  return saveObject(key, parsed.buffer, parsed.mime || undefined);
 }
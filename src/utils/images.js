@@ -0,0 +1,122 @@
+// Car photo pipeline. An upload is checked by its decoded content (not the declared type or file
+// name), limited to IMAGE_MAX_MB (default 8), turned upright from its EXIF orientation and re-encoded
+// as WebP in several widths plus a cropped thumbnail. Re-encoding drops EXIF and other metadata
+// (camera, GPS). Variants are never wider than the original.
+//
+// The stored set (cars.image_variants_json) looks like
+//   { id, original: { type, width, height, bytes }, variants: [{ path, width, height }], thumbnail: { path, width, height } }
+// and cars.image points at the widest variant, so clients that only know `image` keep working.
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { removeObjects, saveObject } from '../storage/index.js';
+
+export const CAR_IMAGE_WIDTHS = [320, 640, 1024, 1600];
+export const CAR_IMAGE_MIN_WIDTH = 320;
+export const CAR_THUMBNAIL = { width: 240, height: 160 };
+
+const FORMAT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+// Decompression-bomb guard: 50 megapixels
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+export function imageMaxBytes() {
+  const mb = Number(process.env.IMAGE_MAX_MB);
+  return Math.floor((Number.isFinite(mb) && mb > 0 ? mb : 8) * 1024 * 1024);
+}
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value || 'null') ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+// Check and resize one photo. `declaredType` is the client's Content-Type or data URL type, which must
+// match the content when given. Returns { original, variants: [{ width, height, data }], thumbnail }
+// or { status, error }.
+export async function processCarImage(buffer, { declaredType = null } = {}) {
+  if (!buffer?.length) return { status: 400, error: 'Image is empty' };
+  if (buffer.length > imageMaxBytes()) {
+    return { status: 413, error: `Image is larger than ${Math.round(imageMaxBytes() / 1024 / 1024)} MB` };
+  }
+
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+  } catch (_) {
+    return { status: 415, error: 'File is not a readable image' };
+  }
+  const type = FORMAT_TYPES[meta.format];
+  if (!type) return { status: 415, error: 'Image must be a JPEG, PNG or WebP' };
+  const declared = declaredType ? String(declaredType).toLowerCase().split(';')[0].trim().replace('image/jpg', 'image/jpeg') : null;
+  if (declared && declared !== 'application/octet-stream' && declared !== type) {
+    return { status: 415, error: `Image content is ${type}, not ${declared}` };
+  }
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = (meta.orientation || 1) >= 5;
+  const width = rotated ? meta.height : meta.width;
+  const height = rotated ? meta.width : meta.height;
+  if (width < CAR_IMAGE_MIN_WIDTH) return { status: 400, error: `Image must be at least ${CAR_IMAGE_MIN_WIDTH}px wide` };
+
+  try {
+    const variants = [];
+    for (const target of CAR_IMAGE_WIDTHS.filter((w) => w <= width)) {
+      const { data, info } = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+        .rotate()
+        .resize({ width: target, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      variants.push({ width: info.width, height: info.height, data });
+    }
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+      .rotate()
+      .resize(CAR_THUMBNAIL.width, CAR_THUMBNAIL.height, { fit: 'cover' })
+      .webp({ quality: 70 })
+      .toBuffer({ resolveWithObject: true });
+    return {
+      original: { type, width, height, bytes: buffer.length },
+      variants,
+      thumbnail: { width: info.width, height: info.height, data },
+    };
+  } catch (_) {
+    return { status: 415, error: 'File is not a readable image' };
+  }
+}
+
+// Write a processed photo under cars/<carId>/. Returns { image, variantsJson } for the cars row.
+export async function storeCarImage(carId, processed) {
+  const id = `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+  const variants = [];
+  for (const v of processed.variants) {
+    const path = await saveObject(`cars/${carId}/${id}-${v.width}w.webp`, v.data, 'image/webp');
+    variants.push({ path, width: v.width, height: v.height });
+  }
+  const t = processed.thumbnail;
+  const thumbnail = { path: await saveObject(`cars/${carId}/${id}-thumb.webp`, t.data, 'image/webp'), width: t.width, height: t.height };
+  const set = { id, original: processed.original, variants, thumbnail };
+  return { image: variants[variants.length - 1].path, variantsJson: JSON.stringify(set) };
+}
+
+// Best-effort removal of a replaced photo's files
+export async function removeCarImage(carId, variantsJson) {
+  const set = parseJson(variantsJson, null);
+  if (!set?.id) return;
+  try {
+    await removeObjects(`cars/${carId}/${set.id}-`);
+  } catch (e) {
+    console.warn('[images] could not remove old photo of car', carId, e?.message || e);
+  }
+}
+
+// Public shape of a stored set (a JSON string from SQLite or the object mirrored to Mongo):
+// { imageSet: [{ url, width, height }] narrowest first, thumbnail }
+export function toImageSet(value) {
+  const set = typeof value === 'string' ? parseJson(value, null) : value;
+  if (!set?.variants?.length) return { imageSet: [], thumbnail: null };
+  return {
+    imageSet: set.variants.map((v) => ({ url: `/${v.path}`, width: v.width, height: v.height })),
+    thumbnail: set.thumbnail ? `/${set.thumbnail.path}` : null,
+  };
+}
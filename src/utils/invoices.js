@@ -0,0 +1,380 @@
+// Invoices and credit notes for bookings.
+// An invoice is issued when a booking is confirmed, with the line items of its price quote
+// (rental days x price per day, fees, taxes, deposit). Refunds are documented with credit notes
+// against it; a modified booking gets its invoice fully credited and a fresh one issued.
+// Numbers are sequential per series and year: INV-2026-000001, CN-2026-000001.
+
+import db from '../db/index.js';
+import { createPdf } from './pdf.js';
+
+export const INVOICE_KINDS = ['invoice', 'credit_note'];
+
+const SERIES_PREFIX = { invoice: 'INV', credit_note: 'CN' };
+
+// Statuses in which a booking is billable
+const INVOICEABLE_STATUSES = ['confirmed', 'active', 'completed', 'no_show'];
+
+export function getInvoiceIssuer() {
+  return {
+    name: process.env.INVOICE_COMPANY_NAME || 'Gomel Cars',
+    address: process.env.INVOICE_COMPANY_ADDRESS || '',
+    taxId: process.env.INVOICE_TAX_ID || '',
+    email: process.env.INVOICE_EMAIL || '',
+  };
+}
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value || 'null') ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+export function toInvoice(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    number: row.number,
+    kind: row.kind,
+    status: row.status,
+    bookingId: row.booking_id,
+    userId: row.user_id,
+    hostId: row.host_id || null,
+    originalInvoiceId: row.original_invoice_id || null,
+    refundId: row.refund_id || null,
+    currency: row.currency,
+    lines: parseJson(row.lines_json, []),
+    subtotal: row.subtotal,
+    taxes: row.taxes,
+    deposit: row.deposit,
+    total: row.total,
+    reason: row.reason || null,
+    details: parseJson(row.details_json, {}),
+    issuedAt: row.issued_at,
+  };
+}
+
+function nextInvoiceNumber(kind, date = new Date()) {
+  const series = `${SERIES_PREFIX[kind]}-${date.getUTCFullYear()}`;
+  db.prepare(`
+    INSERT INTO invoice_sequences (series, last_value) VALUES (?, 1)
+    ON CONFLICT(series) DO UPDATE SET last_value = last_value + 1
+  `).run(series);
+  const { last_value: n } = db.prepare('SELECT last_value FROM invoice_sequences WHERE series = ?').get(series);
+  return `${series}-${String(n).padStart(6, '0')}`;
+}
+
+function bookingContext(bookingId) {
+  return db.prepare(`
+    SELECT b.*, c.host_id AS host_id, c.name AS car_name, c.brand AS car_brand, c.price_per_day AS car_price_per_day,
+           u.full_name AS user_full_name, u.email AS user_email, u.mobile AS user_mobile
+    FROM bookings b
+    LEFT JOIN cars c ON c.id = b.car_id
+    LEFT JOIN users u ON u.id = b.user_id
+    WHERE b.id = ?
+  `).get(bookingId);
+}
+
+// Invoice lines from the booking's quote snapshot, or from total_cost for older bookings
+export function invoiceLinesForBooking(booking) {
+  const quote = parseJson(booking.price_breakdown_json, null);
+  const lines = [];
+  if (quote?.lines) {
+    const kinds = new Map((quote.feeRules || []).map((r) => [r.code, r.kind]));
+    for (const l of quote.lines) {
+      if (l.code === 'rental') {
+        lines.push({ code: 'rental', kind: 'rental', label: 'Car rental', quantity: quote.days, unitPrice: quote.pricePerDay, amount: l.amount });
+      } else {
+        const kind = kinds.get(l.code) || (l.code === 'tax' ? 'tax' : 'fee');
+        lines.push({ code: l.code, kind, label: l.label, amount: l.amount });
+      }
+    }
+    if (quote.deposit) lines.push({ code: 'deposit', kind: 'deposit', label: 'Refundable security deposit', amount: quote.deposit });
+  } else {
+    const days = Number(booking.days) || 1;
+    const amount = Number(booking.total_cost) || 0;
+    lines.push({ code: 'rental', kind: 'rental', label: 'Car rental', quantity: days, unitPrice: Math.round(amount / days), amount });
+  }
+  return { lines, currency: quote?.currency || 'INR' };
+}
+
+function totalsOf(lines) {
+  const sum = (kinds) => lines.filter((l) => kinds.includes(l.kind)).reduce((a, l) => a + Number(l.amount), 0);
+  const subtotal = sum(['rental', 'fee']);
+  const taxes = sum(['tax']);
+  const deposit = sum(['deposit']);
+  return { subtotal, taxes, deposit, total: subtotal + taxes + deposit };
+}
+
+function insertInvoice(fields) {
+  const info = db.prepare(`
+    INSERT INTO invoices (number, kind, status, booking_id, user_id, host_id, original_invoice_id, refund_id, currency,
+      lines_json, details_json, subtotal, taxes, deposit, total, reason)
+    VALUES (@number, @kind, 'issued', @bookingId, @userId, @hostId, @originalInvoiceId, @refundId, @currency,
+      @linesJson, @detailsJson, @subtotal, @taxes, @deposit, @total, @reason)
+  `).run(fields);
+  return db.prepare('SELECT * FROM invoices WHERE id = ?').get(info.lastInsertRowid);
+}
+
+// The invoice currently in force for a booking (not yet fully credited)
+export function currentBookingInvoice(bookingId) {
+  return db.prepare("SELECT * FROM invoices WHERE booking_id = ? AND kind = 'invoice' AND status = 'issued' ORDER BY id DESC LIMIT 1")
+    .get(bookingId);
+}
+
+// Issue the booking's invoice once. `force` issues a new one even if the booking was invoiced
+// before (used after its previous invoice was credited for a modification).
+export function issueBookingInvoice(bookingId, { force = false, reason = null } = {}) {
+  const tx = db.transaction(() => {
+    const booking = bookingContext(bookingId);
+    if (!booking) return null;
+    const existing = currentBookingInvoice(bookingId);
+    if (existing) return existing;
+    if (!force && db.prepare("SELECT 1 FROM invoices WHERE booking_id = ? AND kind = 'invoice'").get(bookingId)) return null;
+
+    const { lines, currency } = invoiceLinesForBooking(booking);
+    const details = {
+      billedTo: { name: booking.user_full_name || null, email: booking.user_email || null, mobile: booking.user_mobile || null },
+      car: { id: booking.car_id, name: booking.car_name || null, brand: booking.car_brand || null },
+      pickupDate: booking.pickup_date,
+      returnDate: booking.return_date,
+      issuer: getInvoiceIssuer(),
+    };
+    return insertInvoice({
+      number: nextInvoiceNumber('invoice'),
+      kind: 'invoice',
+      bookingId: booking.id,
+      userId: booking.user_id,
+      hostId: booking.host_id ?? null,
+      originalInvoiceId: null,
+      refundId: null,
+      currency,
+      linesJson: JSON.stringify(lines),
+      detailsJson: JSON.stringify(details),
+      ...totalsOf(lines),
+      reason,
+    });
+  });
+  return tx.immediate();
+}
+
+// Invoice a booking that is billable but has none yet (e.g. confirmed before invoicing existed)
+export function ensureBookingInvoice(booking) {
+  if (!booking || !INVOICEABLE_STATUSES.includes(booking.status || 'confirmed')) return null;
+  return issueBookingInvoice(booking.id);
+}
+
+export function creditedAmount(invoiceId) {
+  return Number(
+    db.prepare("SELECT COALESCE(SUM(total), 0) AS s FROM invoices WHERE original_invoice_id = ? AND kind = 'credit_note'").get(invoiceId).s
+  );
+}
+
+// Credit note lines for `amount`: the deposit part (`depositAmount`, or as much of the deposit
+// as possible when not given) first, the rest split pro rata over rental, fee and tax lines
+function creditLines(invoiceLines, amount, depositAmount = null) {
+  const lines = [];
+  let rest = amount;
+  const depositLine = invoiceLines.find((l) => l.kind === 'deposit');
+  if (depositLine && rest > 0) {
+    const d = Math.min(rest, Number(depositLine.amount), depositAmount ?? Infinity);
+    if (d > 0) lines.push({ code: 'deposit', kind: 'deposit', label: 'Security deposit returned', amount: d });
+    rest -= d;
+  }
+  const base = invoiceLines.filter((l) => l.kind !== 'deposit' && Number(l.amount) > 0);
+  const baseTotal = base.reduce((a, l) => a + Number(l.amount), 0);
+  if (rest > 0 && baseTotal > 0) {
+    let allocated = 0;
+    base.forEach((l, i) => {
+      const share = i === base.length - 1 ? rest - allocated : Math.round((Number(l.amount) * rest) / baseTotal);
+      allocated += share;
+      if (share) lines.push({ code: l.code, kind: l.kind, label: l.label, amount: share });
+    });
+  }
+  return lines;
+}
+
+// Credit (part of) an invoice. Returns the credit note row, or null when nothing is left to credit.
+export function issueCreditNote(invoiceId, { amount = null, reason = null, refundId = null, depositAmount = null } = {}) {
+  const tx = db.transaction(() => {
+    const invoice = db.prepare("SELECT * FROM invoices WHERE id = ? AND kind = 'invoice'").get(invoiceId);
+    if (!invoice) return null;
+    const remaining = Number(invoice.total) - creditedAmount(invoice.id);
+    const value = Math.min(remaining, amount == null ? remaining : Math.round(Number(amount)));
+    if (!(value > 0)) return null;
+
+    const lines = creditLines(parseJson(invoice.lines_json, []), value, depositAmount);
+    const note = insertInvoice({
+      number: nextInvoiceNumber('credit_note'),
+      kind: 'credit_note',
+      bookingId: invoice.booking_id,
+      userId: invoice.user_id,
+      hostId: invoice.host_id,
+      originalInvoiceId: invoice.id,
+      refundId,
+      currency: invoice.currency,
+      linesJson: JSON.stringify(lines),
+      detailsJson: JSON.stringify({ ...parseJson(invoice.details_json, {}), originalNumber: invoice.number, issuer: getInvoiceIssuer() }),
+      ...totalsOf(lines),
+      reason,
+    });
+    if (value >= remaining) db.prepare("UPDATE invoices SET status = 'credited' WHERE id = ?").run(invoice.id);
+    return note;
+  });
+  return tx.immediate();
+}
+
+// Credit note for a processed refund, against the booking's current invoice.
+// `depositAmount` is the part of the refund that returned the security deposit.
+export function issueRefundCreditNote(refund, { depositAmount = null } = {}) {
+  const invoice = currentBookingInvoice(refund.booking_id);
+  if (!invoice) return null;
+  const existing = db.prepare("SELECT * FROM invoices WHERE refund_id = ? AND kind = 'credit_note'").get(refund.id);
+  if (existing) return existing;
+  return issueCreditNote(invoice.id, { amount: refund.amount, reason: refund.reason || 'refund', refundId: refund.id, depositAmount });
+}
+
+// After a booking changes (dates, price): credit the old invoice in full and issue a new one
+export function reissueBookingInvoice(bookingId, { reason = 'booking modified' } = {}) {
+  const current = currentBookingInvoice(bookingId);
+  if (!current) return { creditNote: null, invoice: null };
+  const creditNote = issueCreditNote(current.id, { reason });
+  const invoice = issueBookingInvoice(bookingId, { force: true, reason });
+  return { creditNote, invoice };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+export function formatMoney(amount, currency = 'INR') {
+  return `${currency} ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function documentTitle(invoice) {
+  return invoice.kind === 'credit_note' ? 'Credit note' : 'Tax invoice';
+}
+
+export function renderInvoiceHtml(row) {
+  const inv = toInvoice(row);
+  const { issuer = getInvoiceIssuer(), billedTo = {}, car = {} } = inv.details;
+  const money = (n) => escapeHtml(formatMoney(n, inv.currency));
+  const rows = inv.lines.map((l) => `
+        <tr>
+          <td>${escapeHtml(l.label)}</td>
+          <td class="num">${l.quantity != null ? `${escapeHtml(l.quantity)} x ${money(l.unitPrice)}` : ''}</td>
+          <td class="num">${money(l.amount)}</td>
+        </tr>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(documentTitle(inv))} ${escapeHtml(inv.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 32px auto; padding: 0 16px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .meta, .parties { display: flex; justify-content: space-between; margin: 16px 0; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; white-space: nowrap; }
+    tfoot td { font-weight: bold; }
+    .muted { color: #666; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(documentTitle(inv))}</h1>
+  <div class="muted">${escapeHtml(inv.number)}${inv.details.originalNumber ? ` &middot; against invoice ${escapeHtml(inv.details.originalNumber)}` : ''}</div>
+  <div class="meta">
+    <div>Issued: ${escapeHtml(String(inv.issuedAt).slice(0, 10))}</div>
+    <div>Booking #${escapeHtml(inv.bookingId)}</div>
+  </div>
+  <div class="parties">
+    <div>
+      <strong>${escapeHtml(issuer.name)}</strong><br>
+      ${issuer.address ? `${escapeHtml(issuer.address)}<br>` : ''}
+      ${issuer.taxId ? `GSTIN: ${escapeHtml(issuer.taxId)}<br>` : ''}
+      ${issuer.email ? escapeHtml(issuer.email) : ''}
+    </div>
+    <div>
+      <strong>Billed to</strong><br>
+      ${escapeHtml(billedTo.name || billedTo.email || `User #${inv.userId}`)}<br>
+      ${billedTo.email ? `${escapeHtml(billedTo.email)}<br>` : ''}
+      ${billedTo.mobile ? escapeHtml(billedTo.mobile) : ''}
+    </div>
+  </div>
+  <div>${escapeHtml([car.brand, car.name].filter(Boolean).join(' ') || `Car #${car.id}`)}: ${escapeHtml(inv.details.pickupDate)} to ${escapeHtml(inv.details.returnDate)}</div>
+  ${inv.reason ? `<div class="muted">Reason: ${escapeHtml(inv.reason)}</div>` : ''}
+  <table>
+    <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Amount</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="2">Subtotal</td><td class="num">${money(inv.subtotal)}</td></tr>
+      <tr><td colspan="2">Taxes</td><td class="num">${money(inv.taxes)}</td></tr>
+      ${inv.deposit ? `<tr><td colspan="2">Deposit</td><td class="num">${money(inv.deposit)}</td></tr>` : ''}
+      <tr><td colspan="2">${inv.kind === 'credit_note' ? 'Total credited' : 'Total'}</td><td class="num">${money(inv.total)}</td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+}
+
+export function renderInvoicePdf(row) {
+  const inv = toInvoice(row);
+  const { issuer = getInvoiceIssuer(), billedTo = {}, car = {} } = inv.details;
+  const money = (n) => formatMoney(n, inv.currency);
+  const pdf = createPdf();
+  const left = 50;
+  const right = pdf.width - 50;
+
+  pdf.text(left, 60, documentTitle(inv), { size: 20, bold: true });
+  pdf.text(left, 80, inv.details.originalNumber ? `${inv.number} (against invoice ${inv.details.originalNumber})` : inv.number);
+  pdf.text(right, 60, `Issued: ${String(inv.issuedAt).slice(0, 10)}`, { align: 'right' });
+  pdf.text(right, 80, `Booking #${inv.bookingId}`, { align: 'right' });
+
+  let y = 120;
+  pdf.text(left, y, issuer.name, { bold: true });
+  pdf.text(320, y, 'Billed to', { bold: true });
+  const issuerLines = [issuer.address, issuer.taxId && `GSTIN: ${issuer.taxId}`, issuer.email].filter(Boolean);
+  const buyerLines = [billedTo.name || billedTo.email || `User #${inv.userId}`, billedTo.name && billedTo.email, billedTo.mobile].filter(Boolean);
+  for (let i = 0; i < Math.max(issuerLines.length, buyerLines.length); i += 1) {
+    y += 14;
+    if (issuerLines[i]) pdf.text(left, y, issuerLines[i]);
+    if (buyerLines[i]) pdf.text(320, y, buyerLines[i]);
+  }
+
+  y += 30;
+  const carName = [car.brand, car.name].filter(Boolean).join(' ') || `Car #${car.id}`;
+  pdf.text(left, y, `${carName}: ${inv.details.pickupDate} to ${inv.details.returnDate}`);
+  if (inv.reason) pdf.text(left, (y += 14), `Reason: ${inv.reason}`);
+
+  y += 30;
+  pdf.text(left, y, 'Item', { bold: true });
+  pdf.text(400, y, 'Qty', { bold: true, align: 'right' });
+  pdf.text(right, y, 'Amount', { bold: true, align: 'right' });
+  pdf.line(left, y + 6, right, y + 6);
+  for (const l of inv.lines) {
+    y += 20;
+    if (y > pdf.height - 120) {
+      pdf.addPage();
+      y = 60;
+    }
+    pdf.text(left, y, l.label);
+    if (l.quantity != null) pdf.text(400, y, `${l.quantity} x ${money(l.unitPrice)}`, { align: 'right' });
+    pdf.text(right, y, money(l.amount), { align: 'right' });
+  }
+  pdf.line(left, y + 8, right, y + 8);
+
+  const totals = [['Subtotal', inv.subtotal], ['Taxes', inv.taxes]];
+  if (inv.deposit) totals.push(['Deposit', inv.deposit]);
+  totals.push([inv.kind === 'credit_note' ? 'Total credited' : 'Total', inv.total]);
+  totals.forEach(([label, amount], i) => {
+    y += 20;
+    const bold = i === totals.length - 1;
+    pdf.text(400, y, label, { bold, align: 'right' });
+    pdf.text(right, y, money(amount), { bold, align: 'right' });
+  });
+  return pdf.toBuffer();
+}
@@ -0,0 +1,213 @@
+// Host earnings ledger.
+// Signed entries per host: booking revenue (+), platform commission (-), the host's share of
+// refunds (-), admin adjustments and damages captured from deposits (+/-) and payouts (-).
+// The ledger is brought up to date from bookings, refunds, deposit captures and approved payout
+// requests by syncHostLedger(), which is idempotent, so it also back-fills history from before
+// the ledger existed.
+
+import db from '../db/index.js';
+import { bookingHostEarnings } from './pricing.js';
+import { DEPOSIT_RELEASE_REASON, refundDepositPortion, getBookingDeposit, depositBalance } from './deposits.js';
+import { MODIFICATION_REFUND_REASON } from './refunds.js';
+
+// Refunds that never touch the host's earnings: returned deposits, and price differences of
+// modified bookings (their revenue is booked from the changed quote)
+const NON_HOST_REFUND_REASONS = [DEPOSIT_RELEASE_REASON, MODIFICATION_REFUND_REASON];
+
+export const LEDGER_ENTRY_TYPES = ['booking_revenue', 'commission', 'refund', 'adjustment', 'payout'];
+
+export function toLedgerEntry(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    hostId: row.host_id,
+    type: row.entry_type,
+    amount: row.amount,
+    bookingId: row.booking_id || null,
+    refundId: row.refund_id || null,
+    payoutRequestId: row.payout_request_id || null,
+    description: row.description || null,
+    createdAt: row.created_at,
+  };
+}
+
+function quoteOf(booking) {
+  try {
+    return JSON.parse(booking?.price_breakdown_json || 'null');
+  } catch (_) {
+    return null;
+  }
+}
+
+// Gross rental revenue on a booking, before commission
+function bookingRevenue(booking) {
+  const q = quoteOf(booking);
+  return Number(q?.subtotal ?? booking?.total_cost) || 0;
+}
+
+// The part of a refund that comes out of the host's earnings. Whatever returned the security
+// deposit (`depositAmount`) is not the host's; the rest is taken from the booking total, pro rata
+// to the host's share of it.
+export function hostShareOfRefund(booking, refundAmount, depositAmount = 0) {
+  const q = quoteOf(booking);
+  const total = Number(q?.total ?? booking?.total_cost) || 0;
+  if (total <= 0) return 0;
+  const earnings = bookingHostEarnings(booking);
+  const fromTotal = Math.max(0, (Number(refundAmount) || 0) - (Number(depositAmount) || 0));
+  return Math.round((Math.min(fromTotal, total) * earnings) / total);
+}
+
+// Host share of a refund still waiting for approval; its deposit part is estimated the way
+// processing will book it (all of a deposit release, the deposit first on a cancellation)
+function openRefundHostShare(r) {
+  if (NON_HOST_REFUND_REASONS.includes(r.refund_reason)) return 0;
+  const deposit = r.status === 'cancelled' ? depositBalance(getBookingDeposit(r.id)) : 0;
+  return hostShareOfRefund(r, r.refund_amount, Math.min(deposit, Number(r.refund_amount) || 0));
+}
+
+const insertEntry = () => db.prepare(`
+  INSERT OR IGNORE INTO host_ledger (host_id, entry_type, amount, booking_id, refund_id, payout_request_id, deposit_movement_id, description, created_by)
+  VALUES (@hostId, @type, @amount, @bookingId, @refundId, @payoutRequestId, @depositMovementId, @description, @createdBy)
+`);
+
+function entry(fields) {
+  return { bookingId: null, refundId: null, payoutRequestId: null, depositMovementId: null, description: null, createdBy: null, ...fields };
+}
+
+export function syncHostLedger(hostId) {
+  const insert = insertEntry();
+  const tx = db.transaction(() => {
+    // Revenue is earned once a paid trip is over, or when a paid booking is cancelled
+    // (refunds to the renter are then debited separately); money never collected is never owed
+    const settled = db.prepare(`
+      SELECT b.* FROM bookings b
+      JOIN cars c ON c.id = b.car_id
+      WHERE c.host_id = ?
+        AND (
+          (b.status IN ('completed', 'no_show') AND (
+            b.payment_status IN ('paid', 'balance_due')
+            OR EXISTS (SELECT 1 FROM payments p WHERE p.booking_id = b.id AND p.status = 'paid')
+          ))
+          OR (b.status = 'cancelled' AND EXISTS (SELECT 1 FROM payments p WHERE p.booking_id = b.id AND p.status = 'paid'))
+        )
+        AND NOT EXISTS (SELECT 1 FROM host_ledger l WHERE l.booking_id = b.id AND l.entry_type = 'booking_revenue')
+    `).all(hostId);
+    for (const b of settled) {
+      const revenue = bookingRevenue(b);
+      const commission = revenue - bookingHostEarnings(b);
+      insert.run(entry({ hostId, type: 'booking_revenue', amount: revenue, bookingId: b.id, description: `Booking #${b.id} (${b.status})` }));
+      if (commission > 0) {
+        insert.run(entry({ hostId, type: 'commission', amount: -commission, bookingId: b.id, description: `Platform commission on booking #${b.id}` }));
+      }
+    }
+
+    const refunds = db.prepare(`
+      SELECT r.id AS refund_id, r.amount AS refund_amount, b.*
+      FROM refunds r
+      JOIN bookings b ON b.id = r.booking_id
+      JOIN cars c ON c.id = b.car_id
+      WHERE c.host_id = ? AND r.status = 'processed' AND COALESCE(r.reason, '') NOT IN (?, ?)
+        AND NOT EXISTS (SELECT 1 FROM host_ledger l WHERE l.refund_id = r.id)
+    `).all(hostId, ...NON_HOST_REFUND_REASONS);
+    for (const r of refunds) {
+      const share = hostShareOfRefund(r, r.refund_amount, refundDepositPortion(r.refund_id));
+      insert.run(entry({ hostId, type: 'refund', amount: -share, bookingId: r.id, refundId: r.refund_id, description: `Refund #${r.refund_id} on booking #${r.id}` }));
+    }
+
+    // Damages kept from a renter's deposit compensate the host
+    const captures = db.prepare(`
+      SELECT m.* FROM deposit_movements m
+      JOIN bookings b ON b.id = m.booking_id
+      JOIN cars c ON c.id = b.car_id
+      WHERE c.host_id = ? AND m.type = 'capture'
+        AND NOT EXISTS (SELECT 1 FROM host_ledger l WHERE l.deposit_movement_id = m.id)
+    `).all(hostId);
+    for (const m of captures) {
+      insert.run(entry({
+        hostId,
+        type: 'adjustment',
+        amount: Number(m.amount),
+        bookingId: m.booking_id,
+        depositMovementId: m.id,
+        description: m.claim_id ? `Damage claim #${m.claim_id} captured from deposit` : `Deposit captured on booking #${m.booking_id}`,
+      }));
+    }
+
+    const payouts = db.prepare(`
+      SELECT pr.* FROM payout_requests pr
+      WHERE pr.host_id = ? AND pr.status = 'approved'
+        AND NOT EXISTS (SELECT 1 FROM host_ledger l WHERE l.payout_request_id = pr.id)
+    `).all(hostId);
+    for (const p of payouts) {
+      insert.run(entry({
+        hostId,
+        type: 'payout',
+        amount: -Number(p.amount),
+        bookingId: p.booking_id || null,
+        payoutRequestId: p.id,
+        description: p.booking_id ? `Payout #${p.id} for booking #${p.booking_id}` : `Payout #${p.id}`,
+      }));
+    }
+  });
+  tx();
+}
+
+export function syncAllHostLedgers() {
+  const hosts = db.prepare('SELECT DISTINCT host_id FROM cars WHERE host_id IS NOT NULL').all();
+  hosts.forEach((h) => syncHostLedger(h.host_id));
+}
+
+export function addAdjustment({ hostId, amount, description, createdBy, bookingId = null }) {
+  const info = insertEntry().run(entry({ hostId, type: 'adjustment', amount, bookingId, description, createdBy }));
+  return db.prepare('SELECT * FROM host_ledger WHERE id = ?').get(info.lastInsertRowid);
+}
+
+// Balance and per-booking payable amounts. `available` is what the host may still request:
+// the ledger balance less pending payout requests and the host's share of open refund requests.
+export function hostBalance(hostId) {
+  syncHostLedger(hostId);
+
+  const totals = Object.fromEntries(LEDGER_ENTRY_TYPES.map((t) => [t, 0]));
+  db.prepare('SELECT entry_type, SUM(amount) AS s FROM host_ledger WHERE host_id = ? GROUP BY entry_type')
+    .all(hostId)
+    .forEach((r) => { totals[r.entry_type] = Number(r.s) || 0; });
+  const balance = Object.values(totals).reduce((a, b) => a + b, 0);
+
+  const pending = db.prepare("SELECT booking_id, amount FROM payout_requests WHERE host_id = ? AND status = 'pending'").all(hostId);
+  const openRefunds = db.prepare(`
+    SELECT r.amount AS refund_amount, r.reason AS refund_reason, b.*
+    FROM refunds r
+    JOIN bookings b ON b.id = r.booking_id
+    JOIN cars c ON c.id = b.car_id
+    WHERE c.host_id = ? AND r.status IN ('requested', 'processing')
+  `).all(hostId);
+
+  const bookings = new Map();
+  const slot = (id) => {
+    if (!bookings.has(id)) bookings.set(id, { bookingId: id, net: 0, pendingPayouts: 0, heldForRefunds: 0 });
+    return bookings.get(id);
+  };
+  db.prepare('SELECT booking_id, SUM(amount) AS s FROM host_ledger WHERE host_id = ? AND booking_id IS NOT NULL GROUP BY booking_id')
+    .all(hostId)
+    .forEach((r) => { slot(r.booking_id).net = Number(r.s) || 0; });
+  pending.filter((p) => p.booking_id).forEach((p) => { slot(p.booking_id).pendingPayouts += Number(p.amount); });
+  openRefunds.forEach((r) => {
+    if (bookings.has(r.id)) slot(r.id).heldForRefunds += openRefundHostShare(r);
+  });
+
+  const pendingPayouts = pending.reduce((a, p) => a + Number(p.amount), 0);
+  const heldForRefunds = openRefunds.reduce((a, r) => a + openRefundHostShare(r), 0);
+  const available = Math.max(0, balance - pendingPayouts - heldForRefunds);
+
+  return {
+    hostId,
+    totals,
+    balance,
+    pendingPayouts,
+    heldForRefunds,
+    available,
+    bookings: Array.from(bookings.values())
+      .map((b) => ({ ...b, payable: Math.max(0, Math.min(available, b.net - b.pendingPayouts - b.heldForRefunds)) }))
+      .sort((a, b) => b.bookingId - a.bookingId),
+  };
+}
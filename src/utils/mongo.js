@@ -6,6 +6,13 @@ let _db = null;
 let _ready = false;
 let _error = null;
 
+// Uploaded documents stay in private storage; older bookings kept their data URLs in the verification
+function withoutAttachmentData(verification) {
+  if (!verification || typeof verification !== 'object') return verification ?? null;
+  const { attachmentsData, ...rest } = verification;
+  return rest;
+}
+
 async function ensureConnected() {
   if (_ready) return { ok: true, db: _db };
   const uri = process.env.MONGODB_URI;
@@ -139,12 +146,19 @@ export async function mirrorCarToMongo(carRow) {
       transmission: carRow.transmission || null,
       pricePerDay: Number(carRow.price_per_day ?? carRow.pricePerDay ?? 0),
       rating: Number(carRow.rating ?? 0),
+      ratingCount: Number(carRow.rating_count ?? carRow.ratingCount ?? 0),
       seats: carRow.seats != null ? Number(carRow.seats) : null,
       image: carRow.image || null,
+      imageVariants: carRow.image_variants_json ? JSON.parse(carRow.image_variants_json) : (carRow.imageVariants ?? null),
+      // Public photo entries (see src/utils/carImages.js); only set when the caller passes them
+      ...(Array.isArray(carRow.gallery) ? { gallery: carRow.gallery } : {}),
       city: carRow.city || null,
       brand: carRow.brand || null,
       description: carRow.description || null,
       available: !!(carRow.available ?? (carRow.available === 1)),
+      cancellationPolicy: carRow.cancellation_policy ?? carRow.cancellationPolicy ?? 'moderate',
+      deposit: carRow.deposit_amount ?? carRow.deposit ?? null,
+      bookingMode: carRow.booking_mode ?? carRow.bookingMode ?? 'instant',
       hostId: carRow.host_id ?? carRow.hostId ?? null,
       deleted: !!(carRow.deleted ?? 0),
       createdAt: carRow.created_at || null,
@@ -170,6 +184,98 @@ export async function deleteCarFromMongo(sqliteId) {
   }
 }
 
+export async function mirrorCarBlackoutToMongo(row) {
+  const db = await getMongoDb();
+  if (!db || !row?.id) return { ok: false, skipped: true };
+  try {
+    const doc = {
+      sqliteId: Number(row.id),
+      carId: Number(row.car_id),
+      startDate: row.start_date,
+      endDate: row.end_date,
+      kind: row.kind || 'other',
+      reason: row.reason || null,
+      createdBy: row.created_by ?? null,
+      createdAt: row.created_at || null,
+    };
+    await db.collection('car_blackouts').updateOne({ sqliteId: doc.sqliteId }, { $set: doc }, { upsert: true });
+    return { ok: true };
+  } catch (e) {
+    console.warn('[mongo] mirror car blackout failed:', e?.message || e);
+    return { ok: false };
+  }
+}
+
+export async function deleteCarBlackoutFromMongo(sqliteId) {
+  const db = await getMongoDb();
+  if (!db) return { ok: false, skipped: true };
+  try {
+    await db.collection('car_blackouts').deleteOne({ sqliteId: Number(sqliteId) });
+    return { ok: true };
+  } catch (e) {
+    console.warn('[mongo] delete car blackout failed:', e?.message || e);
+    return { ok: false };
+  }
+}
+
+export async function mirrorReviewToMongo(row) {
+  const db = await getMongoDb();
+  if (!db || !row?.id) return { ok: false, skipped: true };
+  try {
+    const doc = {
+      sqliteId: Number(row.id),
+      bookingId: Number(row.booking_id),
+      carId: Number(row.car_id),
+      authorId: Number(row.author_id),
+      subjectId: row.subject_id ?? null,
+      direction: row.direction,
+      carRating: row.car_rating ?? null,
+      rating: row.rating ?? null,
+      comment: row.comment || null,
+      reply: row.reply || null,
+      repliedAt: row.replied_at || null,
+      createdAt: row.created_at || null,
+    };
+    await db.collection('reviews').updateOne({ sqliteId: doc.sqliteId }, { $set: doc }, { upsert: true });
+    return { ok: true };
+  } catch (e) {
+    console.warn('[mongo] mirror review failed:', e?.message || e);
+    return { ok: false };
+  }
+}
+
+export async function deleteReviewFromMongo(sqliteId) {
+  const db = await getMongoDb();
+  if (!db) return { ok: false, skipped: true };
+  try {
+    await db.collection('reviews').deleteOne({ sqliteId: Number(sqliteId) });
+    return { ok: true };
+  } catch (e) {
+    console.warn('[mongo] delete review failed:', e?.message || e);
+    return { ok: false };
+  }
+}
+
+// Review averages of a user (users row with host_rating, renter_rating and counts)
+export async function mirrorUserRatingsToMongo(userRow) {
+  const db = await getMongoDb();
+  if (!db || !userRow?.id) return { ok: false, skipped: true };
+  try {
+    await db.collection('users').updateOne({ sqliteId: Number(userRow.id) }, {
+      $set: {
+        hostRating: userRow.host_rating ?? null,
+        hostRatingCount: Number(userRow.host_rating_count) || 0,
+        renterRating: userRow.renter_rating ?? null,
+        renterRatingCount: Number(userRow.renter_rating_count) || 0,
+      },
+    });
+    return { ok: true };
+  } catch (e) {
+    console.warn('[mongo] mirror user ratings failed:', e?.message || e);
+    return { ok: false };
+  }
+}
+
 export async function mirrorBookingToMongo(bookingRow) {
   const db = await getMongoDb();
   if (!db || !bookingRow?.id) return { ok: false, skipped: true };
@@ -183,13 +289,31 @@ export async function mirrorBookingToMongo(bookingRow) {
       returnDate: bookingRow.return_date ?? bookingRow.returnDate ?? null,
       pickupLocation: bookingRow.pickup_location ?? bookingRow.pickupLocation ?? null,
       returnLocation: bookingRow.return_location ?? bookingRow.returnLocation ?? null,
-      verification: bookingRow.verification_json ? JSON.parse(bookingRow.verification_json) : (bookingRow.verification ?? null),
+      verification: withoutAttachmentData(bookingRow.verification_json ? JSON.parse(bookingRow.verification_json) : (bookingRow.verification ?? null)),
       totalCost: bookingRow.total_cost != null ? Number(bookingRow.total_cost) : (bookingRow.totalCost != null ? Number(bookingRow.totalCost) : null),
       days: bookingRow.days != null ? Number(bookingRow.days) : null,
+      price: bookingRow.price_breakdown_json ? JSON.parse(bookingRow.price_breakdown_json) : (bookingRow.price ?? null),
       status: bookingRow.status || 'confirmed',
       payment: (bookingRow.payment_id || bookingRow.payment_method || bookingRow.payment_status)
         ? { id: bookingRow.payment_id || null, method: bookingRow.payment_method || null, status: bookingRow.payment_status || null }
         : (bookingRow.payment || null),
+      timeline: {
+        acceptedAt: bookingRow.accepted_at || null,
+        declinedAt: bookingRow.declined_at || null,
+        confirmedAt: bookingRow.confirmed_at || null,
+        checkedInAt: bookingRow.checked_in_at || null,
+        checkedOutAt: bookingRow.checked_out_at || null,
+        completedAt: bookingRow.completed_at || null,
+        cancelledAt: bookingRow.cancelled_at || null,
+        noShowAt: bookingRow.no_show_at || null,
+        statusUpdatedAt: bookingRow.status_updated_at || null,
+      },
+      cancellation: bookingRow.cancelled_at || bookingRow.declined_at
+        ? { by: bookingRow.cancelled_by || null, reason: bookingRow.cancel_reason || null }
+        : null,
+      requestExpiresAt: bookingRow.request_expires_at || null,
+      verificationStatus: bookingRow.verification_status || null,
+      statusNote: bookingRow.status_note || null,
       createdAt: bookingRow.created_at || null,
       updatedAt: new Date().toISOString(),
     };
@@ -201,6 +325,24 @@ export async function mirrorBookingToMongo(bookingRow) {
   }
 }
 
+// Overlapping booking on the mirror, for bookings that reached Mongo but not this instance's SQLite
+export async function findMongoBookingConflict(carId, pickupDate, returnDate, { excludeBookingId = null, releasedStatuses = [] } = {}) {
+  const db = await getMongoDb();
+  if (!db) return null;
+  try {
+    const query = {
+      carId: Number(carId),
+      $or: [ { status: { $exists: false } }, { status: { $nin: releasedStatuses } } ],
+      $nor: [ { returnDate: { $lte: pickupDate } }, { pickupDate: { $gte: returnDate } } ],
+    };
+    if (excludeBookingId) query.sqliteId = { $ne: Number(excludeBookingId) };
+    return await db.collection('bookings').findOne(query, { projection: { sqliteId: 1, pickupDate: 1, returnDate: 1 } });
+  } catch (e) {
+    console.warn('[mongo] booking conflict check failed:', e?.message || e);
+    return null;
+  }
+}
+
 export async function deleteBookingFromMongo(sqliteId) {
   const db = await getMongoDb();
   if (!db) return { ok: false, skipped: true };
@@ -0,0 +1,69 @@
+// Minimal PDF writer for generated documents (invoices, credit notes).
+// Text and rules only, using the built-in Helvetica fonts, so no dependency or external
+// service is needed. Coordinates are in points from the top-left corner of an A4 page.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Built-in fonts only cover WinAnsi; anything outside Latin-1 is replaced
+function pdfString(text) {
+  const latin1 = String(text ?? '').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+  return `(${latin1.replace(/[\\()]/g, '\\$&')})`;
+}
+
+// Rough Helvetica width, good enough to right-align numbers
+export function textWidth(text, size = 10) {
+  return String(text ?? '').length * size * 0.5;
+}
+
+export function createPdf() {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+  const fmt = (n) => Number(n.toFixed(2));
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    text(x, y, text, { size = 10, bold = false, align = 'left' } = {}) {
+      const left = align === 'right' ? x - textWidth(text, size) : x;
+      current().push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${fmt(left)} ${fmt(PAGE_HEIGHT - y)} Td ${pdfString(text)} Tj ET`);
+      return doc;
+    },
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current().push(`${width} w ${fmt(x1)} ${fmt(PAGE_HEIGHT - y1)} m ${fmt(x2)} ${fmt(PAGE_HEIGHT - y2)} l S`);
+      return doc;
+    },
+    addPage() {
+      pages.push([]);
+      return doc;
+    },
+    toBuffer() {
+      // Object layout: 1 catalog, 2 pages, 3-4 fonts, then a page + content stream per page
+      const objects = [];
+      const pageIds = pages.map((_, i) => 5 + i * 2);
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      pages.forEach((ops, i) => {
+        const pageId = pageIds[i];
+        const stream = ops.join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+      });
+
+      let out = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id += 1) {
+        offsets[id] = Buffer.byteLength(out, 'latin1');
+        out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+      const xref = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id += 1) out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, 'latin1');
+    },
+  };
+  return doc;
+}
@@ -0,0 +1,119 @@
+// Server-side booking price quotes
+// The same computation backs POST /api/bookings/quote, booking creation and payout limits,
+// so renters, hosts and finance all see one number. Amounts are whole rupees.
+// Fees, taxes and commission come from the admin fee rules (see fees.js); the quote stored on a
+// booking keeps the rules it was priced with, so later config changes do not touch old bookings.
+
+import db from '../db/index.js';
+import { resolveFeeRules, feeAmount } from './fees.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function numEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function getPricingConfig(car = null) {
+  return {
+    currency: process.env.PRICING_CURRENCY || 'INR',
+    // Refundable deposit collected on top of the total: the car's own amount, else the platform default
+    deposit: car?.deposit_amount != null ? Number(car.deposit_amount) : numEnv('PRICING_DEPOSIT', 0),
+    // Fee, tax and commission rules for this car's city and host
+    rules: resolveFeeRules(car),
+  };
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Billable days between pickup and return; any part day counts as a full day
+export function countRentalDays(pickupDate, returnDate) {
+  const from = parseDate(pickupDate);
+  const to = parseDate(returnDate);
+  if (!from || !to || to <= from) return null;
+  return Math.max(1, Math.ceil((to.getTime() - from.getTime()) / DAY_MS));
+}
+
+// Build a quote for a car row. Returns { quote } or { status, error }.
+export function computeQuote(car, { pickupDate, returnDate }, config = getPricingConfig(car)) {
+  if (!car) return { status: 400, error: 'Invalid car' };
+  const days = countRentalDays(pickupDate, returnDate);
+  if (!days) return { status: 400, error: 'returnDate must be after pickupDate' };
+
+  const pricePerDay = Number(car.price_per_day) || 0;
+  const rental = pricePerDay * days;
+  const lines = [{ code: 'rental', label: `${days} day(s) x ${pricePerDay}`, amount: rental }];
+  const label = (rule, fallback) => rule.label || fallback;
+
+  // Renter fees are charged on the rental; taxes on rental + fees
+  let fees = 0;
+  for (const rule of config.rules.filter((r) => r.kind === 'fee')) {
+    const amount = feeAmount(rule, rental);
+    if (!amount) continue;
+    fees += amount;
+    lines.push({ code: rule.code, label: label(rule, 'Fee'), amount });
+  }
+  let taxes = 0;
+  for (const rule of config.rules.filter((r) => r.kind === 'tax')) {
+    const amount = feeAmount(rule, rental + fees);
+    if (!amount) continue;
+    taxes += amount;
+    lines.push({ code: rule.code, label: `${label(rule, 'Tax')} (${rule.rate}%)`, amount });
+  }
+  // Commission is the platform's cut of the rental; the renter does not pay it
+  const commission = Math.min(
+    rental,
+    config.rules.filter((r) => r.kind === 'commission').reduce((sum, rule) => sum + feeAmount(rule, rental), 0)
+  );
+
+  const deposit = Math.round(config.deposit);
+  const total = rental + fees + taxes;
+
+  return {
+    quote: {
+      carId: car.id,
+      pickupDate,
+      returnDate,
+      days,
+      pricePerDay,
+      currency: config.currency,
+      lines,
+      subtotal: rental,
+      fees,
+      taxes,
+      total,
+      deposit,
+      amountDue: total + deposit,
+      commission,
+      hostEarnings: rental - commission,
+      // Snapshot of the rules used, kept with the booking
+      feeRules: config.rules.map(({ id, scope, code, kind, calc, rate, label: ruleLabel }) => ({ id, scope, code, kind, calc, rate, label: ruleLabel })),
+    },
+  };
+}
+
+export function quoteForCar(carId, dates) {
+  const car = db
+    .prepare('SELECT * FROM cars WHERE id = ? AND (deleted IS NULL OR deleted = 0)')
+    .get(carId);
+  return computeQuote(car, dates);
+}
+
+// What the host earned on a booking: the stored quote snapshot when present,
+// otherwise the legacy total_cost for bookings made before quotes existed.
+export function bookingHostEarnings(bookingRow) {
+  if (!bookingRow) return 0;
+  if (bookingRow.price_breakdown_json) {
+    try {
+      const q = JSON.parse(bookingRow.price_breakdown_json);
+      if (Number.isFinite(Number(q?.hostEarnings))) return Number(q.hostEarnings);
+    } catch (_) {
+      // fall back to total_cost
+    }
+  }
+  return Number(bookingRow.total_cost) || 0;
+}
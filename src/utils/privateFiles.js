@@ -0,0 +1,99 @@
+// Private uploads: renter documents (uploads/bookings/<bookingId>/), damage evidence
+// (uploads/deposits/<bookingId>/) and booking message attachments (uploads/messages/<bookingId>/).
+// They are not served statically; GET /api/files/... checks that the requester is the booking's
+// renter, the car's host or an admin, or accepts a short-lived signed URL (for <img> tags and
+// downloads that cannot send a header). Every attempt is written to file_access_log.
+
+import jwt from 'jsonwebtoken';
+import db from '../db/index.js';
+
+export const PRIVATE_AREAS = ['bookings', 'deposits', 'messages'];
+
+// Audience of signed file URL tokens. verifyToken() turns away tokens with an audience, so a leaked
+// link opens its one file and nothing else.
+const FILE_TOKEN_AUDIENCE = 'gomel:file';
+
+function fileUrlSecret() {
+  return process.env.FILE_URL_SECRET || process.env.JWT_SECRET || 'dev_secret';
+}
+
+function signedUrlSeconds() {
+  const seconds = Number(process.env.FILE_URL_TTL_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 300;
+}
+
+// Accepts a stored path (`uploads/bookings/1/idFront.png`, with or without a leading slash) or an
+// API URL (`/api/files/bookings/1/idFront.png`). Returns { area, bookingId, name, relPath, key }
+// for files in a private area, null otherwise.
+export function parsePrivatePath(value) {
+  const clean = String(value || '').split('?')[0].replace(/\\/g, '/').replace(/^\/+/, '');
+  const match = clean.match(/^(?:uploads|api\/files)\/([a-z]+)\/(\d+)\/([\w.-]+)$/);
+  if (!match || !PRIVATE_AREAS.includes(match[1]) || match[3].startsWith('.')) return null;
+  const [, area, bookingId, name] = match;
+  return {
+    area,
+    bookingId: Number(bookingId),
+    name,
+    relPath: `uploads/${area}/${bookingId}/${name}`,
+    key: `${area}/${bookingId}/${name}`,
+  };
+}
+
+// URL clients should use for a stored upload path: private files go through /api/files
+export function fileUrl(storedPath) {
+  const file = parsePrivatePath(storedPath);
+  if (file) return `/api/files/${file.area}/${file.bookingId}/${file.name}`;
+  return `/${String(storedPath || '').replace(/^\/+/, '')}`;
+}
+
+// Signed URL for one private file, valid for FILE_URL_TTL_SECONDS (default 300)
+export function signFileUrl(file, user) {
+  const seconds = signedUrlSeconds();
+  const token = jwt.sign({ path: file.relPath, sub: user.id }, fileUrlSecret(), { expiresIn: seconds, audience: FILE_TOKEN_AUDIENCE });
+  return {
+    url: `${fileUrl(file.relPath)}?token=${encodeURIComponent(token)}`,
+    expiresAt: new Date(Date.now() + seconds * 1000).toISOString(),
+  };
+}
+
+// The signer of a valid token for this file ({ id }), or null
+export function verifyFileToken(token, file) {
+  try {
+    const payload = jwt.verify(String(token), fileUrlSecret(), { audience: FILE_TOKEN_AUDIENCE });
+    if (payload.path !== file.relPath) return null;
+    return { id: payload.sub };
+  } catch (_) {
+    return null;
+  }
+}
+
+export function logFileAccess({ file, user = null, via, outcome, req }) {
+  db.prepare(`
+    INSERT INTO file_access_log (path, booking_id, user_id, role, via, outcome, ip, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    file.relPath,
+    file.bookingId,
+    user?.id ?? null,
+    user?.role || null,
+    via,
+    outcome,
+    req?.ip || null,
+    req?.get?.('user-agent') || null
+  );
+}
+
+export function toFileAccess(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    path: row.path,
+    bookingId: row.booking_id,
+    user: row.user_id != null ? { id: row.user_id, role: row.role } : null,
+    via: row.via,
+    outcome: row.outcome,
+    ip: row.ip || null,
+    userAgent: row.user_agent || null,
+    createdAt: row.created_at,
+  };
+}
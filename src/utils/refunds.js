@@ -0,0 +1,123 @@
+// Cancellation policies and refund bookkeeping.
+// A policy is a list of tiers: cancelling at least `hoursBefore` hours before pickup refunds `percent`
+// of the booking total. Deposits are always returned in full; host or admin cancellations refund everything.
+
+import db from '../db/index.js';
+import { getBookingDeposit, depositBalance } from './deposits.js';
+
+export const CANCELLATION_POLICIES = {
+  flexible: [
+    { hoursBefore: 24, percent: 100 },
+    { hoursBefore: 0, percent: 50 },
+  ],
+  moderate: [
+    { hoursBefore: 120, percent: 100 },
+    { hoursBefore: 24, percent: 50 },
+  ],
+  strict: [
+    { hoursBefore: 168, percent: 50 },
+  ],
+};
+
+export const DEFAULT_CANCELLATION_POLICY = 'moderate';
+
+export const REFUND_STATUSES = ['requested', 'processing', 'processed', 'rejected', 'failed'];
+
+// Refund reason for the price difference when a modification makes a paid booking cheaper
+export const MODIFICATION_REFUND_REASON = 'booking_modification';
+
+export function toRefund(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    paymentId: row.payment_id || null,
+    amount: row.amount,
+    reason: row.reason || null,
+    policy: row.policy || null,
+    status: row.status,
+    requestedBy: row.requested_by_role ? { role: row.requested_by_role, id: row.requested_by } : null,
+    providerRefundId: row.provider_refund_id || null,
+    note: row.note || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    processedAt: row.processed_at || null,
+  };
+}
+
+function quoteOf(booking) {
+  try {
+    return JSON.parse(booking?.price_breakdown_json || 'null');
+  } catch (_) {
+    return null;
+  }
+}
+
+export function bookingPaidAmount(bookingId) {
+  return Number(
+    db.prepare("SELECT COALESCE(SUM(amount), 0) AS s FROM payments WHERE booking_id = ? AND status = 'paid'").get(bookingId).s
+  );
+}
+
+// By default open requests (and ones being sent to the provider) count too, since that money is about
+// to go back
+export function bookingRefundedAmount(bookingId, { includeRequested = true } = {}) {
+  const statuses = includeRequested ? "('requested', 'processing', 'processed')" : "('processed')";
+  return Number(
+    db.prepare(`SELECT COALESCE(SUM(amount), 0) AS s FROM refunds WHERE booking_id = ? AND status IN ${statuses}`).get(bookingId).s
+  );
+}
+
+// Refund the policy allows for cancelling `booking` at `at`. `cancelledBy` is renter/host/admin/system.
+export function computeRefund(booking, { policy, cancelledBy = 'renter', at = new Date() } = {}) {
+  const name = CANCELLATION_POLICIES[policy] ? policy : DEFAULT_CANCELLATION_POLICY;
+  const quote = quoteOf(booking);
+  const total = Number(quote?.total ?? booking?.total_cost) || 0;
+  // What is left of a held deposit (claims may have captured some); older bookings use the quote
+  const depositRow = getBookingDeposit(booking.id);
+  const deposit = depositRow ? depositBalance(depositRow) : Number(quote?.deposit) || 0;
+  const paid = bookingPaidAmount(booking.id);
+  const alreadyRefunded = bookingRefundedAmount(booking.id);
+
+  const pickup = booking?.pickup_date ? new Date(booking.pickup_date) : null;
+  const hoursBefore = pickup && !Number.isNaN(pickup.getTime()) ? (pickup.getTime() - at.getTime()) / 3600000 : 0;
+
+  let percent = 0;
+  if (cancelledBy !== 'renter') {
+    percent = 100;
+  } else {
+    const tier = CANCELLATION_POLICIES[name].find((t) => hoursBefore >= t.hoursBefore);
+    percent = tier ? tier.percent : 0;
+  }
+
+  const eligible = Math.round((total * percent) / 100) + deposit;
+  // Never refund more than was actually paid and not yet refunded
+  const refundable = Math.max(0, Math.min(eligible, paid - alreadyRefunded));
+  return {
+    policy: name,
+    hoursBeforePickup: Math.round(hoursBefore * 10) / 10,
+    percent,
+    total,
+    deposit,
+    paid,
+    alreadyRefunded,
+    refundable,
+  };
+}
+
+export function getCarPolicy(carId) {
+  const row = db.prepare('SELECT cancellation_policy FROM cars WHERE id = ?').get(carId);
+  return row?.cancellation_policy || DEFAULT_CANCELLATION_POLICY;
+}
+
+// Open a refund request; the caller has already checked the amount
+export function createRefund({ booking, amount, reason, policy, role, userId }) {
+  const payment = db
+    .prepare("SELECT id FROM payments WHERE booking_id = ? AND status = 'paid' ORDER BY id DESC LIMIT 1")
+    .get(booking.id);
+  const info = db.prepare(`
+    INSERT INTO refunds (booking_id, payment_id, amount, reason, policy, status, requested_by_role, requested_by)
+    VALUES (?, ?, ?, ?, ?, 'requested', ?, ?)
+  `).run(booking.id, payment?.id || null, amount, reason || null, policy || null, role || null, userId ?? null);
+  return db.prepare('SELECT * FROM refunds WHERE id = ?').get(info.lastInsertRowid);
+}
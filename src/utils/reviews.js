@@ -0,0 +1,155 @@
+// Two-way trip reviews.
+// Once a booking's return date has passed (and the trip took place: active or completed), the renter
+// rates the car and its host and the host rates the renter, each at most once per booking, with 1-5
+// stars and an optional comment. The host may reply to the renter's review. Averages are kept on the
+// rows they describe: cars.rating / rating_count from car scores, users.host_rating and
+// users.renter_rating (with counts) from the scores about that person. Clients never write a car's
+// rating: it is 0 while the car has no reviews.
+
+import db from '../db/index.js';
+
+export const REVIEW_DIRECTIONS = ['renter_to_host', 'host_to_renter'];
+export const REVIEWABLE_STATUSES = ['active', 'completed'];
+
+function dayKey(value) {
+  return String(value || '').slice(0, 10);
+}
+
+function average(row) {
+  return row.count ? Math.round(row.average * 10) / 10 : null;
+}
+
+export function toReview(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    carId: row.car_id,
+    direction: row.direction,
+    author: { id: row.author_id, name: row.author_name || null },
+    subjectId: row.subject_id ?? null,
+    carRating: row.car_rating ?? null,
+    rating: row.rating ?? null,
+    comment: row.comment || null,
+    reply: row.reply ? { text: row.reply, repliedAt: row.replied_at } : null,
+    createdAt: row.created_at,
+  };
+}
+
+// `{ asHost, asRenter }` averages of a users row
+export function toUserRatings(row) {
+  return {
+    asHost: { average: row?.host_rating ?? null, count: Number(row?.host_rating_count) || 0 },
+    asRenter: { average: row?.renter_rating ?? null, count: Number(row?.renter_rating_count) || 0 },
+  };
+}
+
+const SELECT_REVIEWS = `
+  SELECT r.*, u.full_name AS author_name
+  FROM reviews r
+  LEFT JOIN users u ON u.id = r.author_id
+`;
+
+export function getReview(id) {
+  return db.prepare(`${SELECT_REVIEWS} WHERE r.id = ?`).get(id);
+}
+
+export function bookingReviews(bookingId) {
+  return db.prepare(`${SELECT_REVIEWS} WHERE r.booking_id = ? ORDER BY r.id ASC`).all(bookingId);
+}
+
+export function carReviews(carId, { limit = 50, offset = 0 } = {}) {
+  return db.prepare(`${SELECT_REVIEWS} WHERE r.car_id = ? AND r.direction = 'renter_to_host' ORDER BY r.id DESC LIMIT ? OFFSET ?`)
+    .all(carId, limit, offset);
+}
+
+// Reviews written about a user, as host or as renter
+export function userReviews(userId, { limit = 50 } = {}) {
+  return db.prepare(`${SELECT_REVIEWS} WHERE r.subject_id = ? ORDER BY r.id DESC LIMIT ?`).all(userId, limit);
+}
+
+// Who may still review this booking. Returns { status, error } when `role` may not review it now.
+export function reviewEligibility(booking, role, today = new Date().toISOString().slice(0, 10)) {
+  if (!['renter', 'host'].includes(role)) return { status: 403, error: 'Only the renter and the host can review a booking' };
+  if (!REVIEWABLE_STATUSES.includes(booking.status)) {
+    return { status: 409, error: `A ${booking.status} booking cannot be reviewed` };
+  }
+  if (dayKey(booking.return_date) > today) return { status: 409, error: 'Reviews open after the return date' };
+  const direction = role === 'renter' ? 'renter_to_host' : 'host_to_renter';
+  if (db.prepare('SELECT 1 FROM reviews WHERE booking_id = ? AND direction = ?').get(booking.id, direction)) {
+    return { status: 409, error: 'This booking has already been reviewed' };
+  }
+  return null;
+}
+
+export function recomputeCarRating(carId) {
+  const row = db.prepare(`
+    SELECT AVG(car_rating) AS average, COUNT(car_rating) AS count
+    FROM reviews WHERE car_id = ? AND direction = 'renter_to_host'
+  `).get(carId);
+  if (row.count) {
+    db.prepare('UPDATE cars SET rating = ?, rating_count = ? WHERE id = ?').run(average(row), row.count, carId);
+  } else {
+    db.prepare('UPDATE cars SET rating = 0, rating_count = 0 WHERE id = ?').run(carId);
+  }
+}
+
+export function recomputeUserRatings(userId) {
+  if (userId == null) return;
+  const score = (direction) => db.prepare(`
+    SELECT AVG(rating) AS average, COUNT(rating) AS count FROM reviews WHERE subject_id = ? AND direction = ?
+  `).get(userId, direction);
+  const host = score('renter_to_host');
+  const renter = score('host_to_renter');
+  db.prepare('UPDATE users SET host_rating = ?, host_rating_count = ?, renter_rating = ?, renter_rating_count = ? WHERE id = ?')
+    .run(average(host), host.count, average(renter), renter.count, userId);
+}
+
+// `booking` comes from getBookingWithHost. Renters send { carRating, rating (the host), comment },
+// hosts { rating (the renter), comment }. Returns { review } or { status, error }.
+export function createReview(booking, role, user, { carRating = null, rating = null, comment = null }) {
+  const tx = db.transaction(() => {
+    const refusal = reviewEligibility(booking, role);
+    if (refusal) return refusal;
+    const renterReview = role === 'renter';
+    if (renterReview && !carRating) return { status: 400, error: 'carRating is required' };
+    const subjectId = renterReview ? booking.host_id ?? null : booking.user_id;
+    // Cars listed by the platform have no host to rate
+    if (!rating && subjectId != null) return { status: 400, error: 'rating is required' };
+
+    const info = db.prepare(`
+      INSERT INTO reviews (booking_id, car_id, author_id, subject_id, direction, car_rating, rating, comment)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      booking.id,
+      booking.car_id,
+      user.id,
+      subjectId,
+      renterReview ? 'renter_to_host' : 'host_to_renter',
+      renterReview ? carRating : null,
+      subjectId != null ? rating : null,
+      comment || null
+    );
+    if (renterReview) recomputeCarRating(booking.car_id);
+    recomputeUserRatings(subjectId);
+    return { review: getReview(info.lastInsertRowid) };
+  });
+  return tx.immediate();
+}
+
+// The host answers a renter's review (a second reply replaces the first)
+export function replyToReview(review, reply) {
+  if (review.direction !== 'renter_to_host') return { status: 409, error: 'Only reviews of a car and its host can be replied to' };
+  db.prepare('UPDATE reviews SET reply = ?, replied_at = ? WHERE id = ?').run(reply, new Date().toISOString(), review.id);
+  return { review: getReview(review.id) };
+}
+
+// Admin moderation: remove a review and recompute the averages it fed
+export function deleteReview(review) {
+  const tx = db.transaction(() => {
+    db.prepare('DELETE FROM reviews WHERE id = ?').run(review.id);
+    if (review.direction === 'renter_to_host') recomputeCarRating(review.car_id);
+    recomputeUserRatings(review.subject_id);
+  });
+  tx.immediate();
+}
@@ -0,0 +1,235 @@
+// Support tickets: contact form messages (the `messages` table) with a thread of the customer's
+// messages and every admin reply (`ticket_messages`), a priority, a category, an assigned admin and
+// optional links to the customer's account, a booking or a car.
+//
+// Status: open (waiting on support) -> pending (waiting on the customer) -> resolved -> closed. An admin
+// reply moves an open ticket to pending; a customer follow-up (on the site or by email) reopens it.
+// Admins move tickets along TICKET_TRANSITIONS.
+
+import crypto from 'crypto';
+import db from '../db/index.js';
+import { userChannel } from './events.js';
+
+export const TICKET_STATUSES = ['open', 'pending', 'resolved', 'closed'];
+export const TICKET_TRANSITIONS = {
+  open: ['pending', 'resolved', 'closed'],
+  pending: ['open', 'resolved', 'closed'],
+  resolved: ['open', 'closed'],
+  closed: ['open'],
+};
+export const TICKET_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+export const TICKET_CATEGORIES = ['general', 'booking', 'payment', 'refund', 'car', 'account', 'other'];
+
+const SELECT_TICKETS = `
+  SELECT m.*, a.email AS assigned_email,
+    (SELECT COUNT(*) FROM ticket_messages t WHERE t.ticket_id = m.id) AS message_count,
+    (SELECT MAX(created_at) FROM ticket_messages t WHERE t.ticket_id = m.id) AS last_message_at
+  FROM messages m
+  LEFT JOIN admins a ON a.id = m.assigned_to
+`;
+
+export function toTicket(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    subject: row.subject || null,
+    message: row.message,
+    status: row.status,
+    priority: row.priority || 'normal',
+    category: row.category || 'general',
+    assignedTo: row.assigned_to != null ? { id: row.assigned_to, email: row.assigned_email || null } : null,
+    userId: row.user_id ?? null,
+    bookingId: row.booking_id ?? null,
+    carId: row.car_id ?? null,
+    messageCount: row.message_count ?? 0,
+    lastMessageAt: row.last_message_at || row.created_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at,
+    resolvedAt: row.resolved_at || null,
+    closedAt: row.closed_at || null,
+  };
+}
+
+export function toTicketMessage(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ticketId: row.ticket_id,
+    author: { type: row.author_type, id: row.author_id ?? null },
+    body: row.body,
+    via: row.via,
+    emailStatus: row.email_status || null,
+    createdAt: row.created_at,
+  };
+}
+
+export function getTicket(id) {
+  return db.prepare(`${SELECT_TICKETS} WHERE m.id = ?`).get(id);
+}
+
+// Admin list, newest first. Filters: status, priority, category, assignedTo (an admin id, or 'none'),
+// bookingId, carId, userId.
+export function listTickets(filters = {}) {
+  const where = [];
+  const params = {};
+  for (const [key, column] of [
+    ['status', 'm.status'],
+    ['priority', 'm.priority'],
+    ['category', 'm.category'],
+    ['bookingId', 'm.booking_id'],
+    ['carId', 'm.car_id'],
+    ['userId', 'm.user_id'],
+  ]) {
+    if (filters[key] == null || filters[key] === '') continue;
+    where.push(`${column} = @${key}`);
+    params[key] = filters[key];
+  }
+  if (filters.assignedTo === 'none') {
+    where.push('m.assigned_to IS NULL');
+  } else if (filters.assignedTo != null && filters.assignedTo !== '') {
+    where.push('m.assigned_to = @assignedTo');
+    params.assignedTo = Number(filters.assignedTo);
+  }
+  return db.prepare(`
+    ${SELECT_TICKETS} ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY m.id DESC
+  `).all(params);
+}
+
+// Tickets a signed-in customer opened
+export function ticketsOfUser(userId) {
+  return db.prepare(`${SELECT_TICKETS} WHERE m.user_id = ? ORDER BY m.id DESC`).all(userId);
+}
+
+export function ticketThread(ticketId) {
+  return db.prepare('SELECT * FROM ticket_messages WHERE ticket_id = ? ORDER BY id').all(ticketId);
+}
+
+// Channels a ticket's events go to besides the admin channel: its customer's, when signed in
+export function ticketChannels(ticket) {
+  return ticket.user_id != null ? [userChannel(ticket.user_id)] : [];
+}
+
+// New ticket with the customer's message as the start of its thread. Returns the ticket row.
+export function createTicket({ name, email, message, subject = null, category = 'general', userId = null, bookingId = null, carId = null }) {
+  const tx = db.transaction(() => {
+    const info = db.prepare(`
+      INSERT INTO messages (name, email, message, subject, category, status, user_id, booking_id, car_id, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'open', ?, ?, ?, datetime('now'))
+    `).run(name, email, message, subject, category, userId, bookingId, carId);
+    db.prepare(`
+      INSERT INTO ticket_messages (ticket_id, author_type, author_id, body, via) VALUES (?, 'customer', ?, ?, 'web')
+    `).run(info.lastInsertRowid, userId, message);
+    return getTicket(info.lastInsertRowid);
+  });
+  return tx.immediate();
+}
+
+function setStatus(ticketId, status) {
+  db.prepare(`
+    UPDATE messages SET status = @status, updated_at = datetime('now'),
+      resolved_at = CASE WHEN @status = 'resolved' THEN datetime('now') WHEN @status = 'open' THEN NULL ELSE resolved_at END,
+      closed_at = CASE WHEN @status = 'closed' THEN datetime('now') WHEN @status = 'open' THEN NULL ELSE closed_at END
+    WHERE id = @id
+  `).run({ id: ticketId, status });
+}
+
+// Add to a ticket's thread: an admin reply (`authorType` 'admin') or a customer follow-up ('customer',
+// via 'web' or 'email'). Returns { message, ticket } rows.
+export function addTicketMessage(ticket, { authorType, authorId = null, body, via = 'web' }) {
+  const tx = db.transaction(() => {
+    const info = db.prepare(`
+      INSERT INTO ticket_messages (ticket_id, author_type, author_id, body, via) VALUES (?, ?, ?, ?, ?)
+    `).run(ticket.id, authorType, authorId, body, via);
+    if (authorType === 'admin' && ticket.status === 'open') setStatus(ticket.id, 'pending');
+    else if (authorType === 'customer' && ticket.status !== 'open') setStatus(ticket.id, 'open');
+    else db.prepare("UPDATE messages SET updated_at = datetime('now') WHERE id = ?").run(ticket.id);
+    return {
+      message: db.prepare('SELECT * FROM ticket_messages WHERE id = ?').get(info.lastInsertRowid),
+      ticket: getTicket(ticket.id),
+    };
+  });
+  return tx.immediate();
+}
+
+export function setEmailStatus(messageId, status) {
+  db.prepare('UPDATE ticket_messages SET email_status = ? WHERE id = ?').run(status, messageId);
+  return db.prepare('SELECT * FROM ticket_messages WHERE id = ?').get(messageId);
+}
+
+// Admin changes: { status, priority, category, assignedTo, bookingId, carId } (null unassigns/unlinks).
+// Returns { ticket } or { status, error }.
+export function updateTicket(ticket, changes) {
+  if (changes.status !== undefined && changes.status !== ticket.status) {
+    if (!(TICKET_TRANSITIONS[ticket.status] || TICKET_STATUSES).includes(changes.status)) {
+      return { status: 409, error: `Cannot move a ${ticket.status} ticket to ${changes.status}` };
+    }
+  }
+  if (changes.assignedTo != null && !db.prepare('SELECT id FROM admins WHERE id = ?').get(changes.assignedTo)) {
+    return { status: 400, error: 'assignedTo is not an admin' };
+  }
+  if (changes.bookingId != null && !db.prepare('SELECT id FROM bookings WHERE id = ?').get(changes.bookingId)) {
+    return { status: 400, error: 'Booking not found' };
+  }
+  if (changes.carId != null && !db.prepare('SELECT id FROM cars WHERE id = ?').get(changes.carId)) {
+    return { status: 400, error: 'Car not found' };
+  }
+
+  const columns = { priority: 'priority', category: 'category', assignedTo: 'assigned_to', bookingId: 'booking_id', carId: 'car_id' };
+  const tx = db.transaction(() => {
+    const sets = Object.keys(columns).filter((key) => changes[key] !== undefined);
+    if (sets.length) {
+      db.prepare(`UPDATE messages SET ${sets.map((key) => `${columns[key]} = @${key}`).join(', ')}, updated_at = datetime('now') WHERE id = @id`)
+        .run({ ...Object.fromEntries(sets.map((key) => [key, changes[key]])), id: ticket.id });
+    }
+    if (changes.status !== undefined && changes.status !== ticket.status) setStatus(ticket.id, changes.status);
+    return getTicket(ticket.id);
+  });
+  return { ticket: tx.immediate() };
+}
+
+export function deleteTicket(ticketId) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM ticket_messages WHERE ticket_id = ?').run(ticketId);
+    db.prepare('DELETE FROM messages WHERE id = ?').run(ticketId);
+  })();
+}
+
+// Email subject naming the ticket, so replies to it find their way back (see ticketIdFromSubject)
+export function ticketEmailSubject(ticket) {
+  return `Re: [Ticket #${ticket.id}] ${ticket.subject || 'Your message to Gomel Cars'}`;
+}
+
+export function ticketIdFromSubject(subject) {
+  const match = /\[Ticket #(\d+)\]/i.exec(String(subject || ''));
+  return match ? Number(match[1]) : null;
+}
+
+// The address in a From header such as `Jane <jane@example.com>`, lowercased
+export function emailAddress(from) {
+  const value = String(from || '');
+  const match = /<([^>]+)>/.exec(value) || /([^\s<>"]+@[^\s<>"]+)/.exec(value);
+  return match ? match[1].trim().toLowerCase() : null;
+}
+
+// The new part of an emailed reply: drop the quoted message below "On ... wrote:" / "-----Original
+// Message-----" and `>` lines
+export function stripQuotedReply(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+  for (const line of lines) {
+    if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line) || /^From: /.test(line)) break;
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+  return kept.join('\n').trim();
+}
+
+// Constant-time comparison of the inbound email webhook secret
+export function inboundSecretMatches(given) {
+  const secret = process.env.INBOUND_EMAIL_SECRET || '';
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(secret);
+  return !!secret && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,194 @@
+// Multipart (multipart/form-data) uploads with multer, next to the older base64 data URL fields.
+// Booking documents and message attachments stream straight into the storage driver (src/storage) once
+// their first bytes show a PNG, JPEG or WebP (or, for attachments, a PDF); car photos go to temporary
+// files, because the image pipeline needs a whole file, and are read back one at a time so a request
+// with many photos never holds them all in memory. Every file has its own size limit
+// (DOCUMENT_MAX_MB, default 10, or IMAGE_MAX_MB) and failures come back as JSON naming the form field:
+// 413 too large, 415 not an accepted type, 400 malformed form.
+
+import fs from 'fs';
+import os from 'os';
+import multer from 'multer';
+import { Readable } from 'stream';
+import { removeObject, saveStream } from '../storage/index.js';
+import { imageMaxBytes } from './images.js';
+
+const SIGNATURES = [
+  { type: 'image/png', ext: 'png', test: (b) => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+  { type: 'image/jpeg', ext: 'jpg', test: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/webp', ext: 'webp', test: (b) => b.length >= 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+];
+const PDF_SIGNATURE = { type: 'application/pdf', ext: 'pdf', test: (b) => b.length >= 5 && b.toString('latin1', 0, 5) === '%PDF-' };
+
+export function documentMaxBytes() {
+  const mb = Number(process.env.DOCUMENT_MAX_MB);
+  return Math.floor((Number.isFinite(mb) && mb > 0 ? mb : 10) * 1024 * 1024);
+}
+
+export function isMultipart(req) {
+  return !!req.is('multipart/form-data');
+}
+
+// { type, ext } of an image from its first bytes, or null
+export function sniffImageType(head) {
+  const match = SIGNATURES.find((s) => s.test(head));
+  return match ? { type: match.type, ext: match.ext } : null;
+}
+
+// { type, ext } of an image or a PDF, or null
+export function sniffFileType(head) {
+  return sniffImageType(head) || (PDF_SIGNATURE.test(head) ? { type: PDF_SIGNATURE.type, ext: PDF_SIGNATURE.ext } : null);
+}
+
+function uploadError(status, message, field) {
+  return Object.assign(new Error(message), { status, field });
+}
+
+// Read the first `bytes` of a stream. Returns { head, body } where body replays the whole stream, and
+// drain() to throw the rest away.
+async function splitHead(stream, bytes) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const rest = { [Symbol.asyncIterator]: () => iterator };
+  const chunks = [];
+  let length = 0;
+  let done = false;
+  while (length < bytes) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    chunks.push(next.value);
+    length += next.value.length;
+  }
+  const head = Buffer.concat(chunks);
+  return {
+    head,
+    body: Readable.from((async function* replay() {
+      yield head;
+      if (!done) for await (const chunk of rest) yield chunk;
+    })()),
+    drain: async () => {
+      if (!done) for await (const _ of rest);
+    },
+  };
+}
+
+// multer storage engine writing each file to `keyFor(req, file, ext)` in the configured storage driver.
+// Images only, unless `pdf` is set.
+function streamingStorage(keyFor, { pdf = false } = {}) {
+  return {
+    _handleFile(req, file, cb) {
+      (async () => {
+        const { head, body, drain } = await splitHead(file.stream, 12);
+        const type = pdf ? sniffFileType(head) : sniffImageType(head);
+        if (!type) {
+          await drain();
+          const accepted = pdf ? 'a PNG, JPEG, WebP or PDF file' : 'a PNG, JPEG or WebP image';
+          throw uploadError(415, `${file.fieldname} must be ${accepted}`, file.fieldname);
+        }
+        const key = keyFor(req, file, type.ext);
+        const saved = await saveStream(key, body, type.type);
+        return { key, path: saved.path, size: saved.size, mimetype: type.type };
+      })().then((info) => cb(null, info), cb);
+    },
+    _removeFile(req, file, cb) {
+      removeObject(file.key).then(() => cb(null), cb);
+    },
+  };
+}
+
+// Run a multer middleware for multipart requests only, answering its errors as JSON
+function multipartOnly(middleware, maxBytes) {
+  return (req, res, next) => {
+    if (!isMultipart(req)) return next();
+    return middleware(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ error: `${err.field} is larger than ${Number((maxBytes / 1024 / 1024).toFixed(1))} MB`, field: err.field, maxBytes });
+        }
+        return res.status(400).json({ error: err.message, field: err.field || null });
+      }
+      if (err.status) return res.status(err.status).json({ error: err.message, field: err.field || null });
+      console.error('[storage] upload failed:', err?.message || err);
+      return res.status(502).json({ error: 'File storage unavailable' });
+    });
+  };
+}
+
+// One optional file per field name in `fields`, streamed to storage. Files land in req.files[field][0]
+// with { key, path (stored path), size, mimetype (detected) }.
+export function documentUpload({ fields, keyFor, maxBytes = documentMaxBytes() }) {
+  const upload = multer({
+    storage: streamingStorage(keyFor),
+    limits: { fileSize: maxBytes, files: fields.length, fields: 20 },
+  });
+  return multipartOnly(upload.fields(fields.map((name) => ({ name, maxCount: 1 }))), maxBytes);
+}
+
+// Up to `maxCount` images or PDFs in the `field` form field, streamed to storage. Files land in
+// req.files[i] with the same fields as documentUpload's.
+export function attachmentUpload({ field, maxCount = 1, keyFor, maxBytes = documentMaxBytes() }) {
+  const upload = multer({
+    storage: streamingStorage(keyFor, { pdf: true }),
+    limits: { fileSize: maxBytes, files: maxCount, fields: 20 },
+  });
+  return multipartOnly(upload.array(field, maxCount), maxBytes);
+}
+
+// Up to `maxCount` photos in the `field` form field, written to temporary files (req.files[i].path;
+// read them with photoBuffer()) that are removed once the response is done
+export function photoUpload({ field, maxCount = 1, maxBytes = imageMaxBytes() }) {
+  const upload = multer({
+    storage: multer.diskStorage({ destination: os.tmpdir() }),
+    limits: { fileSize: maxBytes, files: maxCount, fields: 20 },
+  });
+  const middleware = multipartOnly(upload.array(field, maxCount), maxBytes);
+  return (req, res, next) => {
+    res.on('close', () => {
+      for (const file of req.files || []) {
+        if (file.path) fs.promises.unlink(file.path).catch(() => {});
+      }
+    });
+    return middleware(req, res, next);
+  };
+}
+
+// Bytes of a photo stored by photoUpload
+export function photoBuffer(file) {
+  return fs.promises.readFile(file.path);
+}
+
+// Only the text fields of a multipart form (into req.body), e.g. a webhook posting a form; any files
+// in it are read and dropped
+export function formFields({ maxFields = 50 } = {}) {
+  const upload = multer({
+    storage: {
+      _handleFile(req, file, cb) {
+        file.stream.on('error', cb).on('end', () => cb(null, { size: 0 })).resume();
+      },
+      _removeFile(req, file, cb) {
+        cb(null);
+      },
+    },
+    limits: { fields: maxFields, fieldSize: 1024 * 1024 },
+  });
+  return multipartOnly(upload.any(), documentMaxBytes());
+}
+
+// Remove files a request stored before it was turned down
+export async function discardUploads(files) {
+  for (const file of files) {
+    try {
+      if (file.key) await removeObject(file.key);
+    } catch (e) {
+      console.warn('[storage] could not remove upload', file.key, e?.message || e);
+    }
+  }
+}
+
+// Per-file summary for responses, so clients can match results to their progress bars
+export function toUploadedFile(file) {
+  return { field: file.fieldname, fileName: file.originalname || null, size: file.size, type: file.mimetype };
+}
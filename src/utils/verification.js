@@ -0,0 +1,231 @@
+// Renter document verification.
+// Each booking's ID (front/back) and driving licence uploads are attachments that an admin (or, with
+// HOST_DOCUMENT_REVIEW=true, the car's host) approves or rejects one by one. A booking is 'verified'
+// once the latest upload of every kind is approved, 'rejected' while any is rejected, 'pending' while
+// some still await review and 'unverified' with nothing uploaded. A licence is only approved when it
+// is valid until the booking's return date.
+// When an admin has approved all three documents the renter gets a verified profile; later bookings
+// that end before the licence expires are verified from it without uploading anything again.
+
+import db from '../db/index.js';
+import { fileUrl } from './privateFiles.js';
+
+export const DOCUMENT_KINDS = ['idFront', 'idBack', 'license'];
+export const DOCUMENT_STATUSES = ['pending', 'approved', 'rejected'];
+export const VERIFICATION_STATUSES = ['unverified', 'pending', 'verified', 'rejected'];
+
+const PROFILE_COLUMNS = { idFront: 'id_front_attachment_id', idBack: 'id_back_attachment_id', license: 'license_attachment_id' };
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value || 'null') ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function dayKey(value) {
+  return String(value || '').slice(0, 10);
+}
+
+// The licence must still be valid on the return day
+export function licenseCoversTrip(licenseExpiry, returnDate) {
+  if (!licenseExpiry || !returnDate) return false;
+  return dayKey(licenseExpiry) >= dayKey(returnDate);
+}
+
+export function hostReviewEnabled() {
+  return String(process.env.HOST_DOCUMENT_REVIEW || '').toLowerCase() === 'true';
+}
+
+export function toDocument(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    bookingId: row.booking_id,
+    kind: row.kind,
+    url: fileUrl(row.path),
+    status: row.status || 'pending',
+    rejectionReason: row.rejection_reason || null,
+    reviewedBy: row.reviewed_by_role ? { role: row.reviewed_by_role, id: row.reviewed_by } : null,
+    reviewedAt: row.reviewed_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+// Booking verification details without the uploaded files themselves, which are kept as private
+// attachments. Older bookings stored the data URLs in verification_json.
+export function publicVerification(value) {
+  const details = typeof value === 'string' ? parseJson(value, null) : value;
+  if (!details || typeof details !== 'object') return null;
+  const { attachmentsData, ...rest } = details;
+  return rest;
+}
+
+function maskNumber(value) {
+  if (!value) return null;
+  const s = String(value);
+  return s.length <= 4 ? s : `${'*'.repeat(s.length - 4)}${s.slice(-4)}`;
+}
+
+export function getRenterProfile(userId) {
+  return db.prepare('SELECT * FROM renter_profiles WHERE user_id = ?').get(userId);
+}
+
+export function toRenterProfile(row, { at = new Date() } = {}) {
+  if (!row) return { verified: false, licenseValid: false, documents: [] };
+  const ids = DOCUMENT_KINDS.map((k) => row[PROFILE_COLUMNS[k]]).filter(Boolean);
+  const documents = ids.length
+    ? db.prepare(`SELECT * FROM attachments WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids)
+    : [];
+  return {
+    userId: row.user_id,
+    verified: !!row.verified_at,
+    verifiedAt: row.verified_at || null,
+    idType: row.id_type || null,
+    idNumber: maskNumber(row.id_number),
+    licenseNumber: maskNumber(row.license_number),
+    licenseExpiry: row.license_expiry || null,
+    licenseValid: licenseCoversTrip(row.license_expiry, at.toISOString()),
+    sourceBookingId: row.source_booking_id || null,
+    documents: documents.map(toDocument),
+  };
+}
+
+// A verified profile whose licence is valid until `returnDate`
+export function profileCoversTrip(userId, returnDate) {
+  const profile = getRenterProfile(userId);
+  return !!profile?.verified_at && licenseCoversTrip(profile.license_expiry, returnDate);
+}
+
+// Latest upload of each kind on a booking
+function latestDocuments(bookingId) {
+  const rows = db.prepare('SELECT * FROM attachments WHERE booking_id = ? ORDER BY id ASC').all(bookingId);
+  const latest = new Map();
+  rows.forEach((r) => latest.set(r.kind, r));
+  return latest;
+}
+
+function statusFromDocuments(latest) {
+  if (!latest.size) return 'unverified';
+  const docs = DOCUMENT_KINDS.map((k) => latest.get(k)).filter(Boolean);
+  if (docs.some((d) => d.status === 'rejected')) return 'rejected';
+  if (docs.length === DOCUMENT_KINDS.length && docs.every((d) => d.status === 'approved')) return 'verified';
+  return 'pending';
+}
+
+// Set a new booking's verification: its own uploads go to review; without uploads a verified profile
+// that covers the trip verifies it straight away
+export function startBookingVerification(booking) {
+  const latest = latestDocuments(booking.id);
+  let status = statusFromDocuments(latest);
+  let source = latest.size ? 'documents' : null;
+  if (!latest.size && profileCoversTrip(booking.user_id, booking.return_date)) {
+    status = 'verified';
+    source = 'profile';
+  }
+  db.prepare('UPDATE bookings SET verification_status = ?, verification_source = ? WHERE id = ?').run(status, source, booking.id);
+  return status;
+}
+
+// Copy a booking's admin-approved documents and details into the renter's profile
+function promoteToProfile(booking, latest) {
+  const docs = DOCUMENT_KINDS.map((k) => latest.get(k));
+  if (docs.some((d) => !d || d.status !== 'approved' || d.reviewed_by_role !== 'admin')) return false;
+  const details = parseJson(booking.verification_json, {});
+  db.prepare(`
+    INSERT INTO renter_profiles (user_id, id_type, id_number, license_number, license_expiry,
+      id_front_attachment_id, id_back_attachment_id, license_attachment_id, source_booking_id, verified_at, updated_at)
+    VALUES (@userId, @idType, @idNumber, @licenseNumber, @licenseExpiry, @idFront, @idBack, @license, @bookingId, datetime('now'), datetime('now'))
+    ON CONFLICT(user_id) DO UPDATE SET
+      id_type = excluded.id_type, id_number = excluded.id_number, license_number = excluded.license_number,
+      license_expiry = excluded.license_expiry, id_front_attachment_id = excluded.id_front_attachment_id,
+      id_back_attachment_id = excluded.id_back_attachment_id, license_attachment_id = excluded.license_attachment_id,
+      source_booking_id = excluded.source_booking_id, verified_at = excluded.verified_at, updated_at = excluded.updated_at
+  `).run({
+    userId: booking.user_id,
+    idType: details.idType || null,
+    idNumber: details.idNumber || null,
+    licenseNumber: details.licenseNumber || null,
+    licenseExpiry: details.licenseExpiry || null,
+    idFront: latest.get('idFront').id,
+    idBack: latest.get('idBack').id,
+    license: latest.get('license').id,
+    bookingId: booking.id,
+  });
+  return true;
+}
+
+// Recompute a booking's verification after its documents changed. Returns the new status.
+export function refreshBookingVerification(bookingId) {
+  const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(bookingId);
+  if (!booking) return null;
+  const latest = latestDocuments(booking.id);
+  // Verified from the profile and nothing uploaded since
+  if (!latest.size && booking.verification_source === 'profile') return booking.verification_status;
+  const status = statusFromDocuments(latest);
+  db.prepare("UPDATE bookings SET verification_status = ?, verification_source = ? WHERE id = ?")
+    .run(status, latest.size ? 'documents' : null, booking.id);
+  if (status === 'verified') promoteToProfile(booking, latest);
+  return status;
+}
+
+// Verification state of a booking with the documents behind it
+export function bookingVerification(bookingId) {
+  const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(bookingId);
+  if (!booking) return null;
+  const details = parseJson(booking.verification_json, {});
+  const fromProfile = booking.verification_source === 'profile';
+  const profile = fromProfile ? getRenterProfile(booking.user_id) : null;
+  const licenseExpiry = fromProfile ? profile?.license_expiry : details.licenseExpiry;
+  const documents = fromProfile
+    ? toRenterProfile(profile).documents
+    : db.prepare('SELECT * FROM attachments WHERE booking_id = ? ORDER BY id ASC').all(booking.id).map(toDocument);
+  return {
+    bookingId: booking.id,
+    userId: booking.user_id,
+    status: booking.verification_status || 'unverified',
+    source: booking.verification_source || null,
+    idType: (fromProfile ? profile?.id_type : details.idType) || null,
+    licenseExpiry: licenseExpiry || null,
+    returnDate: booking.return_date,
+    licenseValidForTrip: licenseCoversTrip(licenseExpiry, booking.return_date),
+    documents,
+  };
+}
+
+// Approve or reject one document. `licenseExpiry` may be read off the licence by the reviewer.
+// Returns { document, verification } or { status, error }.
+export function reviewDocument(attachmentId, { decision, reason = null, licenseExpiry = null, role, userId }) {
+  const tx = db.transaction(() => {
+    const doc = db.prepare('SELECT * FROM attachments WHERE id = ?').get(attachmentId);
+    if (!doc) return { status: 404, error: 'Document not found' };
+    const latest = latestDocuments(doc.booking_id).get(doc.kind);
+    if (latest?.id !== doc.id) return { status: 409, error: 'A newer upload replaces this document' };
+    if ((doc.status || 'pending') !== 'pending') return { status: 409, error: `Document is already ${doc.status}` };
+
+    const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(doc.booking_id);
+    if (decision === 'approved' && doc.kind === 'license') {
+      const details = parseJson(booking.verification_json, {});
+      const expiry = licenseExpiry || details.licenseExpiry;
+      if (!expiry) return { status: 400, error: 'licenseExpiry is required to approve a licence' };
+      if (!licenseCoversTrip(expiry, booking.return_date)) {
+        return { status: 409, error: 'Driving licence expires before the return date', licenseExpiry: expiry, returnDate: booking.return_date };
+      }
+      if (licenseExpiry && licenseExpiry !== details.licenseExpiry) {
+        db.prepare('UPDATE bookings SET verification_json = ? WHERE id = ?')
+          .run(JSON.stringify({ ...details, licenseExpiry }), booking.id);
+      }
+    }
+
+    db.prepare(`
+      UPDATE attachments SET status = ?, rejection_reason = ?, reviewed_by_role = ?, reviewed_by = ?, reviewed_at = datetime('now')
+      WHERE id = ?
+    `).run(decision, decision === 'rejected' ? reason : null, role, userId ?? null, doc.id);
+    refreshBookingVerification(booking.id);
+    return { document: db.prepare('SELECT * FROM attachments WHERE id = ?').get(doc.id) };
+  });
+  const result = tx.immediate();
+  if (result.error) return result;
+  return { document: toDocument(result.document), verification: bookingVerification(result.document.booking_id) };
+}
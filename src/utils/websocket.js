@@ -0,0 +1,177 @@
+// Server side of the WebSocket protocol (RFC 6455), as much as the real-time endpoint needs: the
+// upgrade handshake, text messages (fragmented or not, up to 64 KB), ping/pong and the closing
+// handshake. Binary messages are refused.
+//
+//   const ws = acceptUpgrade(req, socket, head);   // from the HTTP server's 'upgrade' event
+//   ws.on('message', (text) => ...); ws.on('close', () => ...);
+//   ws.send(text); ws.close(code, reason);
+
+import crypto from 'crypto';
+import http from 'http';
+import { EventEmitter } from 'events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Answer an upgrade request that will not become a WebSocket with a plain JSON response
+export function rejectUpgrade(socket, status, error) {
+  // Upgrade sockets have no 'error' listener yet; a reset while answering must not crash the process
+  socket.on('error', () => socket.destroy());
+  const body = JSON.stringify({ error });
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body,
+  ].join('\r\n'));
+}
+
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket, head) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.open = true;
+    this.alive = true;
+    socket.setNoDelay(true);
+    // Frames sent along with the upgrade request (`head`) and after it are read from the next tick,
+    // once the caller has attached its 'message' listener
+    socket.pause();
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => {
+      this.open = false;
+      this.emit('close');
+    });
+    setImmediate(() => {
+      if (head?.length) this.receive(head);
+      socket.resume();
+    });
+  }
+
+  send(text) {
+    if (this.open) this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+  }
+
+  close(code = 1000, reason = '') {
+    if (!this.open) return;
+    this.open = false;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OPCODES.close, payload));
+    // Do not wait forever for the client's side of the closing handshake
+    setTimeout(() => this.socket.destroy(), 5000).unref();
+  }
+
+  // Ping the client; a client that did not answer the previous ping is disconnected
+  heartbeat() {
+    if (!this.open) return;
+    if (!this.alive) {
+      this.socket.destroy();
+      return;
+    }
+    this.alive = false;
+    this.socket.write(encodeFrame(OPCODES.ping));
+  }
+
+  receive(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    while (this.open && this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        const big = this.buffer.readBigUInt64BE(2);
+        length = big > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(big);
+        offset = 10;
+      }
+      if (!masked) return this.close(1002, 'Client frames must be masked');
+      if (length > MAX_MESSAGE_BYTES) return this.close(1009, 'Message too big');
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+      this.frame(fin, opcode, payload);
+    }
+  }
+
+  frame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.close:
+        return this.close(1000);
+      case OPCODES.ping:
+        return this.socket.write(encodeFrame(OPCODES.pong, payload));
+      case OPCODES.pong:
+        this.alive = true;
+        return undefined;
+      case OPCODES.binary:
+        return this.close(1003, 'Only text messages are accepted');
+      case OPCODES.text:
+      case OPCODES.continuation: {
+        if ((opcode === OPCODES.text) === (this.fragments.length > 0)) return this.close(1002, 'Unexpected frame');
+        this.fragments.push(payload);
+        if (this.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) return this.close(1009, 'Message too big');
+        if (!fin) return undefined;
+        const text = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = [];
+        this.alive = true;
+        return this.emit('message', text);
+      }
+      default:
+        return this.close(1002, 'Unknown opcode');
+    }
+  }
+}
+
+// Complete the handshake of an 'upgrade' request. Returns the connection, or null after answering a
+// request that is not a valid WebSocket upgrade.
+export function acceptUpgrade(req, socket, head) {
+  const key = req.headers['sec-websocket-key'];
+  if (String(req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+    rejectUpgrade(socket, 400, 'Expected a WebSocket upgrade');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+  return new WebSocketConnection(socket, head);
+}